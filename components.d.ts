@@ -8,9 +8,18 @@ export {}
 declare module 'vue' {
   export interface GlobalComponents {
     AppHeader: typeof import('./src/components/AppHeader.vue')['default']
+    AppSnackbar: typeof import('./src/components/AppSnackbar.vue')['default']
+    FaqEntryForm: typeof import('./src/components/FaqEntryForm.vue')['default']
+    ImagePicker: typeof import('./src/components/ImagePicker.vue')['default']
+    KantoMapViewer: typeof import('./src/components/KantoMapViewer.vue')['default']
+    MarkdownContent: typeof import('./src/components/MarkdownContent.vue')['default']
+    OfflineStatus: typeof import('./src/components/OfflineStatus.vue')['default']
     PokemonCard: typeof import('./src/components/PokemonCard.vue')['default']
+    PokemonForm: typeof import('./src/components/PokemonForm.vue')['default']
+    PokemonStats: typeof import('./src/components/PokemonStats.vue')['default']
+    PokemonTypesChips: typeof import('./src/components/PokemonTypesChips.vue')['default']
     RouterLink: typeof import('vue-router')['RouterLink']
     RouterView: typeof import('vue-router')['RouterView']
-    SelectImageTest: typeof import('./src/components/SelectImageTest.vue')['default']
+    TypeMatchups: typeof import('./src/components/TypeMatchups.vue')['default']
   }
 }
@@ -0,0 +1,98 @@
+/**
+ * public/sw.js
+ *
+ * Service worker du Pokédex (enregistré par src/main.js en production).
+ * - Pré-cache la coquille de l'application (index.html), tous les fichiers générés par Vite
+ *   (dont les pages chargées à la demande) et les images du dossier public/images,
+ *   d'après `precache-manifest.json` écrit à la compilation (voir vite.config.mjs).
+ * - Navigation : réseau d'abord, puis index.html en cache si hors ligne.
+ * - Fichiers pré-cachés et images de public/images : cache d'abord, puis réseau
+ *   (seules les images sont mises en cache à la volée).
+ * - Autres requêtes du même site (ex. precache-manifest.json) : réseau seulement.
+ * Les appels à l'API ne passent pas par ici : leurs données sont gardées
+ * dans IndexedDB par le store (voir src/utils/offlineDb.js).
+ *
+ * Les chemins sont relatifs à l'emplacement de ce fichier, ce qui fonctionne
+ * quelle que soit la base de déploiement (`/`, `/pokedex/`...).
+ */
+
+// Un cache par compilation : src/main.js ajoute son identifiant à l'URL de ce fichier (`sw.js?v=...`)
+const BUILD_ID = new URL(self.location.href).searchParams.get('v') || 'dev'
+const CACHE_NAME = `pokedex-shell-${BUILD_ID}`
+
+// Images servies par le site, mises en cache même si elles ne figurent pas dans le manifeste
+const IMAGES_PATH = new URL('./images/', self.location.href).pathname
+
+const SHELL = [
+  './',
+  './index.html',
+  './favicon.ico',
+]
+
+/**
+ * Lit la liste des fichiers à pré-cacher produite par la compilation.
+ * @returns {Promise<Array<string>>} Les chemins, relatifs à ce fichier.
+ */
+async function readPrecacheManifest () {
+  const response = await fetch('./precache-manifest.json', { cache: 'no-store' })
+  if (!response.ok) return []
+  const manifest = await response.json()
+  return (manifest.files || []).map(file => `./${file}`)
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME)
+    await cache.addAll([...SHELL, ...await readPrecacheManifest()])
+
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  // Seules les requêtes GET du même site sont gérées (l'API est sur une autre origine)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  // Navigation (routes de l'application) : réseau d'abord, index.html en secours
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => {
+      try {
+        return await fetch(request)
+      } catch {
+        const cache = await caches.open(CACHE_NAME)
+        return (await cache.match('./index.html')) || Response.error()
+      }
+    })())
+    return
+  }
+
+  // Fichiers pré-cachés (coquille et manifeste) et images : cache d'abord, puis réseau.
+  // Le cache ne contient que ces fichiers : toute autre requête va au réseau.
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_NAME)
+    const cached = await cache.match(request)
+    if (cached) return cached
+
+    try {
+      const response = await fetch(request)
+      if (response.ok && url.pathname.startsWith(IMAGES_PATH)) {
+        cache.put(request, response.clone())
+      }
+      return response
+    } catch {
+      // Hors ligne et pas en cache : erreur réseau plutôt qu'un rejet non géré
+      return Response.error()
+    }
+  })())
+})
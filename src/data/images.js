@@ -0,0 +1,37 @@
+// src/data/images.js
+
+/**
+ * Images livrées avec l'application dans public/images.
+ * Seule liste de ces fichiers : utilisée par la validation des Pokémon
+ * (src/utils/pokemonValidation.js), le magasin des images en secours
+ * et le pré-cache du service worker (généré par vite.config.mjs).
+ * Fichier sans import, pour pouvoir être lu par la configuration de Vite.
+ */
+
+/**
+ * Images de Pokémon.
+ */
+export const KNOWN_IMAGES = [
+  'bulbizarre.png',
+  'carapuce.png',
+  'dracaufeu.png',
+  'ectoplasma.png',
+  'evoli.png',
+  'florizarre.png',
+  'lokhlass.png',
+  'magicarpe.png',
+  'melofee.png',
+  'mewtwo.png',
+  'onix.png',
+  'pikachu.png',
+  'raichu.png',
+  'rondoudou.png',
+  'ronflex.png',
+  'salameche.png',
+  'tortank.png',
+]
+
+/**
+ * Images de l'interface (image par défaut et carte du monde).
+ */
+export const INTERFACE_IMAGES = ['pokeball.png', 'pokemon-map.png']
@@ -0,0 +1,66 @@
+// src/data/kantoLocations.js
+
+/**
+ * Lieux de Kanto affichés sur la carte interactive (src/pages/KantoMap.vue).
+ *
+ * - `id` : identifiant du lieu, utilisé dans l'URL (`/kantomap?location=bourg-palette`)
+ *   et pour son nom traduit (`kantoMap.locations.<id>` dans src/locales).
+ * - `kind` : 'town' (ville), 'route' ou 'dungeon' (grotte, forêt, bâtiment...).
+ * - `x`, `y` : position du point cliquable, en pourcentage de la largeur et de la
+ *   hauteur de l'image `/images/pokemon-map.png`.
+ * - `species` : espèces qu'on y trouve, par nom français normalisé (voir normalizeText) ;
+ *   reliées aux Pokémon du Pokédex par src/utils/habitats.js.
+ */
+export const KANTO_LOCATIONS = [
+  { id: 'bourg-palette', kind: 'town', x: 55.3, y: 74.1, species: ['bulbizarre', 'salameche', 'carapuce'] },
+  { id: 'jadielle', kind: 'town', x: 55.3, y: 67.2, species: [] },
+  { id: 'foret-de-jade', kind: 'dungeon', x: 55.3, y: 60.9, species: ['pikachu'] },
+  { id: 'argenta', kind: 'town', x: 55.3, y: 54.7, species: [] },
+  { id: 'route-3', kind: 'route', x: 58.2, y: 53.8, species: ['rondoudou'] },
+  { id: 'mont-selenite', kind: 'dungeon', x: 60.9, y: 52.2, species: ['melofee', 'onix'] },
+  { id: 'azuria', kind: 'town', x: 66.2, y: 53.1, species: ['magicarpe'] },
+  { id: 'caverne-azuree', kind: 'dungeon', x: 64.3, y: 49.7, species: ['mewtwo'] },
+  { id: 'grotte', kind: 'dungeon', x: 72.3, y: 54.1, species: ['onix'] },
+  { id: 'centrale', kind: 'dungeon', x: 74.7, y: 57.8, species: ['pikachu', 'raichu'] },
+  { id: 'lavanville', kind: 'town', x: 72.3, y: 62.5, species: ['ectoplasma'] },
+  { id: 'celadopole', kind: 'town', x: 61.4, y: 62.5, species: ['evoli'] },
+  { id: 'safrania', kind: 'town', x: 66.2, y: 62.5, species: ['lokhlass'] },
+  { id: 'carmin-sur-mer', kind: 'town', x: 66.2, y: 70.3, species: ['magicarpe'] },
+  { id: 'route-12', kind: 'route', x: 72.3, y: 69.7, species: ['ronflex'] },
+  { id: 'parmanie', kind: 'town', x: 62.6, y: 75.9, species: [] },
+  { id: 'iles-ecume', kind: 'dungeon', x: 58.9, y: 79.7, species: ['lokhlass'] },
+  { id: 'cramois-ile', kind: 'town', x: 55.3, y: 79.7, species: [] },
+  { id: 'route-victoire', kind: 'dungeon', x: 52.4, y: 60.3, species: ['onix'] },
+  { id: 'plateau-indigo', kind: 'town', x: 51.6, y: 54.7, species: [] },
+]
+
+/**
+ * Autres noms acceptés pour une espèce (noms anglais et allemands renvoyés par l'API
+ * selon la langue), déjà normalisés.
+ */
+export const SPECIES_ALIASES = {
+  bulbasaur: 'bulbizarre',
+  bisasam: 'bulbizarre',
+  venusaur: 'florizarre',
+  bisaflor: 'florizarre',
+  charmander: 'salameche',
+  glumanda: 'salameche',
+  charizard: 'dracaufeu',
+  glurak: 'dracaufeu',
+  squirtle: 'carapuce',
+  schiggy: 'carapuce',
+  blastoise: 'tortank',
+  turtok: 'tortank',
+  jigglypuff: 'rondoudou',
+  pummeluff: 'rondoudou',
+  clefairy: 'melofee',
+  piepi: 'melofee',
+  gengar: 'ectoplasma',
+  eevee: 'evoli',
+  lapras: 'lokhlass',
+  magikarp: 'magicarpe',
+  karpador: 'magicarpe',
+  snorlax: 'ronflex',
+  relaxo: 'ronflex',
+  mewtu: 'mewtwo',
+}
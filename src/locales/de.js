@@ -0,0 +1,610 @@
+// src/locales/de.js
+
+/**
+ * Deutscher Nachrichtenkatalog (gleiche Schlüssel wie src/locales/fr.js).
+ */
+export default {
+  common: {
+    stats: {
+      hp: 'KP',
+      attack: 'Angriff',
+      defense: 'Verteidigung',
+      speed: 'Initiative',
+    },
+    close: 'Schließen',
+    retry: 'Erneut versuchen',
+    cancel: 'Abbrechen',
+    delete: 'Löschen',
+    undo: 'Rückgängig',
+    edit: 'Bearbeiten',
+    save: 'Speichern',
+    unknownType: 'Unbekannter Typ',
+    typeNotFound: 'Typ Nr. {id} nicht gefunden',
+  },
+
+  header: {
+    menu: {
+      home: 'Startseite',
+      faq: 'FAQ',
+      favorites: 'Favoriten',
+      compare: 'Vergleichen',
+      types: 'Typen',
+      teams: 'Teams',
+      backup: 'Sicherung',
+      map: 'Kanto-Karte',
+    },
+    language: 'Sprache',
+    theme: {
+      label: 'Design',
+      light: 'Hell',
+      dark: 'Dunkel',
+      system: 'System',
+      highContrast: 'Hoher Kontrast',
+    },
+    login: 'Anmelden',
+    logout: 'Abmelden',
+  },
+
+  home: {
+    title: 'Pokédex',
+    add: 'Pokémon hinzufügen',
+    search: 'Pokémon suchen',
+    types: 'Typen:',
+    matchAny: 'Mindestens einer',
+    matchAll: 'Alle',
+    clear: 'Zurücksetzen',
+    level: 'Level',
+    favoritesOnly: 'Nur Favoriten',
+    sortBy: 'Sortieren nach',
+    sortAsc: 'Aufsteigend',
+    sortDesc: 'Absteigend',
+    sort: {
+      name: 'Name',
+      level: 'Level',
+      id: 'Nummer',
+    },
+    offline: 'Offline-Modus: Daten vom {date} werden angezeigt.',
+    loadError: 'Der Pokédex konnte nicht geladen werden: {error}',
+    count: '{count} Pokémon',
+    viewPages: 'Seiten',
+    viewScroll: 'Scrollen',
+    empty: 'Der Pokédex ist im Moment leer.',
+    noResults: 'Kein Pokémon entspricht deiner Suche.',
+    resetFilters: 'Filter zurücksetzen',
+  },
+
+  pokemonDetail: {
+    back: 'Zurück zur Liste',
+    notFound: 'Kein Pokémon hat die Kennung „{id}“.',
+    typeChart: 'Typentabelle',
+    deleteTitle: 'Dieses Pokémon löschen?',
+    deleteConfirm: 'Willst du {name} wirklich löschen? Du kannst es noch {seconds} Sekunden lang rückgängig machen.',
+  },
+
+  faq: {
+    title: 'Häufig gestellte Fragen (FAQ)',
+    search: 'In den FAQ suchen',
+    all: 'Alle',
+    noResults: 'Keine Frage passt zu „{query}“.',
+    empty: 'Die FAQ sind noch leer.',
+    add: 'Frage hinzufügen',
+    edit: 'Bearbeiten',
+    moveUp: 'Nach oben',
+    moveDown: 'Nach unten',
+    copyLink: 'Link zu dieser Frage kopieren',
+    linkCopied: 'Link kopiert',
+    linkCopyError: 'Der Link konnte nicht kopiert werden',
+    dragHint: 'Ziehe die Fragen, um ihre Reihenfolge zu ändern.',
+    bundledNotice: 'FAQ nicht verfügbar ({error}): Die in die Anwendung integrierte Version wird angezeigt und kann nicht bearbeitet werden.',
+    cacheNotice: 'FAQ nicht verfügbar ({error}): Die zuletzt empfangene Version wird angezeigt und kann nicht bearbeitet werden.',
+    form: {
+      createTitle: 'Neue Frage',
+      editTitle: 'Frage bearbeiten',
+      category: 'Kategorie',
+      question: 'Frage',
+      answer: 'Antwort',
+      markdownHint: 'Markdown: **fett**, *kursiv*, `Code`, [Link](https://…), Listen mit „- “',
+      write: 'Schreiben',
+      preview: 'Vorschau',
+      save: 'Speichern',
+      cancel: 'Abbrechen',
+      questionRequired: 'Die Frage ist erforderlich',
+      answerRequired: 'Die Antwort ist erforderlich',
+      categoryRequired: 'Die Kategorie ist erforderlich',
+      tooLong: 'Höchstens {max} Zeichen',
+    },
+    categories: {
+      general: 'Allgemein',
+      pokedex: 'Pokédex',
+      favorites: 'Favoriten',
+      account: 'Konto',
+    },
+    items: [
+      {
+        id: 'pokedex',
+        category: 'general',
+        question: 'Was ist ein Pokédex?',
+        answer: 'Ein Pokédex ist ein elektronisches Gerät, das die verschiedenen Pokémon-Arten auflistet und Informationen über sie liefert. Unsere Anwendung ist eine digitale Version dieses Werkzeugs.',
+      },
+      {
+        id: 'favoris',
+        category: 'favorites',
+        question: 'Wie füge ich ein Pokémon zu meinen Favoriten hinzu?',
+        answer: 'Klicke einfach auf das Herzsymbol auf der Karte des Pokémon. Das Symbol wird rot und zeigt so, dass das Pokémon jetzt zu deinen Favoriten gehört.',
+      },
+      {
+        id: 'types-multiples',
+        category: 'pokedex',
+        question: 'Warum haben manche Pokémon mehrere Typen?',
+        answer: 'Manche Pokémon vereinen Eigenschaften mehrerer Typen, was sich in ihren Fähigkeiten und Schwächen zeigt. Glurak zum Beispiel ist sowohl vom Typ Feuer als auch vom Typ Flug.',
+      },
+      {
+        id: 'recherche',
+        category: 'pokedex',
+        question: 'Wie funktioniert die Pokémon-Suche?',
+        answer: 'Gib einen Teil des Namens in die Suchleiste der [Startseite](/) ein: Die Liste wird schon während der Eingabe gefiltert, unabhängig von Groß- und Kleinschreibung und Akzenten. Auch die Namen der Typen werden durchsucht.\n\nDanach kannst du:\n\n- nach Typen (mindestens einer oder alle), nach Level filtern oder nur deine Favoriten anzeigen;\n- nach Name, Level oder Nummer sortieren.\n\nDie Kriterien bleiben in der Adresse der Seite erhalten: Du kannst sie teilen oder als Lesezeichen speichern.',
+      },
+      {
+        id: 'statistiques',
+        category: 'pokedex',
+        question: 'Was bedeuten die verschiedenen Werte der Pokémon?',
+        answer: 'Werte wie KP, Angriff, Verteidigung und Initiative sind die Basisfähigkeiten eines Pokémon. KP steht für die Kraftpunkte, Angriff für die Offensivkraft, Verteidigung für die Widerstandskraft und Initiative bestimmt die Reihenfolge im Kampf.',
+      },
+      {
+        id: 'mises-a-jour',
+        category: 'general',
+        question: 'Wird die Anwendung regelmäßig mit neuen Pokémon aktualisiert?',
+        answer: 'Ja, wir halten unsere Datenbank mit den zuletzt entdeckten Pokémon aktuell. Wie oft aktualisiert wird, hängt jedoch von neuen Spielen und offiziellen Informationen ab.',
+      },
+    ],
+  },
+
+  kantoMap: {
+    title: 'Die Pokémon-Welt',
+    imageAlt: 'Karte der Pokémon-Welt',
+    hint: 'Ziehen, um die Karte zu verschieben, mit dem Mausrad oder den Schaltflächen zoomen, dann einen Ort anklicken.',
+    zoomIn: 'Vergrößern',
+    zoomOut: 'Verkleinern',
+    reset: 'Auf Kanto zentrieren',
+    locationsTitle: 'Orte in Kanto',
+    level: 'Level {level}',
+    noPokemon: 'Hier lebt kein Pokémon aus dem Pokédex.',
+    pokemonCount: '{count} Pokémon',
+    whereToFind: 'Fundorte',
+    noLocation: 'Für dieses Pokémon ist kein Fundort bekannt.',
+    kinds: {
+      town: 'Stadt',
+      route: 'Route',
+      dungeon: 'Höhle, Wald oder Gebäude',
+    },
+    locations: {
+      'bourg-palette': 'Alabastia',
+      jadielle: 'Vertania City',
+      'foret-de-jade': 'Vertania-Wald',
+      argenta: 'Marmoria City',
+      'route-3': 'Route 3',
+      'mont-selenite': 'Mondberg',
+      azuria: 'Azuria City',
+      'caverne-azuree': 'Azurgrotte',
+      grotte: 'Felstunnel',
+      centrale: 'Kraftwerk',
+      lavanville: 'Lavandia',
+      celadopole: 'Prismania City',
+      safrania: 'Saffronia City',
+      'carmin-sur-mer': 'Orania City',
+      'route-12': 'Route 12',
+      parmanie: 'Fuchsania City',
+      'iles-ecume': 'Seeschauminseln',
+      'cramois-ile': 'Zinnoberinsel',
+      'route-victoire': 'Siegesstraße',
+      'plateau-indigo': 'Indigo Plateau',
+    },
+    sections: [
+      {
+        title: 'Ein faszinierendes Universum',
+        text: 'Die Pokémon-Welt ist ein weites, wundervolles Universum voller außergewöhnlicher Geschöpfe, der Pokémon. Diese Karte zeigt die Regionen, die Trainer erkunden können – jede mit eigenen Herausforderungen, einzigartigen Pokémon und spannenden Abenteuern.',
+      },
+      {
+        title: 'Vielfältige Regionen',
+        text: 'Von Kanto bis Galar, über Johto, Hoenn, Sinnoh, Einall, Kalos und Alola: Jede Region der Pokémon-Welt hat ihre eigene Identität, Kultur und ein einzigartiges Ökosystem. Die Landschaften reichen von verschneiten Bergen bis zu tropischen Inseln und bieten den Pokémon-Arten eine unglaubliche Vielfalt an Lebensräumen.',
+      },
+      {
+        title: 'Eine Welt im Wandel',
+        text: 'Die Pokémon-Welt wächst ständig: Regelmäßig werden neue Regionen, neue Pokémon-Arten und neue Abenteuer entdeckt. Diese Karte ist nur ein Ausschnitt eines reichen, sich stetig wandelnden Universums, das darauf wartet, von mutigen Trainern erkundet zu werden.',
+      },
+      {
+        title: 'Der Ruf des Abenteuers',
+        text: 'Ob Anfänger oder erfahrener Trainer: Die Pokémon-Welt lädt dich zum Abenteuer ein. Fange neue Pokémon, fordere Arenaleiter heraus, durchkreuze die Pläne finsterer Organisationen und werde vielleicht der nächste Pokémon-Meister. Das Abenteuer beginnt hier, auf dieser Karte – doch wohin wird es dich führen?',
+      },
+    ],
+  },
+
+  favorites: {
+    title: 'Meine Lieblings-Pokémon ({count})',
+    collection: 'Sammlung:',
+    allCollections: 'Alle',
+    noCollection: 'Ohne Sammlung',
+    manageCollections: 'Sammlungen verwalten',
+    sortBy: 'Sortieren nach',
+    sort: {
+      manual: 'Eigene Reihenfolge',
+      'added-desc': 'Zuletzt hinzugefügt',
+      'added-asc': 'Zuerst hinzugefügt',
+    },
+    dragHint: 'Ziehe die Karten, um ihre Reihenfolge zu ändern.',
+    addedOn: 'Hinzugefügt am {date}',
+    addedUnknown: 'Datum unbekannt',
+    editEntry: 'Notiz und Sammlungen von {name} bearbeiten',
+    emptyCollection: 'Kein Favorit in dieser Sammlung.',
+    showAll: 'Alle Favoriten anzeigen',
+    empty: 'Du hast noch keine Lieblings-Pokémon.',
+    backToList: 'Zurück zur Liste',
+    editTitle: 'Favorit: {name}',
+    collections: 'Sammlungen',
+    collectionsHint: 'Wähle eine Sammlung oder gib einen neuen Namen ein',
+    note: 'Persönliche Notiz',
+    collectionCount: '{count} Favorit(en)',
+    renameCollection: 'Sammlung {name} umbenennen',
+    deleteCollection: 'Sammlung {name} löschen',
+    noCollections: 'Noch keine Sammlung.',
+    renameLabel: 'Neuer Name für „{name}“',
+    newCollection: 'Neue Sammlung',
+    rename: 'Umbenennen',
+    create: 'Erstellen',
+    cancelRename: 'Umbenennen abbrechen',
+  },
+
+  teams: {
+    title: 'Meine Teams',
+    team: 'Team',
+    new: 'Neues Team',
+    rename: 'Umbenennen',
+    renameTitle: 'Team umbenennen',
+    name: 'Name des Teams',
+    empty: 'Du hast noch kein Team. Erstelle eines, um bis zu {max} Pokémon hineinzusetzen.',
+    emptySlot: 'Platz {number}: Ziehe ein Pokémon hierher',
+    addMember: '{name} zum Team hinzufügen',
+    removeMember: '{name} aus dem Team entfernen',
+    coverage: 'Typabdeckung',
+    coverageEmpty: 'Füge Pokémon hinzu, um das Team zu analysieren.',
+    sharedWeaknesses: 'Gemeinsame Schwächen',
+    sharedWeaknessesHint: 'Angriffstypen, die gegen mindestens {min} Mitglieder sehr effektiv sind.',
+    noSharedWeakness: 'Keine gemeinsame Schwäche.',
+    uncovered: 'Nicht abgedeckte Typen',
+    uncoveredHint: 'Kein Typ des Teams trifft sie sehr effektiv.',
+    allCovered: 'Alle Typen sind abgedeckt.',
+    duplicates: 'Doppelte Typen',
+    noDuplicate: 'Kein doppelter Typ.',
+    pool: 'Pokémon',
+    search: 'Suchen',
+    poolEmpty: 'Kein Pokémon verfügbar',
+    deleteTitle: 'Team löschen?',
+    deleteConfirm: 'Das Team „{name}“ wird endgültig gelöscht.',
+  },
+
+  typeChart: {
+    title: 'Typentabelle',
+    loadError: 'Die Typen konnten nicht geladen werden: {error}',
+    calculator: 'Rechner',
+    fromPokemon: 'Typen eines Pokémon übernehmen',
+    firstType: 'Erster Typ',
+    secondType: 'Zweiter Typ',
+    grid: 'Angriff / Verteidigung',
+    unknownTypes: 'Typen ohne Effektivitätsdaten: {types}.',
+  },
+
+  backup: {
+    title: 'Sicherung',
+    export: 'Exportieren',
+    summary: '{favorites} Favorit(en), {collections} Sammlung(en) und {pokemons} auf diesem Gerät erstellte(s) Pokémon.',
+    exportJson: 'Als JSON exportieren',
+    exportCsv: 'Als CSV exportieren',
+    exported: 'Sicherung exportiert',
+    fileName: 'pokedex-sicherung',
+    import: 'Importieren',
+    importButton: 'Importieren',
+    file: 'Sicherungsdatei (JSON oder CSV)',
+    fileRejected: 'Diese Datei kann nicht importiert werden',
+    exportedAt: 'Sicherung vom {date}.',
+    merge: 'Zusammenführen',
+    replace: 'Ersetzen',
+    modeHint: {
+      merge: 'Die Favoriten der Datei kommen zu deinen hinzu; deine Notizen und Sammlungen bleiben erhalten.',
+      replace: 'Deine Favoriten werden durch die der Datei ersetzt; von dir erstellte Pokémon, die nicht in der Datei stehen, werden gelöscht.',
+    },
+    conflictsTitle: '{count} Konflikt(e): Diese Einträge werden nicht unverändert importiert',
+    preview: 'Vorschau der Änderungen',
+    none: 'Keine',
+    unknownPokemon: 'Nr. {id}',
+    sections: {
+      favoritesAdded: 'Hinzugefügte Favoriten',
+      favoritesUpdated: 'Geänderte Favoriten',
+      favoritesRemoved: 'Entfernte Favoriten',
+      pokemonsCreated: 'Erstellte Pokémon',
+      pokemonsDeleted: 'Gelöschte Pokémon',
+    },
+    errors: {
+      read: 'Die Datei kann nicht gelesen werden: {error}',
+      firstLine: 'Erwartete erste Zeile: {expected}',
+      csvHeader: 'CSV-Kopfzeile fehlt (Spalte „kind“)',
+      csvKind: 'Unbekannte Zeilenart: „{kind}“',
+      notBackup: 'Die Datei enthält keine Sicherung des Pokédex',
+      json: 'Unlesbare JSON-Datei',
+      format: 'Unbekanntes Format „{format}“ (erwartet: {expected})',
+      version: 'Version {version} wird nicht unterstützt (höchstens Version {max})',
+      favorites: 'Die Liste der Favoriten fehlt oder ist ungültig',
+      collections: 'Die Liste der Sammlungen muss ein Array sein',
+      favoriteId: 'Jeder Favorit braucht eine Kennung',
+      noteText: 'Die Notiz muss ein Text sein',
+      entryCollections: 'Die Sammlungen müssen ein Array sein',
+      addedAt: 'Ungültiges Datum',
+      pokemons: 'Die Liste der Pokémon muss ein Array sein',
+      pokemon: 'Ungültiges Pokémon',
+      pokemonId: 'Kennung fehlt',
+      typeIds: 'Die Typen müssen eine Liste von Kennungen sein',
+    },
+    conflicts: {
+      duplicateInFile: '„{name}“ kommt mehrmals in der Datei vor: Nur das erste Vorkommen wird importiert',
+      duplicateName: 'Es gibt bereits ein Pokémon namens „{name}“: Es wird nicht neu erstellt',
+      unknownType: '„{name}“: unbekannte(r) Typ(en) {types} entfernt',
+      authCreate: '„{name}“: Melde dich an, um erstellte Pokémon zu importieren',
+      unknownId: 'Favorit Nr. {id}: Kein Pokémon passt dazu, er wird ignoriert',
+      authDelete: 'Melde dich an, um erstellte Pokémon zu löschen, die nicht in der Datei stehen',
+    },
+  },
+
+  pokemonForm: {
+    name: 'Name',
+    level: 'Level',
+    types: 'Typen',
+    typesHint: 'Höchstens {max} Typen',
+    description: 'Beschreibung',
+    save: 'Speichern',
+    add: 'Hinzufügen',
+    createTitle: 'Pokémon hinzufügen',
+    createAuth: 'Du musst angemeldet sein, um ein Pokémon hinzuzufügen.',
+    editTitle: 'Pokémon bearbeiten',
+    editAuth: 'Du musst angemeldet sein, um ein Pokémon zu bearbeiten.',
+    errors: {
+      nameRequired: 'Der Name ist erforderlich',
+      nameLength: 'Der Name muss zwischen {min} und {max} Zeichen lang sein',
+      nameTaken: 'Es gibt bereits ein Pokémon namens „{name}“',
+      levelRequired: 'Das Level ist erforderlich',
+      levelRange: 'Das Level muss eine ganze Zahl zwischen {min} und {max} sein',
+      typesList: 'Die Typen müssen eine Liste sein',
+      typesMax: 'Ein Pokémon hat höchstens {max} Typen',
+      typesDuplicate: 'Derselbe Typ kann nicht zweimal gewählt werden',
+      typesUnknown: 'Unbekannte(r) Typ(en): {types}',
+      imageUnknown: 'Unbekanntes Bild „{filename}“',
+      statsInvalid: 'Die Statuswerte sind ungültig',
+      statRange: '{stat}: ganze Zahl zwischen {min} und {max}',
+    },
+  },
+
+  pokemonStats: {
+    title: 'Statuswerte',
+    radar: 'Netzdiagramm',
+    bars: 'Balkendiagramm',
+    stat: 'Statuswert',
+    percentile: 'Perzentil {percentile}',
+    chart: 'Statuswerte von {name}',
+    chartCompare: 'Statuswerte von {name} und {other}',
+  },
+
+  compare: {
+    title: 'Pokémon vergleichen',
+    select: 'Zu vergleichende Pokémon',
+    hint: 'Wähle 2 bis {max} Pokémon',
+    emptyBefore: 'Wähle mindestens zwei Pokémon, hier oder mit der Schaltfläche',
+    emptyAfter: 'auf den Karten des Pokédex.',
+    remove: '{name} aus dem Vergleich entfernen',
+    types: 'Typen',
+    level: 'Level',
+    total: 'Summe der Statuswerte',
+    overlayMain: 'Pokémon',
+    overlayOther: 'Verglichen mit',
+    effectiveness: 'Typ-Effektivität',
+    effectivenessHint: 'Bester Multiplikator jedes Pokémon (Zeile) gegen die anderen (Spalten).',
+    attackDefense: 'Angriff ↓ / Verteidigung →',
+  },
+
+  pokemonCard: {
+    level: 'Level {level}',
+    addComparison: 'Zum Vergleich hinzufügen',
+    removeComparison: 'Aus dem Vergleich entfernen',
+    addFavorite: 'Zu den Favoriten hinzufügen',
+    removeFavorite: 'Aus den Favoriten entfernen',
+  },
+
+  typeMatchups: {
+    title: 'Schwächen und Resistenzen',
+    noType: 'Kein bekannter Typ: Die Schwächen können nicht berechnet werden.',
+    neutral: 'Keine besonderen Schwächen oder Resistenzen.',
+  },
+
+  offlineStatus: {
+    offline: 'Du bist offline. Die angezeigten Daten stammen aus dem Cache.',
+    pending: '{count} Änderung(en) warten auf das Senden.',
+    conflicts: 'Konflikte:',
+    conflict: {
+      create: 'Hinzufügen von {name}',
+      update: 'Änderung von {name}',
+      delete: 'Löschen von {name}',
+    },
+    clear: 'Leeren',
+    syncing: 'Synchronisierung…',
+    offlineShort: 'Offline',
+    conflictCount: '{count} Konflikt(e)',
+    pendingShort: '{count} ausstehend',
+  },
+
+  imagePicker: {
+    title: 'Bild',
+    search: 'Bild suchen',
+    searchEmpty: 'Kein Bild entspricht der Suche',
+    offline: 'Bilderliste nicht verfügbar: Nur bekannte Bilder werden angeboten, Hochladen ist nicht möglich',
+    selected: 'Gewähltes Bild: {filename}',
+    none: 'Kein Bild gewählt',
+    clear: 'Bild entfernen',
+    browse: 'Bild zum Hochladen auswählen',
+    dropHint: 'Bild hier ablegen oder klicken, um eines auszuwählen',
+    constraints: '{types} · höchstens {max} · quadratisch auf {size} px zugeschnitten',
+    cropTitle: 'Neues Bild zuschneiden',
+    preview: 'Vorschau des zugeschnittenen Bildes',
+    zoom: 'Zoom',
+    horizontal: 'Horizontal',
+    vertical: 'Vertikal',
+    filename: 'Dateiname',
+    resetCrop: 'Zurücksetzen',
+    cancel: 'Abbrechen',
+    upload: 'Hochladen',
+    sizeKb: '{size} KB',
+    sizeMb: '{size} MB',
+    errors: {
+      required: 'Wähle eine Datei aus',
+      type: 'Format nicht unterstützt (PNG, JPEG, WebP oder GIF)',
+      size: 'Die Datei darf höchstens {max} groß sein',
+      unreadable: 'Dieses Bild kann nicht gelesen werden',
+      filenameRequired: 'Der Dateiname muss mindestens einen Buchstaben oder eine Ziffer enthalten',
+    },
+  },
+
+  login: {
+    title: 'Anmeldung',
+    redirect: 'Melde dich an, um diese Seite zu öffnen.',
+    email: 'E-Mail',
+    password: 'Passwort',
+    submit: 'Anmelden',
+    required: 'Dieses Feld ist erforderlich',
+  },
+
+  notFound: {
+    title: 'Hoppla! Seite nicht gefunden (404)',
+    text: 'Die gesuchte Seite existiert nicht oder wurde verschoben.',
+    home: 'Zurück zur Startseite',
+  },
+
+  api: {
+    cancelled: 'Anfrage abgebrochen',
+    unreachable: 'Der Server ist nicht erreichbar',
+    serverError: 'Serverfehler ({status})',
+    emptyResponse: 'Leere Antwort des Servers',
+  },
+
+  auth: {
+    loginSuccess: 'Anmeldung erfolgreich',
+    loginError: 'Falsche E-Mail-Adresse oder falsches Passwort!',
+    logoutSuccess: 'Abmeldung erfolgreich',
+    sessionExpired: 'Deine Sitzung ist abgelaufen, bitte melde dich erneut an',
+    sessionInvalid: 'Deine Sitzung ist nicht mehr gültig, bitte melde dich erneut an',
+  },
+
+  locale: {
+    changed: 'Sprache: {name}',
+    reloadError: 'Sprache geändert, aber die Daten konnten nicht neu geladen werden: {error}',
+  },
+
+  store: {
+    localizedDataReloaded: 'Daten in der neuen Sprache neu geladen',
+    loadTypesError: 'Fehler beim Laden der Typen',
+    loadPokemonsError: 'Fehler beim Laden der Pokémon',
+    loadPokemonError: 'Fehler beim Laden des Pokémon',
+    pokemon: {
+      fallbackName: 'Pokémon',
+      created: 'Pokémon erfolgreich hinzugefügt!',
+      createError: 'Fehler beim Hinzufügen des Pokémon',
+      updated: 'Pokémon erfolgreich geändert!',
+      updateError: 'Fehler beim Ändern des Pokémon',
+      deleted: '{name} gelöscht',
+      deleteConfirmed: 'Pokémon erfolgreich gelöscht!',
+      alreadyDeleted: 'Pokémon bereits gelöscht',
+      deleteError: 'Fehler beim Löschen des Pokémon',
+      undoExpired: 'Diese Löschung kann nicht mehr rückgängig gemacht werden',
+      restored: '{name} wiederhergestellt',
+      recreated: '{name} wurde neu angelegt',
+      recreateError: '{name} konnte nicht neu angelegt werden',
+      notFound: 'Pokémon nicht gefunden',
+    },
+    offline: {
+      create: 'Offline: Das Pokémon wird hinzugefügt, sobald die Verbindung zurück ist',
+      update: 'Offline: Die Änderung wird gesendet, sobald die Verbindung zurück ist',
+      delete: 'Offline: Die Löschung wird gesendet, sobald die Verbindung zurück ist',
+      deletedBeforeSync: 'Pokémon gelöscht (es war noch nicht an den Server gesendet worden)',
+      modifiedOnServer: 'Dieses Pokémon wurde inzwischen auf dem Server geändert',
+      createRejected: 'Der Server hat das Hinzufügen dieses Pokémon abgelehnt',
+      updateRejected: 'Dieses Pokémon existiert auf dem Server nicht mehr',
+      deleteRejected: 'Der Server hat das Löschen dieses Pokémon abgelehnt',
+      synced: '{count} Offline-Änderung(en) gesendet',
+      syncedWithConflicts: '{count} Offline-Änderung(en) gesendet, {conflicts} Konflikt(e)',
+    },
+    favorites: {
+      savedLocally: 'Favoriten auf diesem Gerät gespeichert',
+      synced: 'Favoriten mit deinem Konto synchronisiert',
+      syncError: 'Favoriten konnten nicht synchronisiert werden',
+      added: '{name} zu den Favoriten hinzugefügt',
+      removed: '{name} aus den Favoriten entfernt',
+      updateError: 'Favoriten konnten nicht aktualisiert werden',
+      notFavorite: 'Dieses Pokémon ist nicht in deinen Favoriten',
+      noteTooLong: 'Die Notiz darf höchstens {max} Zeichen lang sein',
+      updated: 'Favorit aktualisiert',
+      notFound: 'Favorit nicht gefunden',
+      orderUnchanged: 'Reihenfolge der Favoriten unverändert',
+      orderUpdated: 'Reihenfolge der Favoriten aktualisiert',
+      restored: 'Favoriten wiederhergestellt',
+      imported: 'Favoriten importiert',
+    },
+    collections: {
+      nameRequired: 'Der Name der Sammlung ist erforderlich',
+      nameTooLong: 'Der Name darf höchstens {max} Zeichen lang sein',
+      duplicate: 'Es gibt bereits eine Sammlung mit diesem Namen',
+      created: 'Sammlung „{name}“ erstellt',
+      renamed: 'Sammlung umbenannt',
+      deleted: 'Sammlung „{name}“ gelöscht',
+      notFound: 'Sammlung nicht gefunden',
+    },
+    comparison: {
+      alreadyIn: '{name} ist bereits im Vergleich',
+      full: 'Du kannst höchstens {max} Pokémon vergleichen',
+      added: '{name} zum Vergleich hinzugefügt',
+      removed: '{name} aus dem Vergleich entfernt',
+    },
+    import: {
+      summary: '{favorites} Favorit(en), {created} Pokémon angelegt',
+      done: 'Import abgeschlossen: {summary}',
+      doneWithErrors: 'Import mit {count} Fehler(n) abgeschlossen ({summary})',
+    },
+    faq: {
+      loaded: 'FAQ geladen',
+      loadError: 'Fehler beim Laden der FAQ',
+      notFound: 'Frage nicht gefunden',
+      readOnly: 'Die FAQ können ohne Verbindung zum Server nicht bearbeitet werden',
+      created: 'Frage hinzugefügt',
+      updated: 'Frage geändert',
+      saveError: 'Fehler beim Speichern der Frage',
+      orderUnchanged: 'Reihenfolge unverändert',
+      orderUpdated: 'Reihenfolge der FAQ aktualisiert',
+      orderError: 'Die Reihenfolge der FAQ konnte nicht geändert werden',
+    },
+    images: {
+      loaded: 'Bilder geladen',
+      loadError: 'Fehler beim Laden der Bilder',
+      readOnly: 'Ohne Verbindung zum Server können keine Bilder hochgeladen werden',
+      uploaded: 'Bild „{filename}“ hochgeladen',
+      uploadError: 'Fehler beim Hochladen des Bildes',
+    },
+    teams: {
+      defaultName: 'Team',
+      nameRequired: 'Der Name des Teams ist erforderlich',
+      duplicate: 'Es gibt bereits ein Team mit diesem Namen',
+      created: 'Team „{name}“ erstellt',
+      renamed: 'Team umbenannt',
+      deleted: 'Team „{name}“ gelöscht',
+      notFound: 'Team nicht gefunden',
+      slotNotFound: 'Platz nicht gefunden',
+      updated: 'Team aktualisiert',
+      alreadyIn: '{name} ist bereits im Team',
+      full: 'Ein Team hat höchstens {max} Pokémon',
+      added: '{name} zum Team „{team}“ hinzugefügt',
+    },
+  },
+}
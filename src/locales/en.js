@@ -0,0 +1,610 @@
+// src/locales/en.js
+
+/**
+ * English message catalog (same keys as src/locales/fr.js).
+ */
+export default {
+  common: {
+    stats: {
+      hp: 'HP',
+      attack: 'Attack',
+      defense: 'Defense',
+      speed: 'Speed',
+    },
+    close: 'Close',
+    retry: 'Retry',
+    cancel: 'Cancel',
+    delete: 'Delete',
+    undo: 'Undo',
+    edit: 'Edit',
+    save: 'Save',
+    unknownType: 'Unknown type',
+    typeNotFound: 'Type No. {id} not found',
+  },
+
+  header: {
+    menu: {
+      home: 'Home',
+      faq: 'FAQ',
+      favorites: 'Favorites',
+      compare: 'Compare',
+      types: 'Types',
+      teams: 'Teams',
+      backup: 'Backup',
+      map: 'Kanto map',
+    },
+    language: 'Language',
+    theme: {
+      label: 'Theme',
+      light: 'Light',
+      dark: 'Dark',
+      system: 'System',
+      highContrast: 'High contrast',
+    },
+    login: 'Log in',
+    logout: 'Log out',
+  },
+
+  home: {
+    title: 'Pokédex',
+    add: 'Add a Pokémon',
+    search: 'Search for a Pokémon',
+    types: 'Types:',
+    matchAny: 'At least one',
+    matchAll: 'All',
+    clear: 'Clear',
+    level: 'Level',
+    favoritesOnly: 'Favorites only',
+    sortBy: 'Sort by',
+    sortAsc: 'Ascending order',
+    sortDesc: 'Descending order',
+    sort: {
+      name: 'Name',
+      level: 'Level',
+      id: 'Number',
+    },
+    offline: 'Offline mode: showing data from {date}.',
+    loadError: 'Unable to load the Pokédex: {error}',
+    count: '{count} Pokémon',
+    viewPages: 'Pages',
+    viewScroll: 'Scrolling',
+    empty: 'The Pokédex is empty for now.',
+    noResults: 'No Pokémon matches your search.',
+    resetFilters: 'Reset filters',
+  },
+
+  pokemonDetail: {
+    back: 'Back to the list',
+    notFound: 'No Pokémon matches the ID “{id}”.',
+    typeChart: 'Type chart',
+    deleteTitle: 'Delete this Pokémon?',
+    deleteConfirm: 'Do you really want to delete {name}? You can still undo it for {seconds} seconds.',
+  },
+
+  faq: {
+    title: 'Frequently Asked Questions (FAQ)',
+    search: 'Search the FAQ',
+    all: 'All',
+    noResults: 'No question matches “{query}”.',
+    empty: 'The FAQ is empty for now.',
+    add: 'Add a question',
+    edit: 'Edit',
+    moveUp: 'Move up',
+    moveDown: 'Move down',
+    copyLink: 'Copy the link to this question',
+    linkCopied: 'Link copied',
+    linkCopyError: 'Could not copy the link',
+    dragHint: 'Drag the questions to change their order.',
+    bundledNotice: 'FAQ unavailable ({error}): showing the version bundled with the application, read-only.',
+    cacheNotice: 'FAQ unavailable ({error}): showing the last version received, read-only.',
+    form: {
+      createTitle: 'New question',
+      editTitle: 'Edit the question',
+      category: 'Category',
+      question: 'Question',
+      answer: 'Answer',
+      markdownHint: 'Markdown: **bold**, *italic*, `code`, [link](https://…), lists with “- ”',
+      write: 'Write',
+      preview: 'Preview',
+      save: 'Save',
+      cancel: 'Cancel',
+      questionRequired: 'The question is required',
+      answerRequired: 'The answer is required',
+      categoryRequired: 'The category is required',
+      tooLong: '{max} characters at most',
+    },
+    categories: {
+      general: 'General',
+      pokedex: 'Pokédex',
+      favorites: 'Favorites',
+      account: 'Account',
+    },
+    items: [
+      {
+        id: 'pokedex',
+        category: 'general',
+        question: 'What is a Pokédex?',
+        answer: 'A Pokédex is an electronic device that lists the different Pokémon species and provides information about them. Our application is a digital version of this tool.',
+      },
+      {
+        id: 'favoris',
+        category: 'favorites',
+        question: 'How can I add a Pokémon to my favorites?',
+        answer: 'To add a Pokémon to your favorites, simply click the heart icon on the Pokémon\'s card. The icon turns red to show that the Pokémon is now in your favorites.',
+      },
+      {
+        id: 'types-multiples',
+        category: 'pokedex',
+        question: 'Why do some Pokémon have several types?',
+        answer: 'Some Pokémon have traits of several types, which shows in their abilities and weaknesses. For example, Charizard is both a Fire and a Flying type.',
+      },
+      {
+        id: 'recherche',
+        category: 'pokedex',
+        question: 'How does the Pokémon search work?',
+        answer: 'Type part of the name in the search bar on the [home page](/): the list is filtered as you type, ignoring case and accents. Type names are searched too.\n\nYou can then:\n\n- filter by types (at least one or all), by level, or show only your favorites;\n- sort by name, level or number.\n\nThe criteria are kept in the page address, so you can share it or bookmark it.',
+      },
+      {
+        id: 'statistiques',
+        category: 'pokedex',
+        question: 'What do the different Pokémon stats mean?',
+        answer: 'Stats such as HP, Attack, Defense and Speed are a Pokémon\'s base abilities. HP stands for hit points, Attack for offensive power, Defense for resistance to attacks, and Speed decides the order of action in battle.',
+      },
+      {
+        id: 'mises-a-jour',
+        category: 'general',
+        question: 'Is the application regularly updated with new Pokémon?',
+        answer: 'Yes, we do our best to keep our database up to date with the latest Pokémon discovered. The frequency of updates may vary with new game releases and official information.',
+      },
+    ],
+  },
+
+  kantoMap: {
+    title: 'The Pokémon World',
+    imageAlt: 'Map of the Pokémon world',
+    hint: 'Drag to move the map, zoom with the mouse wheel or the buttons, then click a location.',
+    zoomIn: 'Zoom in',
+    zoomOut: 'Zoom out',
+    reset: 'Center on Kanto',
+    locationsTitle: 'Kanto locations',
+    level: 'Level {level}',
+    noPokemon: 'No Pokémon from the Pokédex lives here.',
+    pokemonCount: '{count} Pokémon',
+    whereToFind: 'Where to find it',
+    noLocation: 'No known location for this Pokémon.',
+    kinds: {
+      town: 'Town',
+      route: 'Route',
+      dungeon: 'Cave, forest or building',
+    },
+    locations: {
+      'bourg-palette': 'Pallet Town',
+      jadielle: 'Viridian City',
+      'foret-de-jade': 'Viridian Forest',
+      argenta: 'Pewter City',
+      'route-3': 'Route 3',
+      'mont-selenite': 'Mt. Moon',
+      azuria: 'Cerulean City',
+      'caverne-azuree': 'Cerulean Cave',
+      grotte: 'Rock Tunnel',
+      centrale: 'Power Plant',
+      lavanville: 'Lavender Town',
+      celadopole: 'Celadon City',
+      safrania: 'Saffron City',
+      'carmin-sur-mer': 'Vermilion City',
+      'route-12': 'Route 12',
+      parmanie: 'Fuchsia City',
+      'iles-ecume': 'Seafoam Islands',
+      'cramois-ile': 'Cinnabar Island',
+      'route-victoire': 'Victory Road',
+      'plateau-indigo': 'Indigo Plateau',
+    },
+    sections: [
+      {
+        title: 'A fascinating universe to discover',
+        text: 'The Pokémon world is a vast and wonderful universe inhabited by extraordinary creatures called Pokémon. This map shows the different regions trainers can explore, each with its own challenges, unique Pokémon and thrilling adventures.',
+      },
+      {
+        title: 'Diverse regions',
+        text: 'From Kanto to Galar, through Johto, Hoenn, Sinnoh, Unova, Kalos and Alola, each region of the Pokémon world has its own identity, culture and unique ecosystem. Landscapes range from snowy mountains to tropical islands, offering an amazing variety of habitats for the different Pokémon species.',
+      },
+      {
+        title: 'An ever-changing world',
+        text: 'The Pokémon world keeps growing, with new regions, new Pokémon species and new adventures discovered regularly. This map is only a glimpse of a rich and ever-changing universe, ready to be explored by daring trainers.',
+      },
+      {
+        title: 'A call to adventure',
+        text: 'Whether you are a beginner or an experienced trainer, the Pokémon world invites you on an adventure. Catch new Pokémon, challenge gym leaders, foil the plans of villainous teams and perhaps become the next Pokémon Master. The adventure starts here, on this map, but where will it take you?',
+      },
+    ],
+  },
+
+  favorites: {
+    title: 'My favorite Pokémon ({count})',
+    collection: 'Collection:',
+    allCollections: 'All',
+    noCollection: 'No collection',
+    manageCollections: 'Manage collections',
+    sortBy: 'Sort by',
+    sort: {
+      manual: 'Custom order',
+      'added-desc': 'Most recently added',
+      'added-asc': 'Oldest added',
+    },
+    dragHint: 'Drag the cards to change their order.',
+    addedOn: 'Added on {date}',
+    addedUnknown: 'Date added unknown',
+    editEntry: 'Edit the note and collections of {name}',
+    emptyCollection: 'No favorite in this collection.',
+    showAll: 'Show all favorites',
+    empty: 'You have no favorite Pokémon yet.',
+    backToList: 'Back to the list',
+    editTitle: 'Favorite: {name}',
+    collections: 'Collections',
+    collectionsHint: 'Choose a collection or type a new name',
+    note: 'Personal note',
+    collectionCount: '{count} favorite(s)',
+    renameCollection: 'Rename the collection {name}',
+    deleteCollection: 'Delete the collection {name}',
+    noCollections: 'No collection yet.',
+    renameLabel: 'New name for “{name}”',
+    newCollection: 'New collection',
+    rename: 'Rename',
+    create: 'Create',
+    cancelRename: 'Cancel renaming',
+  },
+
+  teams: {
+    title: 'My teams',
+    team: 'Team',
+    new: 'New team',
+    rename: 'Rename',
+    renameTitle: 'Rename the team',
+    name: 'Team name',
+    empty: 'You have no team yet. Create one to put up to {max} Pokémon in it.',
+    emptySlot: 'Slot {number}: drag a Pokémon here',
+    addMember: 'Add {name} to the team',
+    removeMember: 'Remove {name} from the team',
+    coverage: 'Type coverage',
+    coverageEmpty: 'Add Pokémon to analyze the team.',
+    sharedWeaknesses: 'Shared weaknesses',
+    sharedWeaknessesHint: 'Attack types that are super effective against at least {min} members.',
+    noSharedWeakness: 'No shared weakness.',
+    uncovered: 'Uncovered types',
+    uncoveredHint: 'No type in the team hits them super effectively.',
+    allCovered: 'All types are covered.',
+    duplicates: 'Duplicate types',
+    noDuplicate: 'No duplicate type.',
+    pool: 'Pokémon',
+    search: 'Search',
+    poolEmpty: 'No Pokémon available',
+    deleteTitle: 'Delete the team?',
+    deleteConfirm: 'The team “{name}” will be permanently deleted.',
+  },
+
+  typeChart: {
+    title: 'Type chart',
+    loadError: 'Unable to load the types: {error}',
+    calculator: 'Calculator',
+    fromPokemon: 'Use the types of a Pokémon',
+    firstType: 'First type',
+    secondType: 'Second type',
+    grid: 'Attack / defense',
+    unknownTypes: 'Types without effectiveness data: {types}.',
+  },
+
+  backup: {
+    title: 'Backup',
+    export: 'Export',
+    summary: '{favorites} favorite(s), {collections} collection(s) and {pokemons} Pokémon created on this device.',
+    exportJson: 'Export as JSON',
+    exportCsv: 'Export as CSV',
+    exported: 'Backup exported',
+    fileName: 'pokedex-backup',
+    import: 'Import',
+    importButton: 'Import',
+    file: 'Backup file (JSON or CSV)',
+    fileRejected: 'This file cannot be imported',
+    exportedAt: 'Backup from {date}.',
+    merge: 'Merge',
+    replace: 'Replace',
+    modeHint: {
+      merge: 'The favorites in the file are added to yours; your notes and collections are kept.',
+      replace: 'Your favorites are replaced by those in the file; Pokémon you created that are not in the file are deleted.',
+    },
+    conflictsTitle: '{count} conflict(s): these items will not be imported as is',
+    preview: 'Preview of the changes',
+    none: 'None',
+    unknownPokemon: 'No. {id}',
+    sections: {
+      favoritesAdded: 'Favorites added',
+      favoritesUpdated: 'Favorites updated',
+      favoritesRemoved: 'Favorites removed',
+      pokemonsCreated: 'Pokémon created',
+      pokemonsDeleted: 'Pokémon deleted',
+    },
+    errors: {
+      read: 'Unable to read the file: {error}',
+      firstLine: 'Expected first line: {expected}',
+      csvHeader: 'Missing CSV header row (“kind” column)',
+      csvKind: 'Unknown row kind: “{kind}”',
+      notBackup: 'The file does not contain a Pokédex backup',
+      json: 'Unreadable JSON file',
+      format: 'Unknown format “{format}” (expected: {expected})',
+      version: 'Version {version} is not supported (version {max} at most)',
+      favorites: 'The list of favorites is missing or invalid',
+      collections: 'The list of collections must be an array',
+      favoriteId: 'Each favorite must have an ID',
+      noteText: 'The note must be text',
+      entryCollections: 'Collections must be an array',
+      addedAt: 'Invalid date added',
+      pokemons: 'The list of Pokémon must be an array',
+      pokemon: 'Invalid Pokémon',
+      pokemonId: 'Missing ID',
+      typeIds: 'Types must be a list of IDs',
+    },
+    conflicts: {
+      duplicateInFile: '“{name}” appears several times in the file: only the first occurrence is imported',
+      duplicateName: 'A Pokémon named “{name}” already exists: it is not created again',
+      unknownType: '“{name}”: unknown type(s) {types} removed',
+      authCreate: '“{name}”: log in to import created Pokémon',
+      unknownId: 'Favorite No. {id}: no Pokémon matches, it is ignored',
+      authDelete: 'Log in to delete created Pokémon that are not in the file',
+    },
+  },
+
+  pokemonForm: {
+    name: 'Name',
+    level: 'Level',
+    types: 'Types',
+    typesHint: 'Up to {max} types',
+    description: 'Description',
+    save: 'Save',
+    add: 'Add',
+    createTitle: 'Add a Pokémon',
+    createAuth: 'You must be logged in to add a Pokémon.',
+    editTitle: 'Edit a Pokémon',
+    editAuth: 'You must be logged in to edit a Pokémon.',
+    errors: {
+      nameRequired: 'The name is required',
+      nameLength: 'The name must be between {min} and {max} characters long',
+      nameTaken: 'A Pokémon named “{name}” already exists',
+      levelRequired: 'The level is required',
+      levelRange: 'The level must be a whole number between {min} and {max}',
+      typesList: 'Types must be a list',
+      typesMax: 'A Pokémon has at most {max} types',
+      typesDuplicate: 'The same type cannot be chosen twice',
+      typesUnknown: 'Unknown type(s): {types}',
+      imageUnknown: 'Unknown image “{filename}”',
+      statsInvalid: 'The stats are invalid',
+      statRange: '{stat}: whole number between {min} and {max}',
+    },
+  },
+
+  pokemonStats: {
+    title: 'Stats',
+    radar: 'Radar chart',
+    bars: 'Bar chart',
+    stat: 'Stat',
+    percentile: 'percentile {percentile}',
+    chart: 'Stats of {name}',
+    chartCompare: 'Stats of {name} and {other}',
+  },
+
+  compare: {
+    title: 'Compare Pokémon',
+    select: 'Pokémon to compare',
+    hint: 'Choose 2 to {max} Pokémon',
+    emptyBefore: 'Choose at least two Pokémon, here or with the',
+    emptyAfter: 'button on the Pokédex cards.',
+    remove: 'Remove {name} from the comparison',
+    types: 'Types',
+    level: 'Level',
+    total: 'Stat total',
+    overlayMain: 'Pokémon',
+    overlayOther: 'Compared with',
+    effectiveness: 'Type effectiveness',
+    effectivenessHint: 'Best multiplier of each Pokémon (row) against the others (columns).',
+    attackDefense: 'Attack ↓ / Defense →',
+  },
+
+  pokemonCard: {
+    level: 'Level {level}',
+    addComparison: 'Add to the comparison',
+    removeComparison: 'Remove from the comparison',
+    addFavorite: 'Add to favorites',
+    removeFavorite: 'Remove from favorites',
+  },
+
+  typeMatchups: {
+    title: 'Weaknesses and resistances',
+    noType: 'No known type: weaknesses cannot be calculated.',
+    neutral: 'No particular weakness or resistance.',
+  },
+
+  offlineStatus: {
+    offline: 'You are offline. The data shown comes from the cache.',
+    pending: '{count} change(s) waiting to be sent.',
+    conflicts: 'Conflicts:',
+    conflict: {
+      create: 'Adding {name}',
+      update: 'Updating {name}',
+      delete: 'Deleting {name}',
+    },
+    clear: 'Clear',
+    syncing: 'Syncing…',
+    offlineShort: 'Offline',
+    conflictCount: '{count} conflict(s)',
+    pendingShort: '{count} pending',
+  },
+
+  imagePicker: {
+    title: 'Image',
+    search: 'Search images',
+    searchEmpty: 'No image matches the search',
+    offline: 'Image list unavailable: only known images are offered and uploading is disabled',
+    selected: 'Selected image: {filename}',
+    none: 'No image selected',
+    clear: 'Remove image',
+    browse: 'Choose an image to upload',
+    dropHint: 'Drop an image here or click to choose one',
+    constraints: '{types} · up to {max} · cropped to a {size} px square',
+    cropTitle: 'Crop the new image',
+    preview: 'Preview of the cropped image',
+    zoom: 'Zoom',
+    horizontal: 'Horizontal',
+    vertical: 'Vertical',
+    filename: 'File name',
+    resetCrop: 'Reset',
+    cancel: 'Cancel',
+    upload: 'Upload',
+    sizeKb: '{size} KB',
+    sizeMb: '{size} MB',
+    errors: {
+      required: 'Choose a file',
+      type: 'Unsupported format (PNG, JPEG, WebP or GIF)',
+      size: 'The file must not exceed {max}',
+      unreadable: 'This image cannot be read',
+      filenameRequired: 'The file name must contain at least one letter or digit',
+    },
+  },
+
+  login: {
+    title: 'Log in',
+    redirect: 'Log in to access this page.',
+    email: 'Email',
+    password: 'Password',
+    submit: 'Log in',
+    required: 'This field is required',
+  },
+
+  notFound: {
+    title: 'Oops! Page not found (404)',
+    text: 'The page you are looking for does not exist or has been moved.',
+    home: 'Back to home',
+  },
+
+  api: {
+    cancelled: 'Request cancelled',
+    unreachable: 'Unable to reach the server',
+    serverError: 'Server error ({status})',
+    emptyResponse: 'Empty response from the server',
+  },
+
+  auth: {
+    loginSuccess: 'Logged in',
+    loginError: 'Wrong email or password!',
+    logoutSuccess: 'Logged out',
+    sessionExpired: 'Your session has expired, please log in again',
+    sessionInvalid: 'Your session is no longer valid, please log in again',
+  },
+
+  locale: {
+    changed: 'Language: {name}',
+    reloadError: 'Language changed, but the data could not be reloaded: {error}',
+  },
+
+  store: {
+    localizedDataReloaded: 'Data reloaded in the new language',
+    loadTypesError: 'Error while loading the types',
+    loadPokemonsError: 'Error while loading the Pokémon',
+    loadPokemonError: 'Error while loading the Pokémon',
+    pokemon: {
+      fallbackName: 'Pokémon',
+      created: 'Pokémon added!',
+      createError: 'Error while adding the Pokémon',
+      updated: 'Pokémon updated!',
+      updateError: 'Error while updating the Pokémon',
+      deleted: '{name} deleted',
+      deleteConfirmed: 'Pokémon deleted!',
+      alreadyDeleted: 'Pokémon already deleted',
+      deleteError: 'Error while deleting the Pokémon',
+      undoExpired: 'This deletion can no longer be undone',
+      restored: '{name} restored',
+      recreated: '{name} has been recreated',
+      recreateError: 'Unable to recreate {name}',
+      notFound: 'Pokémon not found',
+    },
+    offline: {
+      create: 'Offline: the Pokémon will be added when the connection is back',
+      update: 'Offline: the change will be sent when the connection is back',
+      delete: 'Offline: the deletion will be sent when the connection is back',
+      deletedBeforeSync: 'Pokémon deleted (it had not been sent to the server yet)',
+      modifiedOnServer: 'This Pokémon was changed on the server in the meantime',
+      createRejected: 'The server refused to add this Pokémon',
+      updateRejected: 'This Pokémon no longer exists on the server',
+      deleteRejected: 'The server refused to delete this Pokémon',
+      synced: '{count} offline change(s) sent',
+      syncedWithConflicts: '{count} offline change(s) sent, {conflicts} conflict(s)',
+    },
+    favorites: {
+      savedLocally: 'Favorites saved on this device',
+      synced: 'Favorites synced with your account',
+      syncError: 'Unable to sync favorites',
+      added: '{name} added to favorites',
+      removed: '{name} removed from favorites',
+      updateError: 'Unable to update favorites',
+      notFavorite: 'This Pokémon is not in your favorites',
+      noteTooLong: 'The note must not exceed {max} characters',
+      updated: 'Favorite updated',
+      notFound: 'Favorite not found',
+      orderUnchanged: 'Favorites order unchanged',
+      orderUpdated: 'Favorites order updated',
+      restored: 'Favorites restored',
+      imported: 'Favorites imported',
+    },
+    collections: {
+      nameRequired: 'The collection name is required',
+      nameTooLong: 'The name must not exceed {max} characters',
+      duplicate: 'A collection with this name already exists',
+      created: 'Collection "{name}" created',
+      renamed: 'Collection renamed',
+      deleted: 'Collection "{name}" deleted',
+      notFound: 'Collection not found',
+    },
+    comparison: {
+      alreadyIn: '{name} is already in the comparison',
+      full: 'You can compare up to {max} Pokémon',
+      added: '{name} added to the comparison',
+      removed: '{name} removed from the comparison',
+    },
+    import: {
+      summary: '{favorites} favorite(s), {created} Pokémon created',
+      done: 'Import finished: {summary}',
+      doneWithErrors: 'Import finished with {count} error(s) ({summary})',
+    },
+    faq: {
+      loaded: 'FAQ loaded',
+      loadError: 'Error while loading the FAQ',
+      notFound: 'Question not found',
+      readOnly: 'The FAQ cannot be edited without a connection to the server',
+      created: 'Question added',
+      updated: 'Question updated',
+      saveError: 'Error while saving the question',
+      orderUnchanged: 'Order unchanged',
+      orderUpdated: 'FAQ order updated',
+      orderError: 'Could not change the order of the FAQ',
+    },
+    images: {
+      loaded: 'Images loaded',
+      loadError: 'Error while loading images',
+      readOnly: 'Images cannot be uploaded without a connection to the server',
+      uploaded: 'Image “{filename}” uploaded',
+      uploadError: 'Error while uploading the image',
+    },
+    teams: {
+      defaultName: 'Team',
+      nameRequired: 'The team name is required',
+      duplicate: 'A team with this name already exists',
+      created: 'Team "{name}" created',
+      renamed: 'Team renamed',
+      deleted: 'Team "{name}" deleted',
+      notFound: 'Team not found',
+      slotNotFound: 'Slot not found',
+      updated: 'Team updated',
+      alreadyIn: '{name} is already in the team',
+      full: 'A team has at most {max} Pokémon',
+      added: '{name} added to team "{team}"',
+    },
+  },
+}
@@ -0,0 +1,611 @@
+// src/locales/fr.js
+
+/**
+ * Catalogue de messages en français (langue par défaut et de repli).
+ * Les paramètres s'écrivent entre accolades : `{name}` (voir `t` dans src/plugins/i18n.js).
+ */
+export default {
+  common: {
+    stats: {
+      hp: 'PV',
+      attack: 'Attaque',
+      defense: 'Défense',
+      speed: 'Vitesse',
+    },
+    close: 'Fermer',
+    retry: 'Réessayer',
+    cancel: 'Annuler',
+    delete: 'Supprimer',
+    undo: 'Annuler',
+    edit: 'Modifier',
+    save: 'Enregistrer',
+    unknownType: 'Type inconnu',
+    typeNotFound: 'Type n°{id} introuvable',
+  },
+
+  header: {
+    menu: {
+      home: 'Accueil',
+      faq: 'FAQ',
+      favorites: 'Favoris',
+      compare: 'Comparer',
+      types: 'Types',
+      teams: 'Équipes',
+      backup: 'Sauvegarde',
+      map: 'Carte de Kanto',
+    },
+    language: 'Langue',
+    theme: {
+      label: 'Thème',
+      light: 'Clair',
+      dark: 'Sombre',
+      system: 'Système',
+      highContrast: 'Contraste élevé',
+    },
+    login: 'Connexion',
+    logout: 'Se déconnecter',
+  },
+
+  home: {
+    title: 'Pokédex',
+    add: 'Ajouter un Pokémon',
+    search: 'Rechercher un Pokémon',
+    types: 'Types :',
+    matchAny: 'Au moins un',
+    matchAll: 'Tous',
+    clear: 'Effacer',
+    level: 'Niveau',
+    favoritesOnly: 'Favoris uniquement',
+    sortBy: 'Trier par',
+    sortAsc: 'Tri croissant',
+    sortDesc: 'Tri décroissant',
+    sort: {
+      name: 'Nom',
+      level: 'Niveau',
+      id: 'Numéro',
+    },
+    offline: 'Mode hors ligne : affichage des données du {date}.',
+    loadError: 'Impossible de charger le Pokédex : {error}',
+    count: '{count} Pokémon',
+    viewPages: 'Pages',
+    viewScroll: 'Défilement',
+    empty: 'Le Pokédex est vide pour le moment.',
+    noResults: 'Aucun Pokémon ne correspond à votre recherche.',
+    resetFilters: 'Réinitialiser les filtres',
+  },
+
+  pokemonDetail: {
+    back: 'Retour à la liste',
+    notFound: 'Aucun Pokémon ne correspond à l\'identifiant « {id} ».',
+    typeChart: 'Table des types',
+    deleteTitle: 'Supprimer ce Pokémon ?',
+    deleteConfirm: 'Voulez-vous vraiment supprimer {name} ? Vous pourrez encore annuler pendant {seconds} secondes.',
+  },
+
+  faq: {
+    title: 'Foire Aux Questions (FAQ)',
+    search: 'Rechercher dans la FAQ',
+    all: 'Toutes',
+    noResults: 'Aucune question ne correspond à « {query} ».',
+    empty: 'La FAQ est vide pour le moment.',
+    add: 'Ajouter une question',
+    edit: 'Modifier',
+    moveUp: 'Monter',
+    moveDown: 'Descendre',
+    copyLink: 'Copier le lien vers cette question',
+    linkCopied: 'Lien copié',
+    linkCopyError: 'Impossible de copier le lien',
+    dragHint: 'Glissez les questions pour changer leur ordre.',
+    bundledNotice: 'FAQ indisponible ({error}) : affichage de la version intégrée à l\'application, non modifiable.',
+    cacheNotice: 'FAQ indisponible ({error}) : affichage de la dernière version reçue, non modifiable.',
+    form: {
+      createTitle: 'Nouvelle question',
+      editTitle: 'Modifier la question',
+      category: 'Catégorie',
+      question: 'Question',
+      answer: 'Réponse',
+      markdownHint: 'Markdown : **gras**, *italique*, `code`, [lien](https://…), listes avec « - »',
+      write: 'Rédiger',
+      preview: 'Aperçu',
+      save: 'Enregistrer',
+      cancel: 'Annuler',
+      questionRequired: 'La question est obligatoire',
+      answerRequired: 'La réponse est obligatoire',
+      categoryRequired: 'La catégorie est obligatoire',
+      tooLong: '{max} caractères au maximum',
+    },
+    categories: {
+      general: 'Général',
+      pokedex: 'Pokédex',
+      favorites: 'Favoris',
+      account: 'Compte',
+    },
+    items: [
+      {
+        id: 'pokedex',
+        category: 'general',
+        question: 'Qu\'est-ce qu\'un Pokédex ?',
+        answer: 'Un Pokédex est un dispositif électronique qui répertorie et fournit des informations sur les différentes espèces de Pokémon. Notre application est une version numérique de cet outil.',
+      },
+      {
+        id: 'favoris',
+        category: 'favorites',
+        question: 'Comment puis-je ajouter un Pokémon à mes favoris ?',
+        answer: 'Pour ajouter un Pokémon à vos favoris, cliquez simplement sur l\'icône en forme de cœur sur la carte du Pokémon. L\'icône deviendra rouge pour indiquer que le Pokémon est maintenant dans vos favoris.',
+      },
+      {
+        id: 'types-multiples',
+        category: 'pokedex',
+        question: 'Pourquoi certains Pokémon ont-ils plusieurs types ?',
+        answer: 'Certains Pokémon possèdent des caractéristiques de plusieurs types, ce qui se reflète dans leurs capacités et leurs faiblesses. Par exemple, Charizard est à la fois de type Feu et Vol.',
+      },
+      {
+        id: 'recherche',
+        category: 'pokedex',
+        question: 'Comment fonctionne la recherche de Pokémon ?',
+        answer: 'Tapez une partie du nom dans la barre de recherche de la [page d\'accueil](/) : la liste se filtre pendant la saisie, sans tenir compte des majuscules ni des accents. La recherche porte aussi sur les noms des types.\n\nVous pouvez ensuite :\n\n- filtrer par types (au moins un ou tous), par niveau, ou n\'afficher que vos favoris ;\n- trier par nom, niveau ou numéro.\n\nLes critères sont conservés dans l\'adresse de la page : vous pouvez la partager ou l\'ajouter à vos marque-pages.',
+      },
+      {
+        id: 'statistiques',
+        category: 'pokedex',
+        question: 'Que signifient les différentes statistiques des Pokémon ?',
+        answer: 'Les statistiques comme HP, Attaque, Défense et Vitesse représentent les capacités de base d\'un Pokémon. HP représente les points de vie, Attaque la puissance offensive, Défense la résistance aux attaques, et Vitesse détermine l\'ordre d\'action en combat.',
+      },
+      {
+        id: 'mises-a-jour',
+        category: 'general',
+        question: 'L\'application est-elle mise à jour régulièrement avec de nouveaux Pokémon ?',
+        answer: 'Oui, nous nous efforçons de maintenir notre base de données à jour avec les derniers Pokémon découverts. Cependant, la fréquence des mises à jour peut varier en fonction des nouvelles sorties de jeux et d\'informations officielles.',
+      },
+    ],
+  },
+
+  kantoMap: {
+    title: 'Le Monde Pokémon',
+    imageAlt: 'Carte du monde Pokémon',
+    hint: 'Glissez pour déplacer la carte, zoomez avec la molette ou les boutons, puis cliquez sur un lieu.',
+    zoomIn: 'Zoomer',
+    zoomOut: 'Dézoomer',
+    reset: 'Recentrer sur Kanto',
+    locationsTitle: 'Lieux de Kanto',
+    level: 'Niveau {level}',
+    noPokemon: 'Aucun Pokémon du Pokédex ne vit ici.',
+    pokemonCount: '{count} Pokémon',
+    whereToFind: 'Où le trouver',
+    noLocation: 'Aucun lieu connu pour ce Pokémon.',
+    kinds: {
+      town: 'Ville',
+      route: 'Route',
+      dungeon: 'Grotte, forêt ou bâtiment',
+    },
+    locations: {
+      'bourg-palette': 'Bourg Palette',
+      jadielle: 'Jadielle',
+      'foret-de-jade': 'Forêt de Jade',
+      argenta: 'Argenta',
+      'route-3': 'Route 3',
+      'mont-selenite': 'Mont Sélénite',
+      azuria: 'Azuria',
+      'caverne-azuree': 'Caverne Azurée',
+      grotte: 'Grotte',
+      centrale: 'Centrale',
+      lavanville: 'Lavanville',
+      celadopole: 'Céladopole',
+      safrania: 'Safrania',
+      'carmin-sur-mer': 'Carmin sur Mer',
+      'route-12': 'Route 12',
+      parmanie: 'Parmanie',
+      'iles-ecume': 'Îles Écume',
+      'cramois-ile': 'Cramois\'Île',
+      'route-victoire': 'Route Victoire',
+      'plateau-indigo': 'Plateau Indigo',
+    },
+    sections: [
+      {
+        title: 'Un univers fascinant à découvrir',
+        text: 'Le monde Pokémon est un vaste et merveilleux univers peuplé de créatures extraordinaires appelées Pokémon. Cette carte représente les différentes régions que les dresseurs peuvent explorer, chacune offrant ses propres défis, Pokémon uniques et aventures palpitantes.',
+      },
+      {
+        title: 'Des régions diversifiées',
+        text: 'De Kanto à Galar, en passant par Johto, Hoenn, Sinnoh, Unova, Kalos et Alola, chaque région du monde Pokémon possède sa propre identité, sa culture et son écosystème unique. Les paysages varient des montagnes enneigées aux îles tropicales, offrant une diversité incroyable d\'habitats pour les différentes espèces de Pokémon.',
+      },
+      {
+        title: 'Un monde en constante évolution',
+        text: 'Le monde Pokémon est en perpétuelle expansion, avec de nouvelles régions, de nouvelles espèces de Pokémon et de nouvelles aventures qui sont régulièrement découvertes. Cette carte n\'est qu\'un aperçu d\'un univers riche et en constante évolution, prêt à être exploré par les dresseurs audacieux.',
+      },
+      {
+        title: 'Un appel à l\'aventure',
+        text: 'Que vous soyez un dresseur débutant ou expérimenté, le monde Pokémon vous invite à partir à l\'aventure. Capturez de nouveaux Pokémon, affrontez des champions d\'arènes, déjouez les plans des équipes malveillantes et devenez peut-être le prochain Maître Pokémon. L\'aventure commence ici, sur cette carte, mais où vous mènera-t-elle ?',
+      },
+    ],
+  },
+
+  favorites: {
+    title: 'Mes Pokémons Favoris ({count})',
+    collection: 'Collection :',
+    allCollections: 'Toutes',
+    noCollection: 'Sans collection',
+    manageCollections: 'Gérer les collections',
+    sortBy: 'Trier par',
+    sort: {
+      manual: 'Ordre personnel',
+      'added-desc': 'Ajout le plus récent',
+      'added-asc': 'Ajout le plus ancien',
+    },
+    dragHint: 'Glissez les cartes pour changer leur ordre.',
+    addedOn: 'Ajouté le {date}',
+    addedUnknown: 'Date d\'ajout inconnue',
+    editEntry: 'Modifier la note et les collections de {name}',
+    emptyCollection: 'Aucun favori dans cette collection.',
+    showAll: 'Voir tous les favoris',
+    empty: 'Vous n\'avez pas encore de Pokémon favoris.',
+    backToList: 'Retourner à la liste',
+    editTitle: 'Favori : {name}',
+    collections: 'Collections',
+    collectionsHint: 'Choisissez une collection ou tapez un nouveau nom',
+    note: 'Note personnelle',
+    collectionCount: '{count} favori(s)',
+    renameCollection: 'Renommer la collection {name}',
+    deleteCollection: 'Supprimer la collection {name}',
+    noCollections: 'Aucune collection pour le moment.',
+    renameLabel: 'Nouveau nom de « {name} »',
+    newCollection: 'Nouvelle collection',
+    rename: 'Renommer',
+    create: 'Créer',
+    cancelRename: 'Annuler le renommage',
+  },
+
+  teams: {
+    title: 'Mes équipes',
+    team: 'Équipe',
+    new: 'Nouvelle équipe',
+    rename: 'Renommer',
+    renameTitle: 'Renommer l\'équipe',
+    name: 'Nom de l\'équipe',
+    empty: 'Vous n\'avez pas encore d\'équipe. Créez-en une pour y placer jusqu\'à {max} Pokémon.',
+    emptySlot: 'Emplacement {number} : glissez un Pokémon ici',
+    addMember: 'Ajouter {name} à l\'équipe',
+    removeMember: 'Retirer {name} de l\'équipe',
+    coverage: 'Couverture des types',
+    coverageEmpty: 'Ajoutez des Pokémon pour analyser l\'équipe.',
+    sharedWeaknesses: 'Faiblesses partagées',
+    sharedWeaknessesHint: 'Types d\'attaque super efficaces contre au moins {min} membres.',
+    noSharedWeakness: 'Aucune faiblesse partagée.',
+    uncovered: 'Types non couverts',
+    uncoveredHint: 'Aucun type de l\'équipe ne les touche en super efficace.',
+    allCovered: 'Tous les types sont couverts.',
+    duplicates: 'Types en double',
+    noDuplicate: 'Aucun type en double.',
+    pool: 'Pokémon',
+    search: 'Rechercher',
+    poolEmpty: 'Aucun Pokémon disponible',
+    deleteTitle: 'Supprimer l\'équipe ?',
+    deleteConfirm: 'L\'équipe « {name} » sera définitivement supprimée.',
+  },
+
+  typeChart: {
+    title: 'Table des types',
+    loadError: 'Impossible de charger les types : {error}',
+    calculator: 'Calculateur',
+    fromPokemon: 'Reprendre les types d\'un Pokémon',
+    firstType: 'Premier type',
+    secondType: 'Second type',
+    grid: 'Attaque / défense',
+    unknownTypes: 'Types sans données d\'efficacité : {types}.',
+  },
+
+  backup: {
+    title: 'Sauvegarde',
+    export: 'Exporter',
+    summary: '{favorites} favori(s), {collections} collection(s) et {pokemons} Pokémon créé(s) depuis cet appareil.',
+    exportJson: 'Exporter en JSON',
+    exportCsv: 'Exporter en CSV',
+    exported: 'Sauvegarde exportée',
+    fileName: 'pokedex-sauvegarde',
+    import: 'Importer',
+    importButton: 'Importer',
+    file: 'Fichier de sauvegarde (JSON ou CSV)',
+    fileRejected: 'Ce fichier ne peut pas être importé',
+    exportedAt: 'Sauvegarde du {date}.',
+    merge: 'Fusionner',
+    replace: 'Remplacer',
+    modeHint: {
+      merge: 'Les favoris du fichier s\'ajoutent aux vôtres ; vos notes et collections sont conservées.',
+      replace: 'Vos favoris sont remplacés par ceux du fichier ; les Pokémon que vous avez créés et absents du fichier sont supprimés.',
+    },
+    conflictsTitle: '{count} conflit(s) : ces éléments ne seront pas importés tels quels',
+    preview: 'Aperçu des changements',
+    none: 'Aucun',
+    unknownPokemon: 'n° {id}',
+    sections: {
+      favoritesAdded: 'Favoris ajoutés',
+      favoritesUpdated: 'Favoris modifiés',
+      favoritesRemoved: 'Favoris retirés',
+      pokemonsCreated: 'Pokémon créés',
+      pokemonsDeleted: 'Pokémon supprimés',
+    },
+    errors: {
+      read: 'Lecture du fichier impossible : {error}',
+      firstLine: 'Première ligne attendue : {expected}',
+      csvHeader: 'Ligne d\'en-tête CSV manquante (colonne « kind »)',
+      csvKind: 'Type de ligne inconnu : « {kind} »',
+      notBackup: 'Le fichier ne contient pas une sauvegarde du Pokédex',
+      json: 'Fichier JSON illisible',
+      format: 'Format « {format} » inconnu (attendu : {expected})',
+      version: 'Version {version} non prise en charge (version {max} au plus)',
+      favorites: 'La liste des favoris est absente ou invalide',
+      collections: 'La liste des collections doit être un tableau',
+      favoriteId: 'Chaque favori doit avoir un identifiant',
+      noteText: 'La note doit être un texte',
+      entryCollections: 'Les collections doivent être un tableau',
+      addedAt: 'Date d\'ajout invalide',
+      pokemons: 'La liste des Pokémon doit être un tableau',
+      pokemon: 'Pokémon invalide',
+      pokemonId: 'Identifiant manquant',
+      typeIds: 'Les types doivent être une liste d\'identifiants',
+    },
+    conflicts: {
+      duplicateInFile: '« {name} » apparaît plusieurs fois dans le fichier : seule la première occurrence est importée',
+      duplicateName: 'Un Pokémon nommé « {name} » existe déjà : il n\'est pas recréé',
+      unknownType: '« {name} » : type(s) inconnu(s) {types} retiré(s)',
+      authCreate: '« {name} » : connectez-vous pour importer les Pokémon créés',
+      unknownId: 'Favori n° {id} : aucun Pokémon ne correspond, il est ignoré',
+      authDelete: 'Connectez-vous pour supprimer les Pokémon créés absents du fichier',
+    },
+  },
+
+  pokemonForm: {
+    name: 'Nom',
+    level: 'Niveau',
+    types: 'Types',
+    typesHint: '{max} types au maximum',
+    description: 'Description',
+    save: 'Enregistrer',
+    add: 'Ajouter',
+    createTitle: 'Ajouter un Pokémon',
+    createAuth: 'Vous devez être connecté pour ajouter un Pokémon.',
+    editTitle: 'Modifier un Pokémon',
+    editAuth: 'Vous devez être connecté pour modifier un Pokémon.',
+    errors: {
+      nameRequired: 'Le nom est obligatoire',
+      nameLength: 'Le nom doit contenir entre {min} et {max} caractères',
+      nameTaken: 'Un Pokémon nommé « {name} » existe déjà',
+      levelRequired: 'Le niveau est obligatoire',
+      levelRange: 'Le niveau doit être un entier entre {min} et {max}',
+      typesList: 'Les types doivent être une liste',
+      typesMax: 'Un Pokémon a {max} types au maximum',
+      typesDuplicate: 'Un même type ne peut pas être choisi deux fois',
+      typesUnknown: 'Type(s) inconnu(s) : {types}',
+      imageUnknown: 'Image « {filename} » inconnue',
+      statsInvalid: 'Les statistiques sont invalides',
+      statRange: '{stat} : entier entre {min} et {max}',
+    },
+  },
+
+  pokemonStats: {
+    title: 'Statistiques',
+    radar: 'Graphique radar',
+    bars: 'Graphique en barres',
+    stat: 'Statistique',
+    percentile: 'centile {percentile}',
+    chart: 'Statistiques de {name}',
+    chartCompare: 'Statistiques de {name} et {other}',
+  },
+
+  compare: {
+    title: 'Comparer des Pokémon',
+    select: 'Pokémon à comparer',
+    hint: 'Choisissez de 2 à {max} Pokémon',
+    emptyBefore: 'Choisissez au moins deux Pokémon, ici ou avec le bouton',
+    emptyAfter: 'des cartes du Pokédex.',
+    remove: 'Retirer {name} de la comparaison',
+    types: 'Types',
+    level: 'Niveau',
+    total: 'Total des statistiques',
+    overlayMain: 'Pokémon',
+    overlayOther: 'Comparé à',
+    effectiveness: 'Efficacité des types',
+    effectivenessHint: 'Meilleur multiplicateur de chaque Pokémon (ligne) contre les autres (colonnes).',
+    attackDefense: 'Attaque ↓ / Défense →',
+  },
+
+  pokemonCard: {
+    level: 'Niveau {level}',
+    addComparison: 'Ajouter à la comparaison',
+    removeComparison: 'Retirer de la comparaison',
+    addFavorite: 'Ajouter aux favoris',
+    removeFavorite: 'Retirer des favoris',
+  },
+
+  typeMatchups: {
+    title: 'Faiblesses et résistances',
+    noType: 'Aucun type connu : impossible de calculer les faiblesses.',
+    neutral: 'Aucune faiblesse ni résistance particulière.',
+  },
+
+  offlineStatus: {
+    offline: 'Vous êtes hors ligne. Les données affichées proviennent du cache.',
+    pending: '{count} modification(s) en attente d\'envoi.',
+    conflicts: 'Conflits :',
+    conflict: {
+      create: 'Ajout de {name}',
+      update: 'Modification de {name}',
+      delete: 'Suppression de {name}',
+    },
+    clear: 'Effacer',
+    syncing: 'Synchronisation…',
+    offlineShort: 'Hors ligne',
+    conflictCount: '{count} conflit(s)',
+    pendingShort: '{count} en attente',
+  },
+
+  imagePicker: {
+    title: 'Image',
+    search: 'Rechercher une image',
+    searchEmpty: 'Aucune image ne correspond à la recherche',
+    offline: 'Liste des images indisponible : seules les images déjà connues sont proposées, sans envoi possible',
+    selected: 'Image choisie : {filename}',
+    none: 'Aucune image choisie',
+    clear: 'Retirer l\'image',
+    browse: 'Choisir une image à envoyer',
+    dropHint: 'Déposez une image ici ou cliquez pour en choisir une',
+    constraints: '{types} · {max} au maximum · recadrée en carré de {size} px',
+    cropTitle: 'Recadrer la nouvelle image',
+    preview: 'Aperçu de l\'image recadrée',
+    zoom: 'Zoom',
+    horizontal: 'Horizontal',
+    vertical: 'Vertical',
+    filename: 'Nom du fichier',
+    resetCrop: 'Réinitialiser',
+    cancel: 'Annuler',
+    upload: 'Envoyer',
+    sizeKb: '{size} ko',
+    sizeMb: '{size} Mo',
+    errors: {
+      required: 'Choisissez un fichier',
+      type: 'Format non accepté (PNG, JPEG, WebP ou GIF)',
+      size: 'Le fichier ne doit pas dépasser {max}',
+      unreadable: 'Impossible de lire cette image',
+      filenameRequired: 'Le nom du fichier doit contenir au moins une lettre ou un chiffre',
+    },
+  },
+
+  login: {
+    title: 'Connexion',
+    redirect: 'Connectez-vous pour accéder à cette page.',
+    email: 'Email',
+    password: 'Mot de passe',
+    submit: 'Se connecter',
+    required: 'Ce champ est obligatoire',
+  },
+
+  notFound: {
+    title: 'Oups! Page non trouvée (404)',
+    text: 'La page que vous cherchez n\'existe pas ou a été déplacée.',
+    home: 'Retour à l\'accueil',
+  },
+
+  api: {
+    cancelled: 'Requête annulée',
+    unreachable: 'Impossible de contacter le serveur',
+    serverError: 'Erreur serveur ({status})',
+    emptyResponse: 'Réponse vide du serveur',
+  },
+
+  auth: {
+    loginSuccess: 'Connexion réussie',
+    loginError: 'Mauvais email ou mot de passe !',
+    logoutSuccess: 'Déconnexion réussie',
+    sessionExpired: 'Votre session a expiré, veuillez vous reconnecter',
+    sessionInvalid: 'Votre session n\'est plus valide, veuillez vous reconnecter',
+  },
+
+  locale: {
+    changed: 'Langue : {name}',
+    reloadError: 'Langue changée, mais les données n\'ont pas pu être rechargées : {error}',
+  },
+
+  store: {
+    localizedDataReloaded: 'Données rechargées dans la nouvelle langue',
+    loadTypesError: 'Erreur lors du chargement des types',
+    loadPokemonsError: 'Erreur lors du chargement des Pokémon',
+    loadPokemonError: 'Erreur lors du chargement du Pokémon',
+    pokemon: {
+      fallbackName: 'Pokémon',
+      created: 'Pokémon ajouté avec succès !',
+      createError: 'Erreur lors de l\'ajout du Pokémon',
+      updated: 'Pokémon modifié avec succès !',
+      updateError: 'Erreur lors de la modification du Pokémon',
+      deleted: '{name} supprimé',
+      deleteConfirmed: 'Pokémon supprimé avec succès !',
+      alreadyDeleted: 'Pokémon déjà supprimé',
+      deleteError: 'Erreur lors de la suppression du Pokémon',
+      undoExpired: 'Cette suppression ne peut plus être annulée',
+      restored: '{name} restauré',
+      recreated: '{name} a été recréé',
+      recreateError: 'Impossible de recréer {name}',
+      notFound: 'Pokémon introuvable',
+    },
+    offline: {
+      create: 'Hors ligne : le Pokémon sera ajouté au retour de la connexion',
+      update: 'Hors ligne : la modification sera envoyée au retour de la connexion',
+      delete: 'Hors ligne : la suppression sera envoyée au retour de la connexion',
+      deletedBeforeSync: 'Pokémon supprimé (il n\'avait pas encore été envoyé au serveur)',
+      modifiedOnServer: 'Ce Pokémon a été modifié sur le serveur entre-temps',
+      createRejected: 'L\'ajout de ce Pokémon a été refusé par le serveur',
+      updateRejected: 'Ce Pokémon n\'existe plus sur le serveur',
+      deleteRejected: 'La suppression de ce Pokémon a été refusée par le serveur',
+      synced: '{count} modification(s) hors ligne envoyée(s)',
+      syncedWithConflicts: '{count} modification(s) hors ligne envoyée(s), {conflicts} conflit(s)',
+    },
+    favorites: {
+      savedLocally: 'Favoris enregistrés sur cet appareil',
+      synced: 'Favoris synchronisés avec votre compte',
+      syncError: 'Impossible de synchroniser les favoris',
+      added: '{name} ajouté aux favoris',
+      removed: '{name} retiré des favoris',
+      updateError: 'Impossible de mettre à jour les favoris',
+      notFavorite: 'Ce Pokémon n\'est pas dans vos favoris',
+      noteTooLong: 'La note ne doit pas dépasser {max} caractères',
+      updated: 'Favori mis à jour',
+      notFound: 'Favori introuvable',
+      orderUnchanged: 'Ordre des favoris inchangé',
+      orderUpdated: 'Ordre des favoris mis à jour',
+      restored: 'Favoris restaurés',
+      imported: 'Favoris importés',
+    },
+    collections: {
+      nameRequired: 'Le nom de la collection est obligatoire',
+      nameTooLong: 'Le nom ne doit pas dépasser {max} caractères',
+      duplicate: 'Une collection porte déjà ce nom',
+      created: 'Collection « {name} » créée',
+      renamed: 'Collection renommée',
+      deleted: 'Collection « {name} » supprimée',
+      notFound: 'Collection introuvable',
+    },
+    comparison: {
+      alreadyIn: '{name} est déjà dans la comparaison',
+      full: 'Vous pouvez comparer {max} Pokémon au maximum',
+      added: '{name} ajouté à la comparaison',
+      removed: '{name} retiré de la comparaison',
+    },
+    import: {
+      summary: '{favorites} favori(s), {created} Pokémon créé(s)',
+      done: 'Import terminé : {summary}',
+      doneWithErrors: 'Import terminé avec {count} erreur(s) ({summary})',
+    },
+    faq: {
+      loaded: 'FAQ chargée',
+      loadError: 'Erreur lors du chargement de la FAQ',
+      notFound: 'Question introuvable',
+      readOnly: 'La FAQ ne peut pas être modifiée sans connexion au serveur',
+      created: 'Question ajoutée',
+      updated: 'Question modifiée',
+      saveError: 'Erreur lors de l\'enregistrement de la question',
+      orderUnchanged: 'Ordre inchangé',
+      orderUpdated: 'Ordre de la FAQ mis à jour',
+      orderError: 'Impossible de changer l\'ordre de la FAQ',
+    },
+    images: {
+      loaded: 'Images chargées',
+      loadError: 'Erreur lors du chargement des images',
+      readOnly: 'Les images ne peuvent pas être envoyées sans connexion au serveur',
+      uploaded: 'Image « {filename} » envoyée',
+      uploadError: 'Erreur lors de l\'envoi de l\'image',
+    },
+    teams: {
+      defaultName: 'Équipe',
+      nameRequired: 'Le nom de l\'équipe est obligatoire',
+      duplicate: 'Une équipe porte déjà ce nom',
+      created: 'Équipe « {name} » créée',
+      renamed: 'Équipe renommée',
+      deleted: 'Équipe « {name} » supprimée',
+      notFound: 'Équipe introuvable',
+      slotNotFound: 'Emplacement introuvable',
+      updated: 'Équipe mise à jour',
+      alreadyIn: '{name} fait déjà partie de l\'équipe',
+      full: 'Une équipe compte {max} Pokémon au maximum',
+      added: '{name} ajouté à l\'équipe « {team} »',
+    },
+  },
+}
@@ -15,3 +15,18 @@ const app = createApp(App)
 registerPlugins(app)
 // Montage de l'application dans l'élément HTML avec l'ID "app" sur la page index.html
 app.mount('#app')
+
+// Enregistrement du service worker (public/sw.js) pour le mode hors ligne, en production uniquement.
+// Le chemin est calculé depuis ce script (dans assets/) pour respecter la base de déploiement.
+// (l'URL passe par une variable pour que Vite ne la traite pas comme un import de fichier)
+// L'identifiant de compilation dans l'URL installe un nouveau service worker à chaque déploiement.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  const bundleUrl = import.meta.url
+  const workerUrl = new URL('../sw.js', bundleUrl)
+  workerUrl.searchParams.set('v', import.meta.env.VITE_BUILD_ID)
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(workerUrl, { scope: new URL('../', bundleUrl).pathname })
+      .catch(error => console.error('❌ Enregistrement du service worker impossible:', error))
+  })
+}
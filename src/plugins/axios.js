@@ -1,11 +1,185 @@
+/**
+ * plugins/axios.js
+ *
+ * Client axios partagé par tous les magasins.
+ * Les intercepteurs centralisent :
+ * - le déballage de l'enveloppe `{ data, meta }` renvoyée par l'API ;
+ * - la conversion de toutes les erreurs en une seule forme (`ApiError`) ;
+ * - la réaction aux 401 (déconnexion + redirection, voir `setUnauthorizedHandler`) ;
+ * - la relance avec délai croissant des GET échoués pour cause de réseau.
+ */
+
 import axios from 'axios'
+import { DEFAULT_LOCALE, t } from './i18n'
+import { createMockAdapter } from './mockBackend'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3535'
 
 axios.defaults.baseURL = API_BASE_URL
-axios.defaults.headers.common['Accept-Language'] = 'fr'
+axios.defaults.headers.common['Accept-Language'] = DEFAULT_LOCALE
 axios.defaults.headers.common['Content-Type'] = 'application/json'
 
+// Backend factice pour le développement (voir plugins/mockBackend.js)
+if (import.meta.env.VITE_MOCK_API === 'true' || import.meta.env.VITE_MOCK_AUTH === 'true') {
+  axios.defaults.adapter = createMockAdapter(axios.defaults.adapter)
+}
+
+/**
+ * Méthodes HTTP sans effet de bord, qui peuvent être relancées sans risque.
+ */
+const IDEMPOTENT_METHODS = ['get', 'head', 'options']
+
+/**
+ * Nombre de relances par défaut et délai de base (ms) avant la première relance.
+ * Le délai double à chaque tentative : 300 ms, 600 ms, 1200 ms...
+ */
+const DEFAULT_RETRIES = 3
+const RETRY_BASE_DELAY = 300
+
+/**
+ * Erreur unique renvoyée par le client pour toute requête échouée.
+ * - `status` : code HTTP (0 pour une erreur réseau)
+ * - `message` : message du serveur, ou message générique
+ * - `errors` : détail des erreurs du serveur, au format `[{ field, message }]`
+ * - `isNetworkError` : `true` si le serveur n'a pas répondu
+ * - `hasServerMessage` : `true` si `message` provient du serveur
+ * - `response` : réponse axios d'origine (si disponible)
+ */
+export class ApiError extends Error {
+  constructor ({ status = 0, message, errors = [], isNetworkError = false, hasServerMessage = false, response = null, cause = null }) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.errors = errors
+    this.isNetworkError = isNetworkError
+    this.hasServerMessage = hasServerMessage
+    this.response = response
+    this.cause = cause
+  }
+}
+
+/**
+ * Convertit une erreur axios en `ApiError`.
+ * Le serveur peut renvoyer `{ message }`, `{ errors: [{ field, message }] }` ou les deux.
+ * @param {Error} error - Erreur axios d'origine.
+ * @returns {ApiError} L'erreur normalisée.
+ */
+function toApiError (error) {
+  if (error instanceof ApiError) return error
+
+  const response = error.response || null
+
+  if (!response) {
+    return new ApiError({
+      message: axios.isCancel(error) ? t('api.cancelled') : t('api.unreachable'),
+      isNetworkError: !axios.isCancel(error),
+      cause: error,
+    })
+  }
+
+  const body = response.data && typeof response.data === 'object' ? response.data : {}
+  const errors = Array.isArray(body.errors) ? body.errors : []
+  const serverMessage = body.message || (errors.length > 0 ? errors[0].message : null)
+
+  return new ApiError({
+    status: response.status,
+    message: serverMessage || t('api.serverError', { status: response.status }),
+    errors,
+    hasServerMessage: !!serverMessage,
+    response,
+    cause: error,
+  })
+}
+
+/**
+ * Retourne le message à afficher pour une erreur :
+ * celui du serveur s'il existe, sinon le message de repli fourni par l'appelant.
+ * @param {Error} error - Erreur attrapée (idéalement une `ApiError`).
+ * @param {string} fallback - Message à utiliser si le serveur n'en fournit pas.
+ * @returns {string} Le message à afficher.
+ */
+export function getErrorMessage (error, fallback) {
+  if (error instanceof ApiError && (error.hasServerMessage || error.isNetworkError)) {
+    return error.message
+  }
+  return fallback
+}
+
+/**
+ * Fonction appelée lorsqu'une requête authentifiée reçoit un 401.
+ * Enregistrée au démarrage dans `plugins/index.js` (déconnexion + redirection),
+ * pour éviter une dépendance circulaire entre ce fichier et les magasins.
+ */
+let unauthorizedHandler = null
+
+/**
+ * Définit la réaction globale aux réponses 401.
+ * @param {function(ApiError): void} handler - Fonction à appeler.
+ */
+export function setUnauthorizedHandler (handler) {
+  unauthorizedHandler = handler
+}
+
+/**
+ * Attend un certain nombre de millisecondes.
+ * @param {number} delay - Durée en ms.
+ * @returns {Promise<void>}
+ */
+function wait (delay) {
+  return new Promise(resolve => setTimeout(resolve, delay))
+}
+
+/*
+Intercepteur de requête
+  - Prépare le compteur de relances
+  - Les requêtes non idempotentes ne sont jamais relancées (`retry: 0`)
+*/
+axios.interceptors.request.use(config => {
+  const method = (config.method || 'get').toLowerCase()
+  if (config.retry === undefined) {
+    config.retry = IDEMPOTENT_METHODS.includes(method) ? DEFAULT_RETRIES : 0
+  }
+  config.retryCount = config.retryCount || 0
+  return config
+})
+
+/*
+Intercepteur de réponse
+  - Succès : déballe l'enveloppe `{ data, meta }` (response.data devient le contenu utile)
+  - Erreur réseau sur une requête idempotente : relance avec délai croissant
+  - 401 : délègue au gestionnaire global (sauf si `skipAuthHandler` est demandé)
+  - Toutes les erreurs sont rejetées sous forme d'`ApiError`
+*/
+axios.interceptors.response.use(
+  response => {
+    const body = response.data
+    if (body && typeof body === 'object' && !Array.isArray(body) && 'data' in body) {
+      response.meta = body.meta || null
+      response.data = body.data
+    }
+    return response
+  },
+  async error => {
+    const config = error.config
+
+    if (config && !error.response && !axios.isCancel(error) && config.retryCount < config.retry) {
+      const delay = RETRY_BASE_DELAY * 2 ** config.retryCount
+      config.retryCount += 1
+      console.warn(`🔁 Nouvelle tentative ${config.retryCount}/${config.retry} dans ${delay} ms :`, config.url)
+      await wait(delay)
+      return axios(config)
+    }
+
+    const apiError = toApiError(error)
+
+    if (apiError.status === 401 && unauthorizedHandler && !config?.skipAuthHandler) {
+      unauthorizedHandler(apiError)
+    }
+
+    throw apiError
+  },
+)
+
 export function setAuthToken (token) {
   if (token) {
     axios.defaults.headers.common.Authorization = `Bearer ${token}`
@@ -14,4 +188,14 @@ export function setAuthToken (token) {
   }
 }
 
+/**
+ * Définit la langue demandée à l'API (en-tête `Accept-Language`),
+ * pour recevoir les types, les Pokémon et les messages d'erreur traduits.
+ * Appelé par le magasin localeStore à chaque changement de langue.
+ * @param {string} locale - Code de la langue (ex. 'de').
+ */
+export function setAcceptLanguage (locale) {
+  axios.defaults.headers.common['Accept-Language'] = locale
+}
+
 export default axios
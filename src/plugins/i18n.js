@@ -0,0 +1,83 @@
+/**
+ * plugins/i18n.js
+ *
+ * Traduction des textes de l'interface (français, allemand, anglais).
+ * Les catalogues sont dans src/locales ; la langue courante est choisie
+ * par le magasin localeStore (sélecteur de AppHeader.vue), qui met aussi
+ * à jour l'en-tête Accept-Language des requêtes.
+ *
+ * `t` lit la langue courante (réactive) : utilisé dans un template ou un
+ * `computed`, le texte se met à jour dès que la langue change.
+ */
+
+import { ref } from 'vue'
+import de from '@/locales/de'
+import en from '@/locales/en'
+import fr from '@/locales/fr'
+
+/**
+ * Langues proposées, dans l'ordre du sélecteur.
+ */
+export const SUPPORTED_LOCALES = [
+  { code: 'fr', name: 'Français' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'en', name: 'English' },
+]
+
+/**
+ * Langue par défaut, utilisée aussi pour les messages absents d'un catalogue.
+ */
+export const DEFAULT_LOCALE = 'fr'
+
+const messages = { fr, de, en }
+
+/**
+ * Langue courante.
+ * @type {import('vue').Ref<string>}
+ */
+export const locale = ref(DEFAULT_LOCALE)
+
+/**
+ * Indique si une langue est proposée par l'application.
+ * @param {string} code - Code de la langue (ex. 'de').
+ * @returns {boolean}
+ */
+export function isSupportedLocale (code) {
+  return SUPPORTED_LOCALES.some(supported => supported.code === code)
+}
+
+/**
+ * Cherche une clé (ex. 'home.title') dans un catalogue.
+ * @param {Object} catalog - Le catalogue.
+ * @param {string} key - La clé, segments séparés par des points.
+ * @returns {*} La valeur trouvée, ou `undefined`.
+ */
+function lookup (catalog, key) {
+  return key.split('.').reduce((node, part) => node?.[part], catalog)
+}
+
+/**
+ * Retourne la valeur brute d'une clé (texte, liste ou objet) dans la langue courante,
+ * ou en français si elle manque.
+ * Sert aux contenus structurés (ex. questions de la FAQ).
+ * @param {string} key - La clé du message.
+ * @returns {*} La valeur, ou `undefined` si la clé n'existe dans aucun catalogue.
+ */
+export function tm (key) {
+  return lookup(messages[locale.value], key) ?? lookup(messages[DEFAULT_LOCALE], key)
+}
+
+/**
+ * Traduit un message et remplace ses paramètres (`{name}`).
+ * @param {string} key - La clé du message (ex. 'store.favorites.added').
+ * @param {Object} [params={}] - Valeurs des paramètres.
+ * @returns {string} Le texte traduit, ou la clé si le message n'existe pas.
+ */
+export function t (key, params = {}) {
+  const message = tm(key)
+  if (typeof message !== 'string') {
+    console.warn('⚠️ Traduction manquante:', key)
+    return key
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match)
+}
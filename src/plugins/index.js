@@ -8,10 +8,42 @@
 import vuetify from './vuetify'
 import pinia from '@/stores'
 import router from '@/router'
+import { setUnauthorizedHandler } from './axios'
+import { t } from './i18n'
+import { useAuthStore } from '@/stores/authStore'
+import { useLocaleStore } from '@/stores/localeStore'
+import { useSnackbarStore } from '@/stores/snackbarStore'
+import { useThemeStore } from '@/stores/themeStore'
 
 export function registerPlugins (app) {
   app
     .use(vuetify)
-    .use(router)
     .use(pinia)
+
+  // Langue enregistrée : appliquée avant le premier appel à l'API (Accept-Language)
+  useLocaleStore().loadLocale()
+
+  // Restaure la session depuis le localStorage avant la première navigation,
+  // pour que les gardes de route connaissent déjà l'état de connexion.
+  useAuthStore().loadToken()
+
+  // Thème de l'utilisateur (ou du visiteur), puis suivi du système, des connexions et des types
+  useThemeStore().init()
+
+  // Jeton refusé par l'API (401) : déconnexion puis retour à la page de connexion,
+  // en mémorisant la page courante pour y revenir après reconnexion.
+  setUnauthorizedHandler(() => {
+    const authStore = useAuthStore()
+    if (!authStore.isAuthenticated) return
+
+    authStore.logout()
+    useSnackbarStore().show(t('auth.sessionInvalid'), 'warning')
+
+    const current = router.currentRoute.value
+    if (current.path !== '/login') {
+      router.push({ path: '/login', query: { redirect: current.fullPath } })
+    }
+  })
+
+  app.use(router)
 }
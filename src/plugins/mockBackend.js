@@ -0,0 +1,302 @@
+/**
+ * plugins/mockBackend.js
+ *
+ * Backend factice de développement : répond à la place de l'API aux routes
+ * que le serveur local ne fournit pas toujours (authentification, favoris du compte,
+ * FAQ et images), pour le développement local et les tests.
+ *
+ * Activation : définir `VITE_MOCK_API=true` (ex. dans `.env.local`) ;
+ * l'ancien nom `VITE_MOCK_AUTH` est encore accepté.
+ * Seules les routes ci-dessous sont simulées, toutes les autres requêtes
+ * (`/pokemons`, `/types`...) partent normalement vers `VITE_API_URL`.
+ *
+ * - `POST /auth/login` { email, password }
+ *     200 → { data: { token, expiresIn } } (expiresIn en secondes)
+ *     401 → { message, errors: [{ field, message }] }
+ * - `GET /auth/me` (en-tête `Authorization: Bearer <token>`)
+ *     200 → { data: { email, name } }
+ *     401 → { message }
+ * - `GET /users/me/favorites` → { data: { version, items, collections } }
+ * - `PUT /users/me/favorites` { version, items, collections } → même réponse
+ * - `PUT /users/me/favorites/:id` { addedAt, note, collections } et `DELETE /users/me/favorites/:id`
+ *     → même réponse (format des favoris : voir src/utils/favorites.js)
+ *     (routes des favoris : 401 sans jeton valide, comme `/auth/me`)
+ * - `GET /faq` → { data: [{ id, category, question, answer, position }] }
+ *     (FAQ de départ : celle du catalogue français, src/locales/fr.js)
+ * - `POST /faq`, `PUT /faq/:id` { category, question, answer } → { data: entrée }
+ * - `PUT /faq/order` { ids } → { data: liste réordonnée }
+ *     (modifications de la FAQ : 401 sans jeton valide)
+ * - `GET /images` → { data: [{ filename, url? }] } (images de public/images et images envoyées)
+ * - `POST /images` (multipart/form-data : `file`, `filename`) → { data: { filename, url } }
+ *     (image conservée en data URL ; nom rendu unique ; 401 sans jeton valide)
+ *
+ * Compte de test : sacha@pokemon.com / pika
+ */
+
+import axios from 'axios'
+import fr from '@/locales/fr'
+import { FAVORITES_VERSION } from '@/utils/favorites'
+import { ACCEPTED_IMAGE_TYPES, MAX_IMAGE_FILE_SIZE } from '@/utils/imageFiles'
+import { KNOWN_IMAGES } from '@/utils/pokemonValidation'
+
+/**
+ * Utilisateur reconnu par le backend factice.
+ */
+const mockUser = {
+  email: 'sacha@pokemon.com',
+  name: 'Sacha Ketchum',
+}
+
+const mockPassword = 'pika'
+
+// Préfixe des jetons émis, utilisé pour les reconnaître dans `/auth/me`
+const MOCK_TOKEN_PREFIX = 'mock-'
+
+// Durée de validité d'un jeton factice (en secondes)
+const MOCK_TOKEN_TTL = 60 * 60
+
+// Favoris du compte factice, conservés dans le localStorage pour survivre aux rechargements
+const MOCK_FAVORITES_KEY = 'mock_user_favorites'
+const FAVORITES_PATH = '/users/me/favorites'
+
+// FAQ modifiée par le compte factice, conservée dans le localStorage
+const MOCK_FAQ_KEY = 'mock_faq'
+const FAQ_PATH = '/faq'
+
+// Images envoyées par le compte factice, conservées dans le localStorage (en data URL)
+const MOCK_IMAGES_KEY = 'mock_images'
+const IMAGES_PATH = '/images'
+
+/**
+ * Construit la réponse axios, en la rejetant comme le ferait le vrai adaptateur
+ * lorsque le statut n'est pas accepté par `validateStatus`.
+ * @param {Object} config - Configuration axios de la requête.
+ * @param {number} status - Code HTTP simulé.
+ * @param {Object} data - Corps de la réponse simulée.
+ * @returns {Promise<Object>} La réponse axios.
+ */
+function respond (config, status, data) {
+  const response = {
+    data,
+    status,
+    statusText: status < 400 ? 'OK' : 'Unauthorized',
+    headers: { 'content-type': 'application/json' },
+    config,
+    request: null,
+  }
+
+  if (!config.validateStatus || config.validateStatus(status)) {
+    return Promise.resolve(response)
+  }
+
+  return Promise.reject(new axios.AxiosError(
+    `Request failed with status code ${status}`,
+    axios.AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response,
+  ))
+}
+
+/**
+ * Simule `POST /auth/login`.
+ * @param {Object} config - Configuration axios de la requête.
+ * @returns {Promise<Object>} La réponse axios.
+ */
+function login (config) {
+  const body = typeof config.data === 'string' ? JSON.parse(config.data) : (config.data || {})
+
+  if (body.email !== mockUser.email || body.password !== mockPassword) {
+    return respond(config, 401, {
+      message: 'Mauvais email ou mot de passe !',
+      errors: [{ field: 'password', message: 'Mauvais email ou mot de passe !' }],
+    })
+  }
+
+  return respond(config, 200, {
+    data: {
+      token: `${MOCK_TOKEN_PREFIX}${Date.now().toString(36)}`,
+      expiresIn: MOCK_TOKEN_TTL,
+    },
+  })
+}
+
+/**
+ * Simule `GET /auth/me`.
+ * @param {Object} config - Configuration axios de la requête.
+ * @returns {Promise<Object>} La réponse axios.
+ */
+function me (config) {
+  if (!isAuthorized(config)) {
+    return respond(config, 401, { message: 'Session invalide ou expirée' })
+  }
+
+  return respond(config, 200, { data: mockUser })
+}
+
+/**
+ * Vérifie que la requête porte un jeton émis par le backend factice.
+ * @param {Object} config - Configuration axios de la requête.
+ * @returns {boolean} `true` si le jeton est reconnu.
+ */
+function isAuthorized (config) {
+  const authorization = String(config.headers?.get('Authorization') || '')
+  return authorization.startsWith(`Bearer ${MOCK_TOKEN_PREFIX}`)
+}
+
+/**
+ * Simule les routes `/users/me/favorites`.
+ * @param {Object} config - Configuration axios de la requête.
+ * @param {string} method - Méthode HTTP en minuscules.
+ * @param {string} path - Chemin de la requête.
+ * @returns {Promise<Object>} La réponse axios.
+ */
+function favorites (config, method, path) {
+  if (!isAuthorized(config)) {
+    return respond(config, 401, { message: 'Session invalide ou expirée' })
+  }
+
+  const saved = JSON.parse(localStorage.getItem(MOCK_FAVORITES_KEY) || 'null')
+  let data = Array.isArray(saved?.items) ? saved : { version: FAVORITES_VERSION, items: [], collections: [] }
+  const pokemonId = path.slice(FAVORITES_PATH.length + 1)
+  const body = typeof config.data === 'string' ? JSON.parse(config.data) : (config.data || {})
+
+  if (method === 'put' && !pokemonId) {
+    if (!Array.isArray(body.items)) {
+      return respond(config, 422, {
+        message: 'Liste de favoris invalide',
+        errors: [{ field: 'items', message: 'Liste de favoris invalide' }],
+      })
+    }
+    data = body
+  } else if (method === 'put') {
+    const items = data.items.filter(entry => String(entry.id) !== pokemonId)
+    data = { ...data, items: [...items, { ...body, id: pokemonId }] }
+  } else if (method === 'delete') {
+    data = { ...data, items: data.items.filter(entry => String(entry.id) !== pokemonId) }
+  }
+
+  localStorage.setItem(MOCK_FAVORITES_KEY, JSON.stringify(data))
+  return respond(config, 200, { data })
+}
+
+/**
+ * Simule les routes `/faq`.
+ * @param {Object} config - Configuration axios de la requête.
+ * @param {string} method - Méthode HTTP en minuscules.
+ * @param {string} path - Chemin de la requête.
+ * @returns {Promise<Object>} La réponse axios.
+ */
+function faq (config, method, path) {
+  const saved = JSON.parse(localStorage.getItem(MOCK_FAQ_KEY) || 'null')
+  let entries = Array.isArray(saved)
+    ? saved
+    : fr.faq.items.map((item, position) => ({ ...item, position }))
+
+  if (method === 'get') {
+    return respond(config, 200, { data: entries })
+  }
+  if (!isAuthorized(config)) {
+    return respond(config, 401, { message: 'Session invalide ou expirée' })
+  }
+
+  const body = typeof config.data === 'string' ? JSON.parse(config.data) : (config.data || {})
+  const entryId = path.slice(FAQ_PATH.length + 1)
+  let data
+
+  if (entryId === 'order') {
+    entries = body.ids
+      .map(id => entries.find(entry => String(entry.id) === String(id)))
+      .filter(Boolean)
+      .map((entry, position) => ({ ...entry, position }))
+    data = entries
+  } else if (method === 'post') {
+    data = { ...body, id: `mock-${Date.now().toString(36)}`, position: entries.length }
+    entries = [...entries, data]
+  } else {
+    const existing = entries.find(entry => String(entry.id) === entryId)
+    if (!existing) {
+      return respond(config, 404, { message: 'Question introuvable' })
+    }
+    data = { ...existing, ...body }
+    entries = entries.map(entry => entry === existing ? data : entry)
+  }
+
+  localStorage.setItem(MOCK_FAQ_KEY, JSON.stringify(entries))
+  return respond(config, 200, { data })
+}
+
+/**
+ * Lit un fichier envoyé sous forme de data URL.
+ * @param {Blob} file - Le fichier.
+ * @returns {Promise<string>} La data URL.
+ */
+function readAsDataUrl (file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.addEventListener('load', () => resolve(reader.result))
+    reader.addEventListener('error', () => reject(reader.error))
+    reader.readAsDataURL(file)
+  })
+}
+
+/**
+ * Simule les routes `/images`.
+ * @param {Object} config - Configuration axios de la requête.
+ * @param {string} method - Méthode HTTP en minuscules.
+ * @returns {Promise<Object>} La réponse axios.
+ */
+async function images (config, method) {
+  const saved = JSON.parse(localStorage.getItem(MOCK_IMAGES_KEY) || 'null')
+  const uploaded = Array.isArray(saved) ? saved : []
+
+  if (method === 'get') {
+    return respond(config, 200, { data: [...KNOWN_IMAGES.map(filename => ({ filename })), ...uploaded] })
+  }
+  if (!isAuthorized(config)) {
+    return respond(config, 401, { message: 'Session invalide ou expirée' })
+  }
+
+  const file = config.data instanceof FormData ? config.data.get('file') : null
+  if (!(file instanceof Blob) || !ACCEPTED_IMAGE_TYPES.includes(file.type) || file.size > MAX_IMAGE_FILE_SIZE) {
+    return respond(config, 422, {
+      message: 'Image invalide',
+      errors: [{ field: 'file', message: 'Image invalide' }],
+    })
+  }
+
+  // Nom déjà pris : ajoute un numéro (pikachu.png → pikachu-2.png)
+  const taken = new Set([...KNOWN_IMAGES, ...uploaded.map(image => image.filename)])
+  const requested = String(config.data.get('filename') || 'image.png')
+  let filename = requested
+  for (let index = 2; taken.has(filename); index++) {
+    filename = requested.replace(/(\.[a-z0-9]+)?$/i, `-${index}$1`)
+  }
+
+  const data = { filename, url: await readAsDataUrl(file) }
+  localStorage.setItem(MOCK_IMAGES_KEY, JSON.stringify([...uploaded, data]))
+  return respond(config, 201, { data })
+}
+
+/**
+ * Crée un adaptateur axios qui répond lui-même aux routes d'authentification, des favoris, de la FAQ et des images
+ * et délègue toutes les autres requêtes à l'adaptateur d'origine.
+ * @param {*} originalAdapter - Adaptateur axios d'origine (`axios.defaults.adapter`).
+ * @returns {function(Object): Promise<Object>} L'adaptateur axios.
+ */
+export function createMockAdapter (originalAdapter) {
+  const fallback = axios.getAdapter(originalAdapter)
+
+  return config => {
+    const path = (config.url || '').replace(config.baseURL || '', '')
+    const method = (config.method || 'get').toLowerCase()
+
+    if (method === 'post' && path === '/auth/login') return login(config)
+    if (method === 'get' && path === '/auth/me') return me(config)
+    if (path === FAVORITES_PATH || path.startsWith(`${FAVORITES_PATH}/`)) return favorites(config, method, path)
+    if (path === FAQ_PATH || path.startsWith(`${FAQ_PATH}/`)) return faq(config, method, path)
+    if (path === IMAGES_PATH && ['get', 'post'].includes(method)) return images(config, method)
+
+    return fallback(config)
+  }
+}
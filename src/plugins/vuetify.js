@@ -10,10 +10,75 @@ import 'vuetify/styles'
 
 // Composables
 import { createVuetify } from 'vuetify'
+import { de, en, fr } from 'vuetify/locale'
+
+/**
+ * Noms des thèmes ; le thème affiché est choisi par themeStore (sélecteur de AppHeader.vue).
+ */
+export const THEME_NAMES = {
+  light: 'light',
+  dark: 'dark',
+  highContrast: {
+    light: 'lightHighContrast',
+    dark: 'darkHighContrast',
+  },
+}
+
+/**
+ * Opacités des variantes à contraste élevé : textes secondaires, bordures
+ * et éléments désactivés restent nettement visibles.
+ */
+const highContrastVariables = {
+  'border-opacity': 0.6,
+  'high-emphasis-opacity': 1,
+  'medium-emphasis-opacity': 0.9,
+  'disabled-opacity': 0.7,
+}
 
 // https://vuetifyjs.com/en/introduction/why-vuetify/#feature-guides
 export default createVuetify({
+  // Les couleurs des types (`type-<id>`) sont ajoutées à chaque thème par themeStore
   theme: {
-    defaultTheme: 'dark',
+    defaultTheme: THEME_NAMES.dark,
+    themes: {
+      [THEME_NAMES.highContrast.light]: {
+        dark: false,
+        colors: {
+          background: '#FFFFFF',
+          surface: '#FFFFFF',
+          primary: '#0035A8',
+          secondary: '#3A3A3A',
+          error: '#A30000',
+          info: '#004F8A',
+          success: '#1B5E20',
+          warning: '#6D4000',
+          'on-background': '#000000',
+          'on-surface': '#000000',
+        },
+        variables: highContrastVariables,
+      },
+      [THEME_NAMES.highContrast.dark]: {
+        dark: true,
+        colors: {
+          background: '#000000',
+          surface: '#000000',
+          primary: '#8AB4FF',
+          secondary: '#E0E0E0',
+          error: '#FF8A80',
+          info: '#80D8FF',
+          success: '#B9F6CA',
+          warning: '#FFE57F',
+          'on-background': '#FFFFFF',
+          'on-surface': '#FFFFFF',
+        },
+        variables: highContrastVariables,
+      },
+    },
+  },
+  // Textes internes des composants (pagination, champs...) ; la langue suit localeStore
+  locale: {
+    locale: 'fr',
+    fallback: 'fr',
+    messages: { fr, de, en },
   },
 })
@@ -8,12 +8,32 @@
 import { createRouter, createWebHistory } from 'vue-router/auto'
 import { setupLayouts } from 'virtual:generated-layouts'
 import { routes } from 'vue-router/auto-routes'
+import { useAuthStore } from '@/stores/authStore'
 
 const router = createRouter({
   history: createWebHistory(import.meta.env.BASE_URL),
   routes: setupLayouts(routes),
 })
 
+/**
+ * Garde globale d'authentification.
+ * Les pages déclarent leurs besoins avec `definePage({ meta: { ... } })` :
+ * - `requiresAuth` : redirige vers /login si l'utilisateur n'est pas connecté,
+ *   en conservant la page demandée dans `?redirect=` pour y revenir ensuite.
+ * - `guestOnly` : redirige vers l'accueil si l'utilisateur est déjà connecté.
+ */
+router.beforeEach(to => {
+  const authStore = useAuthStore()
+
+  if (to.meta.requiresAuth && !authStore.isAuthenticated) {
+    return { path: '/login', query: { redirect: to.fullPath } }
+  }
+
+  if (to.meta.guestOnly && authStore.isAuthenticated) {
+    return { path: '/' }
+  }
+})
+
 // Workaround for https://github.com/vitejs/vite/issues/11804
 router.onError((err, to) => {
   if (err?.message?.includes?.('Failed to fetch dynamically imported module')) {
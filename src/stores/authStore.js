@@ -1,40 +1,70 @@
 /**
- * @file Magasin d'authentification factice
+ * @file Magasin d'authentification
  * Utilise Pinia pour gérer les états et actions liés à l'authentification des utilisateurs.
- * Ce magasin simule la connexion et la déconnexion avec des données factices.
- * Remarque : en production, ce magasin doit être remplacé par une intégration avec une API réelle.
- * @version 1.0
+ * La connexion passe par l'API (`POST /auth/login`) via le client axios partagé,
+ * le profil est récupéré avec `GET /auth/me`, et la session est fermée
+ * automatiquement à l'expiration du jeton.
+ * À la connexion, les favoris locaux sont fusionnés avec ceux du compte.
+ * Pour le développement local, voir le backend factice `src/plugins/mockBackend.js`.
+ * @version 2.0
  * @since 2024-01-31
  */
 
 import { defineStore } from 'pinia'
-import { setAuthToken } from '@/plugins/axios'
+import api, { getErrorMessage, setAuthToken } from '@/plugins/axios'
+import { t } from '@/plugins/i18n'
+import { usePokemonStore } from '@/stores/pokemonStore'
+import { useSnackbarStore } from '@/stores/snackbarStore'
 
 /**
- * Données factices utilisées pour simuler l'authentification.
- * Inclut un utilisateur factice, un mot de passe, et un jeton d'authentification.
+ * Clés utilisées dans le localStorage pour conserver la session.
  */
-const utilisateurFactice = {
-  email: 'sacha@pokemon.com', // Email de l'utilisateur pour la simulation.
-  name: 'Sacha Ketchum', // Nom de l'utilisateur simulé.
-}
+const TOKEN_KEY = 'token'
+const EXPIRES_AT_KEY = 'token_expires_at'
+
+/**
+ * Délai maximal accepté par setTimeout (environ 24 jours).
+ * Au-delà, le minuteur se déclencherait immédiatement.
+ */
+const MAX_TIMEOUT = 2147483647
+
+/**
+ * Minuteur de déconnexion automatique (un seul à la fois).
+ */
+let expirationTimer = null
 
-const passwordFactice = 'pika' // Mot de passe correspondant à l'utilisateur factice.
-const tokenFactice = '0b042934e5df02c9786efb364d946e64' // Jeton factice simulant une session active.
+/**
+ * Calcule la date d'expiration (en ms) à partir de la réponse de `/auth/login`.
+ * Le backend peut fournir `expiresAt` (date ISO ou timestamp) ou `expiresIn` (secondes).
+ * @param {Object} session - Données de session retournées par l'API.
+ * @returns {number|null} Timestamp d'expiration, ou `null` si inconnu.
+ */
+function computeExpiresAt (session) {
+  if (session.expiresAt) {
+    const expiresAt = new Date(session.expiresAt).getTime()
+    return Number.isNaN(expiresAt) ? null : expiresAt
+  }
+  if (session.expiresIn) {
+    return Date.now() + Number(session.expiresIn) * 1000
+  }
+  return null
+}
 
 /**
  * Magasin Pinia pour gérer l'état d'authentification.
- * Fournit des fonctionnalités pour simuler la connexion, la déconnexion et vérifier l'état de connexion.
+ * Fournit des fonctionnalités pour la connexion, la déconnexion et vérifier l'état de connexion.
  */
 export const useAuthStore = defineStore('auth', {
   /**
    * État initial du magasin
-   * - `user` : Informations sur l'utilisateur actuellement connecté (null si non connecté).
+   * - `user` : Profil de l'utilisateur connecté retourné par `/auth/me` (null si non connecté).
    * - `token` : Jeton d'authentification (null si non connecté).
+   * - `expiresAt` : Timestamp (ms) d'expiration du jeton (null si inconnu).
    */
   state: () => ({
     user: null, // Représente les données de l'utilisateur connecté.
     token: null, // Contient le jeton d'authentification si connecté.
+    expiresAt: null, // Date d'expiration du jeton.
   }),
 
   /**
@@ -43,66 +73,155 @@ export const useAuthStore = defineStore('auth', {
    */
   actions: {
     /**
-     * Simule la connexion d'un utilisateur.
-     * Vérifie les identifiants par rapport aux données factices et met à jour l'état en cas de succès.
+     * Connecte un utilisateur via l'API.
+     * En cas de succès, enregistre le jeton et son expiration, charge le profil
+     * puis fusionne les favoris de l'appareil avec ceux du compte.
      * @param {string} email - Adresse email saisie par l'utilisateur.
      * @param {string} password - Mot de passe saisi par l'utilisateur.
-     * @returns {Object} Résultat de la tentative de connexion (succès ou échec).
+     * @returns {Promise<Object>} Résultat de la tentative de connexion (succès ou échec).
      */
-    login (email, password) {
-      if (email === utilisateurFactice.email && password === passwordFactice) {
+    async login (email, password) {
+      try {
+        // skipAuthHandler : un 401 signifie ici « mauvais identifiants », pas « session expirée »
+        const response = await api.post('/auth/login', { email, password }, { skipAuthHandler: true })
+        const session = response.data
+
+        if (!session || !session.token) {
+          throw new Error('Réponse de connexion invalide')
+        }
+
         // Mise à jour de l'état en cas de succès.
-        this.user = utilisateurFactice
-        this.token = tokenFactice
-        setAuthToken(this.token)
-        // Stockage du jeton d'authentification dans le stockage local.
-        localStorage.setItem('token', this.token)
+        this.setSession(session.token, computeExpiresAt(session))
+        await this.fetchUser()
+
+        // Un échec de synchronisation n'empêche pas la connexion : les favoris locaux restent affichés
+        await usePokemonStore().syncFavorites({ merge: true })
+
         return {
           success: true,
-          message: 'Connexion réussie',
+          message: t('auth.loginSuccess'),
         }
-      } else {
+      } catch (error) {
+        console.error('❌ Erreur lors de la connexion:', error.message)
+
         // Réinitialisation de l'état en cas d'échec.
-        this.user = null
-        this.token = null
-        setAuthToken(null)
-        // Suppression du jeton d'authentification du stockage local.
-        localStorage.removeItem('token')
+        this.clearSession()
+
         return {
           success: false,
-          message: 'Mauvais email ou mot de passe !',
+          message: getErrorMessage(error, t('auth.loginError')),
         }
       }
     },
 
     /**
-     * Simule la déconnexion de l'utilisateur.
+     * Charge le profil de l'utilisateur connecté depuis `/auth/me`.
+     * Si le serveur refuse le jeton (401), la session est fermée
+     * par l'intercepteur global (voir plugins/index.js).
+     * @returns {Promise<void>}
+     */
+    async fetchUser () {
+      try {
+        const response = await api.get('/auth/me')
+        this.user = response.data
+      } catch (error) {
+        console.error('❌ Erreur lors du chargement du profil:', error.message)
+      }
+    },
+
+    /**
+     * Déconnecte l'utilisateur.
      * Réinitialise l'état du magasin pour supprimer les informations de l'utilisateur et le jeton.
      * @returns {Object} Confirmation de la déconnexion.
      */
     logout () {
-      this.user = null
-      this.token = null
-      setAuthToken(null)
-      // Suppression du jeton d'authentification du stockage local.
-      localStorage.removeItem('token')
+      this.clearSession()
       return {
         success: true,
-        message: 'Déconnexion réussie',
+        message: t('auth.logoutSuccess'),
       }
     },
+
     /**
      * Charge le jeton d'authentification à partir du stockage local.
      * Utilisé pour maintenir la connexion lors du rechargement de la page.
+     * Un jeton déjà expiré est supprimé ; sinon le profil est rechargé en arrière-plan.
+     * @returns {Promise<void>}
      */
-    loadToken () {
-      /* Chargement factice du jeton d'authentification à partir du stockage local. */
-      const token = localStorage.getItem('token')
-      if (token) {
-        this.user = utilisateurFactice
-        this.token = token
-        setAuthToken(token)
+    async loadToken () {
+      const token = localStorage.getItem(TOKEN_KEY)
+      const expiresAt = Number(localStorage.getItem(EXPIRES_AT_KEY)) || null
+
+      if (!token) return
+
+      if (expiresAt && expiresAt <= Date.now()) {
+        console.log('⌛ Jeton expiré, session supprimée')
+        this.clearSession()
+        return
+      }
+
+      this.setSession(token, expiresAt)
+      await this.fetchUser()
+    },
+
+    /**
+     * Enregistre le jeton (état, en-tête axios et localStorage)
+     * et programme la déconnexion automatique à son expiration.
+     * @param {string} token - Jeton d'authentification.
+     * @param {number|null} expiresAt - Timestamp d'expiration en ms.
+     */
+    setSession (token, expiresAt) {
+      this.token = token
+      this.expiresAt = expiresAt
+      setAuthToken(token)
+
+      // Stockage du jeton d'authentification dans le stockage local.
+      localStorage.setItem(TOKEN_KEY, token)
+      if (expiresAt) {
+        localStorage.setItem(EXPIRES_AT_KEY, String(expiresAt))
+      } else {
+        localStorage.removeItem(EXPIRES_AT_KEY)
       }
+
+      this.scheduleExpiration()
+    },
+
+    /**
+     * Supprime toutes les informations de session.
+     */
+    clearSession () {
+      clearTimeout(expirationTimer)
+      expirationTimer = null
+
+      this.user = null
+      this.token = null
+      this.expiresAt = null
+      setAuthToken(null)
+
+      // Suppression du jeton d'authentification du stockage local.
+      localStorage.removeItem(TOKEN_KEY)
+      localStorage.removeItem(EXPIRES_AT_KEY)
+    },
+
+    /**
+     * Programme la déconnexion automatique à l'expiration du jeton.
+     */
+    scheduleExpiration () {
+      clearTimeout(expirationTimer)
+      expirationTimer = null
+
+      if (!this.expiresAt) return
+
+      const delay = Math.min(this.expiresAt - Date.now(), MAX_TIMEOUT)
+      expirationTimer = setTimeout(() => {
+        if (this.expiresAt && this.expiresAt <= Date.now()) {
+          this.clearSession()
+          useSnackbarStore().show(t('auth.sessionExpired'), 'warning')
+        } else {
+          // Délai plafonné par MAX_TIMEOUT : on reprogramme
+          this.scheduleExpiration()
+        }
+      }, Math.max(delay, 0))
     },
   },
 
@@ -113,6 +232,7 @@ export const useAuthStore = defineStore('auth', {
     /**
      * Vérifie si un utilisateur est connecté.
      * Retourne `true` si un token est présent, sinon `false`.
+     * Le token est retiré automatiquement à son expiration.
      * @param {Object} state - État actuel du magasin.
      * @returns {boolean} Indique si l'utilisateur est authentifié.
      */
@@ -0,0 +1,233 @@
+/**
+ * @file Magasin de la FAQ
+ * Charge les questions depuis l'API (`/faq`, traduites selon `Accept-Language`)
+ * et permet aux utilisateurs connectés de les créer, modifier et réordonner.
+ * Si l'API ne répond pas, la dernière FAQ reçue (cache hors ligne) ou, à défaut,
+ * celle des catalogues de src/locales est affichée, en lecture seule.
+ *
+ * Routes utilisées :
+ * - `GET /faq` → [{ id, category, question, answer, position }] (answer en Markdown)
+ * - `POST /faq` { category, question, answer } → l'entrée créée
+ * - `PUT /faq/:id` { category, question, answer } → l'entrée modifiée
+ * - `PUT /faq/order` { ids } → la liste dans le nouvel ordre
+ * @version 1.0
+ * @since 2026-10-19
+ */
+
+import { defineStore } from 'pinia'
+import api, { getErrorMessage } from '@/plugins/axios'
+import { locale, t, tm } from '@/plugins/i18n'
+import { normalizeFaqEntry, validateFaqEntry } from '@/utils/faq'
+import { readCachedResponse, writeCachedResponse } from '@/utils/offlineDb'
+
+/**
+ * Clé de la FAQ dans le cache hors ligne (une copie par langue).
+ */
+const FAQ_CACHE_KEY = '/faq'
+
+/**
+ * Trie les entrées selon leur position.
+ * @param {Array<Object>} entries - Les entrées.
+ * @returns {Array<Object>} Une nouvelle liste triée.
+ */
+function sortEntries (entries) {
+  return [...entries].sort((a, b) => a.position - b.position)
+}
+
+/**
+ * Données envoyées à l'API pour une entrée.
+ * @param {Object} data - Les données du formulaire.
+ * @returns {{category: string, question: string, answer: string}}
+ */
+function toPayload (data) {
+  return {
+    category: data.category,
+    question: String(data.question).trim(),
+    answer: String(data.answer).trim(),
+  }
+}
+
+/**
+ * Magasin Pinia de la FAQ.
+ */
+export const useFaqStore = defineStore('faq', {
+  /**
+   * État initial du magasin
+   * - `entries` : Entrées de la FAQ, triées par position.
+   * - `source` : Origine des entrées : 'api', 'cache' ou 'bundled' (catalogue de la langue).
+   * - `isLoading` / `isSaving` : Chargement ou enregistrement en cours.
+   * - `error` : Message de la dernière erreur de chargement.
+   */
+  state: () => ({
+    entries: [],
+    source: null,
+    isLoading: false,
+    isSaving: false,
+    error: null,
+  }),
+
+  getters: {
+    /**
+     * Les entrées viennent de l'API : elles peuvent être modifiées.
+     * @returns {boolean}
+     */
+    isEditable: state => state.source === 'api',
+
+    /**
+     * Trouve une entrée par son identifiant.
+     * @returns {function(string|number): Object|undefined}
+     */
+    getEntryById: state => entryId => state.entries.find(entry => entry.id === String(entryId)),
+  },
+
+  actions: {
+    /**
+     * Charge la FAQ dans la langue courante.
+     * En cas d'échec : cache hors ligne, puis FAQ intégrée aux catalogues.
+     *
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async fetchFaq () {
+      const cacheKey = `${FAQ_CACHE_KEY}?lang=${locale.value}`
+      this.isLoading = true
+      this.error = null
+
+      try {
+        const response = await api.get('/faq')
+        const entries = Array.isArray(response.data) ? response.data : []
+        this.entries = sortEntries(entries.map(normalizeFaqEntry))
+        this.source = 'api'
+        await writeCachedResponse(cacheKey, this.entries)
+        return { success: true, message: t('store.faq.loaded') }
+      } catch (error) {
+        console.error('❌ Erreur lors du chargement de la FAQ:', error.message)
+        this.error = getErrorMessage(error, t('store.faq.loadError'))
+
+        const cached = await readCachedResponse(cacheKey)
+        if (cached) {
+          this.entries = sortEntries(cached.data.map(normalizeFaqEntry))
+          this.source = 'cache'
+        } else {
+          this.entries = (tm('faq.items') || []).map(normalizeFaqEntry)
+          this.source = 'bundled'
+        }
+        return { success: false, message: this.error }
+      } finally {
+        this.isLoading = false
+      }
+    },
+
+    /**
+     * Crée une entrée (à la fin de sa catégorie, selon le serveur).
+     *
+     * @param {Object} data - `category`, `question` et `answer` (Markdown)
+     * @returns {Promise<Object>} Objet avec `success`, `message`, `errors` et, en cas de succès, `entry`
+     */
+    async createEntry (data) {
+      return this.saveEntry(null, data)
+    },
+
+    /**
+     * Modifie une entrée existante.
+     *
+     * @param {string|number} entryId - L'identifiant de l'entrée
+     * @param {Object} data - `category`, `question` et `answer` (Markdown)
+     * @returns {Promise<Object>} Objet avec `success`, `message`, `errors` et, en cas de succès, `entry`
+     */
+    async updateEntry (entryId, data) {
+      if (!this.getEntryById(entryId)) {
+        return { success: false, message: t('store.faq.notFound'), errors: [] }
+      }
+      return this.saveEntry(entryId, data)
+    },
+
+    /**
+     * Envoie une création (`entryId` null) ou une modification, après validation.
+     *
+     * @param {string|number|null} entryId - L'entrée modifiée, ou `null` pour une création
+     * @param {Object} data - Les données du formulaire
+     * @returns {Promise<Object>} Objet avec `success`, `message`, `errors` et, en cas de succès, `entry`
+     */
+    async saveEntry (entryId, data) {
+      if (!this.isEditable) {
+        return { success: false, message: t('store.faq.readOnly'), errors: [] }
+      }
+
+      const errors = validateFaqEntry(data)
+      if (errors.length > 0) {
+        return { success: false, message: errors[0].message, errors }
+      }
+
+      this.isSaving = true
+      try {
+        const response = entryId === null
+          ? await api.post('/faq', toPayload(data))
+          : await api.put(`/faq/${entryId}`, toPayload(data))
+
+        const index = entryId === null ? -1 : this.entries.findIndex(entry => entry.id === String(entryId))
+        const position = index === -1 ? this.entries.length : this.entries[index].position
+        const entry = normalizeFaqEntry({ position, ...response.data }, position)
+
+        if (index === -1) {
+          this.entries = sortEntries([...this.entries, entry])
+        } else {
+          this.entries.splice(index, 1, entry)
+        }
+
+        return {
+          success: true,
+          message: t(entryId === null ? 'store.faq.created' : 'store.faq.updated'),
+          errors: [],
+          entry,
+        }
+      } catch (error) {
+        console.error('❌ Erreur lors de l\'enregistrement de la FAQ:', error.message)
+        return {
+          success: false,
+          message: getErrorMessage(error, t('store.faq.saveError')),
+          errors: error.errors || [],
+        }
+      } finally {
+        this.isSaving = false
+      }
+    },
+
+    /**
+     * Déplace une entrée à la place d'une autre (glisser-déposer ou flèches).
+     * L'ordre change tout de suite et revient en arrière si le serveur le refuse.
+     *
+     * @param {string|number} entryId - L'entrée déplacée
+     * @param {string|number} targetId - L'entrée dont elle prend la place
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async moveEntry (entryId, targetId) {
+      if (!this.isEditable) {
+        return { success: false, message: t('store.faq.readOnly') }
+      }
+
+      const fromIndex = this.entries.findIndex(entry => entry.id === String(entryId))
+      const toIndex = this.entries.findIndex(entry => entry.id === String(targetId))
+      if (fromIndex === -1 || toIndex === -1) {
+        return { success: false, message: t('store.faq.notFound') }
+      }
+      if (fromIndex === toIndex) {
+        return { success: true, message: t('store.faq.orderUnchanged') }
+      }
+
+      const previous = this.entries
+      const entries = [...previous]
+      const [moved] = entries.splice(fromIndex, 1)
+      entries.splice(toIndex, 0, moved)
+      this.entries = entries.map((entry, position) => ({ ...entry, position }))
+
+      try {
+        await api.put('/faq/order', { ids: this.entries.map(entry => entry.id) })
+        return { success: true, message: t('store.faq.orderUpdated') }
+      } catch (error) {
+        console.error('❌ Erreur lors du changement d\'ordre de la FAQ:', error.message)
+        this.entries = previous
+        return { success: false, message: getErrorMessage(error, t('store.faq.orderError')) }
+      }
+    },
+  },
+})
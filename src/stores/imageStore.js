@@ -0,0 +1,178 @@
+/**
+ * @file Magasin des images de Pokémon
+ * Liste les images proposées dans le formulaire des Pokémon et envoie les nouvelles images
+ * (déjà redimensionnées et recadrées dans le navigateur, voir src/utils/imageFiles.js).
+ * Si l'API ne répond pas, la dernière liste reçue (cache hors ligne) ou, à défaut,
+ * les images de public/images sont proposées, sans envoi possible.
+ *
+ * Routes utilisées :
+ * - `GET /images` → [{ filename, url? }] (`url` absente : image servie depuis public/images)
+ * - `POST /images` (multipart/form-data : `file`, `filename`) → { filename, url }
+ * @version 1.0
+ * @since 2026-10-19
+ */
+
+import { defineStore } from 'pinia'
+import api, { getErrorMessage } from '@/plugins/axios'
+import { t } from '@/plugins/i18n'
+import { validateImageFile } from '@/utils/imageFiles'
+import { registerImageUrls } from '@/utils/imageUrl'
+import { readCachedResponse, writeCachedResponse } from '@/utils/offlineDb'
+import { KNOWN_IMAGES } from '@/utils/pokemonValidation'
+
+/**
+ * Clé de la liste des images dans le cache hors ligne.
+ */
+const IMAGES_CACHE_KEY = '/images'
+
+/**
+ * Met une image reçue au format attendu (l'API peut renvoyer un simple nom de fichier).
+ * @param {Object|string} image - L'image brute.
+ * @returns {{filename: string, url: string|null}}
+ */
+function normalizeImage (image) {
+  if (typeof image === 'string') return { filename: image, url: null }
+  return { filename: String(image.filename ?? ''), url: image.url || null }
+}
+
+/**
+ * Trie les images par nom de fichier, sans doublon (la dernière reçue l'emporte).
+ * @param {Array<Object>} images - Les images.
+ * @returns {Array<Object>} Une nouvelle liste triée.
+ */
+function sortImages (images) {
+  const byName = new Map(images.filter(image => image.filename).map(image => [image.filename, image]))
+  return [...byName.values()].sort((a, b) => a.filename.localeCompare(b.filename))
+}
+
+/**
+ * Magasin Pinia des images.
+ */
+export const useImageStore = defineStore('image', {
+  /**
+   * État initial du magasin
+   * - `images` : Images disponibles, triées par nom de fichier.
+   * - `source` : Origine de la liste : 'api', 'cache' ou 'bundled' (images de public/images).
+   * - `isLoading` / `isUploading` : Chargement de la liste ou envoi en cours.
+   * - `error` : Message de la dernière erreur de chargement.
+   */
+  state: () => ({
+    images: [],
+    source: null,
+    isLoading: false,
+    isUploading: false,
+    error: null,
+  }),
+
+  getters: {
+    /**
+     * Noms de fichier acceptés pour le champ `img` d'un Pokémon.
+     * Tant que la liste n'est pas chargée, ce sont les images de public/images.
+     * @returns {Array<string>}
+     */
+    filenames: state => state.images.length > 0 ? state.images.map(image => image.filename) : KNOWN_IMAGES,
+
+    /**
+     * De nouvelles images peuvent être envoyées (la liste vient de l'API).
+     * @returns {boolean}
+     */
+    canUpload: state => state.source === 'api',
+  },
+
+  actions: {
+    /**
+     * Charge la liste des images.
+     * En cas d'échec : cache hors ligne, puis images de public/images.
+     *
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async fetchImages () {
+      this.isLoading = true
+      this.error = null
+
+      try {
+        const response = await api.get('/images')
+        const images = Array.isArray(response.data) ? response.data : []
+        this.setImages(images.map(normalizeImage), 'api')
+        await writeCachedResponse(IMAGES_CACHE_KEY, this.images)
+        return { success: true, message: t('store.images.loaded') }
+      } catch (error) {
+        console.error('❌ Erreur lors du chargement des images:', error.message)
+        this.error = getErrorMessage(error, t('store.images.loadError'))
+
+        const cached = await readCachedResponse(IMAGES_CACHE_KEY)
+        if (cached) {
+          this.setImages(cached.data.map(normalizeImage), 'cache')
+        } else {
+          this.setImages(KNOWN_IMAGES.map(normalizeImage), 'bundled')
+        }
+        return { success: false, message: this.error }
+      } finally {
+        this.isLoading = false
+      }
+    },
+
+    /**
+     * Remplace la liste des images et enregistre leurs adresses pour getImageUrl.
+     * @param {Array<Object>} images - Les images normalisées.
+     * @param {string} source - Leur origine.
+     */
+    setImages (images, source) {
+      this.images = sortImages(images)
+      this.source = source
+      registerImageUrls(this.images)
+    },
+
+    /**
+     * Envoie une nouvelle image.
+     * Si le nom est déjà pris, le serveur peut en choisir un autre : utiliser `image.filename` de la réponse.
+     *
+     * @param {Blob} file - L'image préparée (PNG carré, voir cropImageToBlob)
+     * @param {string} filename - Le nom de fichier souhaité (ex. 'melofee.png')
+     * @returns {Promise<Object>} Objet avec `success`, `message`, `errors` et, en cas de succès, `image`
+     */
+    async uploadImage (file, filename) {
+      if (!this.canUpload) {
+        return { success: false, message: t('store.images.readOnly'), errors: [] }
+      }
+
+      const errors = validateImageFile(file)
+      if (!filename) {
+        errors.push({ field: 'filename', message: t('imagePicker.errors.filenameRequired') })
+      }
+      if (errors.length > 0) {
+        return { success: false, message: errors[0].message, errors }
+      }
+
+      const formData = new FormData()
+      formData.append('file', file, filename)
+      formData.append('filename', filename)
+
+      this.isUploading = true
+      try {
+        const response = await api.post('/images', formData, {
+          headers: { 'Content-Type': 'multipart/form-data' },
+        })
+        const image = normalizeImage(response.data || { filename })
+        this.setImages([...this.images, image], this.source)
+        await writeCachedResponse(IMAGES_CACHE_KEY, this.images)
+
+        return {
+          success: true,
+          message: t('store.images.uploaded', { filename: image.filename }),
+          errors: [],
+          image,
+        }
+      } catch (error) {
+        console.error('❌ Erreur lors de l\'envoi de l\'image:', error.message)
+        return {
+          success: false,
+          message: getErrorMessage(error, t('store.images.uploadError')),
+          errors: error.errors || [],
+        }
+      } finally {
+        this.isUploading = false
+      }
+    },
+  },
+})
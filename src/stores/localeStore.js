@@ -0,0 +1,108 @@
+/**
+ * @file Magasin de la langue de l'interface
+ * Garde la langue choisie (sélecteur de AppHeader.vue) d'une session à l'autre
+ * et l'applique partout : textes traduits (src/plugins/i18n.js), composants Vuetify,
+ * attribut `lang` de la page et en-tête `Accept-Language` des requêtes.
+ * Les types et les Pokémon sont ensuite rechargés, traduits par l'API.
+ * @version 1.0
+ * @since 2026-10-19
+ */
+
+import { defineStore } from 'pinia'
+import { setAcceptLanguage } from '@/plugins/axios'
+import { DEFAULT_LOCALE, isSupportedLocale, locale, SUPPORTED_LOCALES, t } from '@/plugins/i18n'
+import vuetify from '@/plugins/vuetify'
+import { usePokemonStore } from '@/stores/pokemonStore'
+
+/**
+ * Clé utilisée dans le localStorage pour conserver la langue choisie.
+ */
+const LOCALE_KEY = 'pokemon_locale'
+
+/**
+ * Langue du navigateur si l'application la propose (ex. 'de-CH' → 'de').
+ * @returns {string|null}
+ */
+function getBrowserLocale () {
+  if (typeof navigator === 'undefined') return null
+  const code = (navigator.language || '').slice(0, 2).toLowerCase()
+  return isSupportedLocale(code) ? code : null
+}
+
+/**
+ * Magasin Pinia de la langue de l'interface.
+ */
+export const useLocaleStore = defineStore('locale', {
+  /**
+   * État initial du magasin
+   * - `locale` : Code de la langue courante ('fr', 'de' ou 'en').
+   * - `isReloading` : Les données traduites sont en cours de rechargement.
+   */
+  state: () => ({
+    locale: DEFAULT_LOCALE,
+    isReloading: false,
+  }),
+
+  getters: {
+    /**
+     * Langues proposées dans le sélecteur.
+     * @returns {Array<{code: string, name: string}>}
+     */
+    availableLocales: () => SUPPORTED_LOCALES,
+
+    /**
+     * Langue courante avec son nom.
+     * @returns {{code: string, name: string}}
+     */
+    currentLocale: state => SUPPORTED_LOCALES.find(supported => supported.code === state.locale),
+  },
+
+  actions: {
+    /**
+     * Restaure la langue enregistrée (ou celle du navigateur) au démarrage.
+     * Appelé avant le premier chargement des données, qui sont ainsi demandées dans la bonne langue.
+     */
+    loadLocale () {
+      const saved = localStorage.getItem(LOCALE_KEY)
+      this.applyLocale(isSupportedLocale(saved) ? saved : getBrowserLocale() || DEFAULT_LOCALE)
+    },
+
+    /**
+     * Applique une langue sans recharger les données.
+     * @param {string} code - Code de la langue.
+     */
+    applyLocale (code) {
+      this.locale = code
+      locale.value = code
+      vuetify.locale.current.value = code
+      setAcceptLanguage(code)
+
+      if (typeof document !== 'undefined') {
+        document.documentElement.lang = code
+      }
+    },
+
+    /**
+     * Change la langue, l'enregistre puis recharge les types et les Pokémon traduits.
+     *
+     * @param {string} code - Code de la langue choisie.
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async setLocale (code) {
+      if (!isSupportedLocale(code) || code === this.locale) {
+        return { success: true, message: t('locale.changed', { name: this.currentLocale.name }) }
+      }
+
+      this.applyLocale(code)
+      localStorage.setItem(LOCALE_KEY, code)
+
+      this.isReloading = true
+      const result = await usePokemonStore().reloadLocalizedData()
+      this.isReloading = false
+
+      return result.success
+        ? { success: true, message: t('locale.changed', { name: this.currentLocale.name }) }
+        : { success: false, message: t('locale.reloadError', { error: result.message }) }
+    },
+  },
+})
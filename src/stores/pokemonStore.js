@@ -8,14 +8,218 @@
  */
 
 import { defineStore } from 'pinia'
-import api from '@/plugins/axios'
+import api, { ApiError, getErrorMessage } from '@/plugins/axios'
+import { locale, t } from '@/plugins/i18n'
+import { useAuthStore } from '@/stores/authStore'
+import { useImageStore } from '@/stores/imageStore'
+import { useSnackbarStore } from '@/stores/snackbarStore'
+import {
+  enqueueMutation,
+  getQueuedMutations,
+  readCachedResponse,
+  removeQueuedMutation,
+  updateQueuedMutation,
+  writeCachedResponse,
+} from '@/utils/offlineDb'
+import {
+  COLLECTION_NAME_MAX,
+  createFavoriteEntry,
+  FAVORITE_NOTE_MAX,
+  mergeFavoriteEntries,
+  normalizeCollectionNames,
+  parseFavorites,
+  serializeFavorites,
+} from '@/utils/favorites'
+import { isPendingId, PENDING_ID_PREFIX } from '@/utils/backup'
+import { DEFAULT_LIST_STATE } from '@/utils/listQuery'
+import { validatePokemon } from '@/utils/pokemonValidation'
+import { v4 as uuidv4 } from 'uuid'
 
 /**
  * Client Axios partagé configuré dans `src/plugins/axios.js`.
  * Les en-têtes (dont Authorization) sont gérés globalement par
  * le store d'authentification (src/stores/authStore.js).
+ * Ses intercepteurs déballent l'enveloppe `{ data }` de l'API (response.data
+ * contient directement les données utiles) et rejettent toujours une `ApiError`.
  */
 
+/**
+ * Clés des réponses de l'API conservées dans IndexedDB (voir src/utils/offlineDb.js).
+ * Les données sont traduites par l'API : une copie est gardée par langue (voir `localizedCacheKey`).
+ */
+const TYPES_CACHE_KEY = '/types'
+const POKEMONS_CACHE_KEY = '/pokemons'
+
+/**
+ * Clé de cache d'une réponse pour la langue courante (ex. '/types?lang=de').
+ * @param {string} key - La clé de la réponse.
+ * @returns {string} La clé propre à la langue.
+ */
+function localizedCacheKey (key) {
+  return `${key}?lang=${locale.value}`
+}
+
+/**
+ * Préfixe des identifiants temporaires donnés aux Pokémon créés hors ligne,
+ * remplacés par l'identifiant du serveur lors du rejeu.
+ */
+const OFFLINE_ID_PREFIX = 'offline-'
+
+/**
+ * Indique si les écouteurs online/offline ont déjà été installés.
+ */
+let connectivityWatched = false
+
+/**
+ * Délai (en millisecondes) pendant lequel une suppression peut être annulée
+ * avant d'être envoyée à l'API (voir `deletePokemon` et `undoDelete`).
+ */
+export const UNDO_DELAY = 5000
+
+/**
+ * Suppressions en attente d'envoi, indexées par ID de Pokémon.
+ * Gardées hors de l'état du magasin car elles contiennent un minuteur et la requête en cours.
+ * Chacune est aussi enregistrée dans la file hors ligne (`queuedId`) : si la page est fermée
+ * ou rechargée avant la fin du délai, la suppression est envoyée au démarrage suivant.
+ * @type {Map<string, {snapshot: Object, queuedId: number, timer: number|null, request: Promise<Object>|null}>}
+ */
+const scheduledDeletes = new Map()
+
+/**
+ * Clés du localStorage des favoris :
+ * - les favoris (copie locale, utilisée aussi sans connexion, voir src/utils/favorites.js) ;
+ * - l'indicateur de modifications pas encore envoyées au serveur (hors ligne).
+ */
+const FAVORITES_KEY = 'pokemon_favorites'
+const FAVORITES_UNSYNCED_KEY = 'pokemon_favorites_unsynced'
+
+/**
+ * Route de l'API des favoris de l'utilisateur connecté.
+ * - `GET` : favoris au format de src/utils/favorites.js (ou simple liste d'IDs)
+ * - `PUT` { version, items, collections } : remplace les favoris
+ *   (fusion à la connexion, notes, collections, ordre, rattrapage hors ligne)
+ * - `PUT /:id` { addedAt, note, collections } et `DELETE /:id` : ajoute ou retire un favori
+ */
+const USER_FAVORITES_URL = '/users/me/favorites'
+
+/**
+ * Clé du localStorage et taille maximale de la sélection de la page de comparaison.
+ */
+const COMPARISON_KEY = 'pokemon_comparison'
+export const MAX_COMPARISON = 4
+
+/**
+ * Indique si la sélection de comparaison a déjà été lue (ou remplacée) :
+ * la page /compare peut la définir depuis son URL avant la fin de `init`.
+ */
+let comparisonLoaded = false
+
+/**
+ * Clé du localStorage des équipes et nombre d'emplacements par équipe.
+ */
+const TEAMS_KEY = 'pokemon_teams'
+export const TEAM_SIZE = 6
+
+/**
+ * Clé du localStorage des IDs des Pokémon créés depuis cet appareil (voir `addPokemon`).
+ */
+const CREATED_KEY = 'pokemon_created'
+
+/**
+ * Nombre de Pokémon par page demandé à l'API en mode paginé.
+ */
+export const DEFAULT_PAGE_LIMIT = 24
+
+/**
+ * Tri de la première page chargée au démarrage : celui de la page d'accueil par défaut,
+ * pour que cette page soit déjà en cache quand elle la demande.
+ */
+const DEFAULT_PAGE_SORT = `${DEFAULT_LIST_STATE.sortKey}:${DEFAULT_LIST_STATE.sortDirection}`
+
+/**
+ * Chargement de la liste complète en cours (voir `loadAllPokemons`).
+ * @type {Promise<void>|null}
+ */
+let allPokemonsRequest = null
+
+/**
+ * Requêtes de pages en cours, indexées par clé de cache + numéro de page.
+ * Évite d'envoyer deux fois la même requête (ex. défilement infini rapide).
+ */
+const pageRequests = new Map()
+
+/**
+ * Construit la clé de cache d'une recherche paginée (hors numéro de page).
+ * @param {{q: string, type: Array<number>, sort: string, limit: number}} query - Critères de la recherche
+ * @returns {string} La clé de cache
+ */
+function getPageCacheKey ({ q = '', type = [], sort = '', limit = DEFAULT_PAGE_LIMIT }) {
+  const types = [type].flat().map(Number).sort((a, b) => a - b)
+  return `q=${q.trim().toLowerCase()}&type=${types.join(',')}&sort=${sort}&limit=${limit}`
+}
+
+/**
+ * Lit le nombre total de résultats d'une réponse paginée.
+ * Le total vient de `meta.total` (enveloppe de l'API) ou de l'en-tête `X-Total-Count`.
+ * S'il est absent, il n'est connu que sur une page incomplète (la dernière).
+ * @param {Object} response - La réponse axios (enveloppe déjà déballée)
+ * @param {number} page - Le numéro de la page demandée
+ * @param {number} limit - La taille de page demandée
+ * @param {number} count - Le nombre de Pokémon reçus
+ * @returns {number|null} Le total, ou `null` s'il est inconnu
+ */
+function readPageTotal (response, page, limit, count) {
+  const total = Number(response.meta?.total ?? response.headers?.['x-total-count'])
+  if (Number.isFinite(total)) return total
+  return count < limit ? (page - 1) * limit + count : null
+}
+
+/**
+ * Crée l'état d'une opération (chargement, création, suppression...).
+ * - `pending` : l'opération est en cours
+ * - `error` : message de la dernière erreur (`null` si la dernière tentative a réussi)
+ * - `lastFetchedAt` : date (ms) du dernier succès (`null` si jamais réussie)
+ * - `cachedAt` : date (ms) d'enregistrement des données en cache actuellement
+ *   affichées (`null` si les données viennent directement de l'API)
+ * @returns {{pending: boolean, error: string|null, lastFetchedAt: number|null, cachedAt: number|null}}
+ */
+function createStatus () {
+  return {
+    pending: false,
+    error: null,
+    lastFetchedAt: null,
+    cachedAt: null,
+  }
+}
+
+/**
+ * État retourné pour une opération jamais lancée.
+ * Figé pour éviter qu'un composant ne le modifie par erreur.
+ */
+const IDLE_STATUS = Object.freeze(createStatus())
+
+/**
+ * Marque une opération comme démarrée.
+ * @param {Object} status - L'état de l'opération
+ */
+function beginStatus (status) {
+  status.pending = true
+  status.error = null
+}
+
+/**
+ * Marque une opération comme terminée, avec ou sans erreur.
+ * @param {Object} status - L'état de l'opération
+ * @param {string|null} [error=null] - Message d'erreur, ou `null` en cas de succès
+ */
+function endStatus (status, error = null) {
+  status.pending = false
+  status.error = error
+  if (!error) {
+    status.lastFetchedAt = Date.now()
+  }
+}
+
 /**
  * Magasin Pinia pour gérer toutes les données relatives aux Pokémon.
  * Ce magasin s'occupe uniquement de tout ce qui concerne les Pokémon :
@@ -32,11 +236,68 @@ export const usePokemonStore = defineStore('pokemon', {
    */
   state: () => ({
     /**
-     * Indique si une opération de chargement est en cours.
-     * Permet d'afficher des spinners ou désactiver des boutons pendant les requêtes API.
+     * État des opérations globales du magasin (voir `createStatus`).
+     * - `init` : initialisation complète (types + Pokémon)
+     * - `types` : chargement des types
+     * - `pokemons` : chargement de la liste des Pokémon
+     * - `page` : chargement d'une page de Pokémon (mode paginé)
+     * - `create` : ajout d'un Pokémon
+     * - `favorites` : synchronisation des favoris avec le compte de l'utilisateur
+     * Permet d'afficher des squelettes de chargement, des erreurs et des boutons "Réessayer".
+     * @type {Object<string, {pending: boolean, error: string|null, lastFetchedAt: number|null}>}
+     */
+    operations: {
+      init: createStatus(),
+      types: createStatus(),
+      pokemons: createStatus(),
+      page: createStatus(),
+      create: createStatus(),
+      favorites: createStatus(),
+    },
+
+    /**
+     * Pages déjà chargées en mode paginé (`fetchPokemons({ page, limit, q, type })`),
+     * indexées par critères de recherche (voir `getPageCacheKey`).
+     * Chaque page ne garde que les IDs : les Pokémon eux-mêmes sont dans `pokemons`.
+     * Vidé dès qu'un Pokémon est ajouté, modifié ou supprimé.
+     * @type {Object<string, {total: number|null, pages: Object<number, Array<string|number>>}>}
+     */
+    pageCache: {},
+
+    /**
+     * État des opérations par Pokémon, indexé par ID.
+     * En plus des champs de `createStatus`, `action` indique l'opération
+     * en cours ou la dernière effectuée : 'fetch', 'update' ou 'delete'.
+     * Permet par exemple d'afficher « suppression du n°12 » pendant que la liste reste utilisable.
+     * @type {Object<string, {pending: boolean, error: string|null, lastFetchedAt: number|null, action: string|null}>}
+     */
+    pokemonStatus: {},
+
+    /**
+     * Indique si le navigateur a accès au réseau (événements online / offline).
+     * @type {boolean}
+     */
+    isOnline: typeof navigator === 'undefined' ? true : navigator.onLine,
+
+    /**
+     * Ajouts, modifications et suppressions faits hors ligne, dans l'ordre,
+     * en attente d'envoi à l'API. Copie en mémoire de la file IndexedDB.
+     * @type {Array<{id: number|null, type: string, pokemonId: string, payload: Object|null, baseUpdatedAt: string|null, name: string, queuedAt: number}>}
+     */
+    pendingMutations: [],
+
+    /**
+     * Indique si le rejeu des mutations hors ligne est en cours.
      * @type {boolean}
      */
-    isLoading: false,
+    isSyncing: false,
+
+    /**
+     * Conflits rencontrés lors du rejeu (Pokémon supprimé ou modifié sur le serveur entre-temps...).
+     * Affichés à l'utilisateur jusqu'à ce qu'il les efface.
+     * @type {Array<{type: string, pokemonId: string, name: string, message: string, at: number}>}
+     */
+    syncConflicts: [],
 
     /**
      * Liste de tous les types de Pokémon disponibles.
@@ -47,12 +308,19 @@ export const usePokemonStore = defineStore('pokemon', {
     types: [],
 
     /**
-     * Liste de tous les Pokémon chargés depuis l'API.
+     * Liste des Pokémon chargés depuis l'API : les pages parcourues en mode paginé,
+     * ou la liste complète une fois demandée (voir `loadAllPokemons`).
      * Chaque Pokémon contient ses informations complètes : nom, types, niveau, stats, etc.
      * @type {Array<Object>}
      */
     pokemons: [],
 
+    /**
+     * La liste complète a été reçue de l'API (`pokemons` ne contient pas seulement des pages).
+     * @type {boolean}
+     */
+    allPokemonsLoaded: false,
+
     /**
      * Le Pokémon actuellement sélectionné pour affichage détaillé.
      * Utilisé pour les pages de détail d'un Pokémon spécifique.
@@ -62,12 +330,49 @@ export const usePokemonStore = defineStore('pokemon', {
     selectedPokemon: null,
 
     /**
-     * Liste des identifiants des Pokémon marqués comme favoris par l'utilisateur.
-     * Ces favoris sont stockés localement dans le navigateur (localStorage).
-     * On ne stocke que les IDs pour économiser l'espace et éviter les doublons.
-     * @type {Array<string>}
+     * Favoris de l'utilisateur, dans l'ordre qu'il a choisi (glisser-déposer).
+     * Ces favoris sont stockés localement dans le navigateur (localStorage)
+     * et, si l'utilisateur est connecté, sur son compte (`/users/me/favorites`).
+     * Chaque entrée garde l'ID du Pokémon, sa date d'ajout (`null` si inconnue,
+     * ex. favoris migrés de l'ancien format), une note et ses collections.
+     * @type {Array<{id: string|number, addedAt: number|null, note: string, collections: Array<string>}>}
      */
     favorites: [],
+
+    /**
+     * Noms des collections de favoris (ex. « Équipe de rêve »), y compris les vides.
+     * @type {Array<string>}
+     */
+    favoriteCollections: [],
+
+    /**
+     * `true` si des favoris ont été modifiés hors ligne par un utilisateur connecté :
+     * la liste locale sera envoyée au serveur au retour de la connexion.
+     * @type {boolean}
+     */
+    favoritesUnsynced: false,
+
+    /**
+     * Identifiants des Pokémon sélectionnés pour la page de comparaison (`/compare`),
+     * dans l'ordre des colonnes. Au plus `MAX_COMPARISON`, conservés dans le localStorage
+     * pour retrouver la sélection d'une visite à l'autre.
+     * @type {Array<string|number>}
+     */
+    comparison: [],
+
+    /**
+     * Équipes composées par l'utilisateur, stockées localement comme les favoris.
+     * Chaque équipe a exactement `TEAM_SIZE` emplacements (`slots`), `null` pour un emplacement vide.
+     * @type {Array<{id: string, name: string, slots: Array<string|number|null>, createdAt: number}>}
+     */
+    teams: [],
+
+    /**
+     * Identifiants des Pokémon créés par l'utilisateur depuis cet appareil
+     * (`addPokemon`, y compris hors ligne), pour les sauvegarder avec les favoris.
+     * @type {Array<string|number>}
+     */
+    createdPokemonIds: [],
   }),
 
   /**
@@ -75,6 +380,39 @@ export const usePokemonStore = defineStore('pokemon', {
    * Ces fonctions permettent d'accéder facilement à des données dérivées.
    */
   getters: {
+    /**
+     * Indique si au moins une opération est en cours (toutes opérations confondues).
+     * Conservé pour les affichages simples ; préférer `getOperationStatus` / `getPokemonStatus`.
+     * @param {Object} state - L'état actuel du magasin
+     * @returns {boolean} `true` si une requête est en cours
+     */
+    isLoading: state => {
+      return Object.values(state.operations).some(status => status.pending) ||
+        Object.values(state.pokemonStatus).some(status => status.pending)
+    },
+
+    /**
+     * Retourne l'état d'une opération globale ('init', 'types', 'pokemons', 'create').
+     * @param {Object} state - L'état actuel du magasin
+     * @returns {function(string): Object} Fonction qui prend le nom de l'opération et retourne son état
+     */
+    getOperationStatus: state => {
+      return key => {
+        return state.operations[key] || IDLE_STATUS
+      }
+    },
+
+    /**
+     * Retourne l'état des opérations d'un Pokémon (chargement, modification, suppression).
+     * @param {Object} state - L'état actuel du magasin
+     * @returns {function(string|number): Object} Fonction qui prend un ID et retourne son état
+     */
+    getPokemonStatus: state => {
+      return pokemonId => {
+        return state.pokemonStatus[String(pokemonId)] || IDLE_STATUS
+      }
+    },
+
     /**
      * Compte le nombre total de Pokémon chargés.
      * Utile pour afficher des statistiques ou des compteurs dans l'interface.
@@ -107,15 +445,53 @@ export const usePokemonStore = defineStore('pokemon', {
       }
     },
 
+    /**
+     * Résout une liste d'IDs de types en objets types (doublons ignorés).
+     * Un ID inconnu donne un type de remplacement neutre marqué `unknown: true`
+     * plutôt que de disparaître. Tant que les types ne sont pas chargés,
+     * la liste est vide (aucun ID ne peut encore être résolu).
+     * @returns {function(Array<number>): Array<{id: number, name: string, color: string, unknown?: boolean}>}
+     *   Fonction qui prend des IDs et retourne les types correspondants
+     */
+    getTypesByIds () {
+      return (typeIds = []) => {
+        if (this.types.length === 0) return []
+        return [...new Set(typeIds)].map(typeId => {
+          return this.getTypeById(typeId) || { id: typeId, name: t('common.unknownType'), color: 'grey', unknown: true }
+        })
+      }
+    },
+
     /**
      * Trouve un Pokémon par son identifiant.
      * Très utile pour récupérer les détails d'un Pokémon spécifique.
+     * La comparaison se fait sur la forme texte de l'ID, car les paramètres
+     * de route (ex. `/pokemons/12`) sont toujours des chaînes.
      * @param {Object} state - L'état actuel du magasin
-     * @returns {function(string): Object|undefined} Fonction qui prend un ID et retourne le Pokémon correspondant
+     * @returns {function(string|number): Object|undefined} Fonction qui prend un ID et retourne le Pokémon correspondant
      */
     getPokemonById: state => {
       return pokemonId => {
-        return state.pokemons.find(pokemon => pokemon.id === pokemonId)
+        return state.pokemons.find(pokemon => String(pokemon.id) === String(pokemonId))
+      }
+    },
+
+    /**
+     * Retourne une page déjà chargée en mode paginé, sans appel à l'API.
+     * Les Pokémon supprimés localement depuis le chargement sont ignorés.
+     * @param {Object} state - L'état actuel du magasin
+     * @returns {function(Object): {items: Array<Object>, total: number|null}|null} Fonction qui prend
+     *   les critères (`page`, `limit`, `q`, `type`, `sort`) et retourne la page, ou `null` si elle n'est pas en cache
+     */
+    getCachedPage () {
+      return ({ page = 1, ...query } = {}) => {
+        const entry = this.pageCache[getPageCacheKey(query)]
+        const ids = entry?.pages[page]
+        if (!ids) return null
+        return {
+          items: ids.map(id => this.getPokemonById(id)).filter(pokemon => pokemon !== undefined),
+          total: entry.total,
+        }
       }
     },
 
@@ -127,27 +503,95 @@ export const usePokemonStore = defineStore('pokemon', {
      */
     isFavorite: state => {
       return pokemon => {
-        return state.favorites.includes(pokemon.id)
+        return state.favorites.some(entry => String(entry.id) === String(pokemon.id))
+      }
+    },
+
+    /**
+     * Trouve l'entrée de favori d'un Pokémon (date d'ajout, note, collections).
+     * @param {Object} state - L'état actuel du magasin
+     * @returns {function(string|number): Object|undefined} Fonction qui prend un ID et retourne l'entrée
+     */
+    getFavoriteEntry: state => {
+      return pokemonId => {
+        return state.favorites.find(entry => String(entry.id) === String(pokemonId))
       }
     },
 
     /**
-     * Récupère la liste complète des objets Pokémon favoris.
-     * Transforme la liste d'IDs de favoris en liste d'objets Pokémon complets.
+     * Récupère la liste complète des objets Pokémon favoris, dans l'ordre choisi.
+     * Transforme la liste des favoris en liste d'objets Pokémon complets.
      * Filtre automatiquement les favoris qui n'existent plus.
      * @param {Object} state - L'état actuel du magasin
      * @returns {Array<Object>} Liste des Pokémon favoris (objets complets)
      */
     getFavorites: state => {
-      // On parcourt la liste des IDs favoris
-      const favoritePokemons = state.favorites.map(favoriteId => {
+      // On parcourt la liste des favoris
+      const favoritePokemons = state.favorites.map(entry => {
         // Pour chaque ID, on cherche le Pokémon correspondant
-        return state.pokemons.find(pokemon => pokemon.id === favoriteId)
+        return state.pokemons.find(pokemon => String(pokemon.id) === String(entry.id))
       })
 
       // On filtre pour éliminer les undefined (favoris qui n'existent plus)
       return favoritePokemons.filter(pokemon => pokemon !== undefined)
     },
+
+    /**
+     * Vérifie si un Pokémon fait partie de la sélection de comparaison.
+     * @param {Object} state - L'état actuel du magasin
+     * @returns {function(Object): boolean} Fonction qui prend un Pokémon et retourne `true` s'il est sélectionné
+     */
+    isInComparison: state => {
+      return pokemon => {
+        return state.comparison.some(pokemonId => String(pokemonId) === String(pokemon.id))
+      }
+    },
+
+    /**
+     * Récupère les Pokémon créés par l'utilisateur depuis cet appareil.
+     * Les Pokémon introuvables (supprimés entre-temps) sont ignorés.
+     * @returns {Array<Object>} Liste des Pokémon créés
+     */
+    getCreatedPokemons () {
+      return this.createdPokemonIds
+        .map(pokemonId => this.getPokemonById(pokemonId))
+        .filter(pokemon => pokemon !== undefined)
+    },
+
+    /**
+     * Trouve une équipe par son identifiant.
+     * @param {Object} state - L'état actuel du magasin
+     * @returns {function(string): Object|undefined} Fonction qui prend un ID et retourne l'équipe
+     */
+    getTeamById: state => {
+      return teamId => {
+        return state.teams.find(team => team.id === teamId)
+      }
+    },
+
+    /**
+     * Retourne les emplacements d'une équipe avec les Pokémon complets
+     * (`null` pour un emplacement vide ou un Pokémon introuvable).
+     * @returns {function(string): Array<Object|null>} Fonction qui prend l'ID de l'équipe et retourne ses emplacements
+     */
+    getTeamPokemons () {
+      return teamId => {
+        const team = this.getTeamById(teamId)
+        if (!team) return []
+        return team.slots.map(pokemonId => pokemonId === null ? null : this.getPokemonById(pokemonId) || null)
+      }
+    },
+
+    /**
+     * Récupère les Pokémon de la sélection de comparaison, dans l'ordre.
+     * Les Pokémon introuvables (pas encore chargés ou supprimés) sont ignorés.
+     * @returns {Array<Object>} Les Pokémon à comparer
+     */
+    getComparison () {
+      return this.comparison
+        .map(pokemonId => this.getPokemonById(pokemonId))
+        .filter(pokemon => pokemon !== undefined)
+    },
   },
 
   /**
@@ -160,29 +604,58 @@ export const usePokemonStore = defineStore('pokemon', {
      * Cette méthode doit être appelée une seule fois dans main.js.
      *
      * ÉTAPES DE CETTE MÉTHODE :
-     * 1. Charger types et pokémons en parallèle
-     * 2. Restaurer les favoris depuis le localStorage
-     * 3. Afficher un message de confirmation
+     * 1. Surveiller la connexion et restaurer les mutations faites hors ligne
+     * 2. Charger les types et la première page de Pokémon en parallèle ; la liste complète
+     *    n'est chargée qu'à la demande (voir `loadAllPokemons`), ou tout de suite si
+     *    la page n'a pas pu être chargée (la liste en cache est alors affichée)
+     * 3. Restaurer les favoris, la comparaison et les équipes depuis le localStorage,
+     *    puis les favoris du compte si l'utilisateur est connecté
+     * 4. Rejouer les mutations en attente si la connexion est disponible
+     * 5. Afficher un message de confirmation
      */
     async init () {
       console.log('🚀 Initialisation du store Pokémon...')
 
-      this.isLoading = true
+      beginStatus(this.operations.init)
 
-      try {
-        await Promise.all([
-          this.fetchTypes({ withLoader: false }),
-          this.fetchPokemons({ withLoader: false }),
-        ])
+      // ÉTAPE 1 : Mode hors ligne
+      this.watchConnectivity()
+      this.pendingMutations = await getQueuedMutations()
 
-        // Charger les favoris sauvegardés dans le navigateur
-        this.loadFavorites()
+      // ÉTAPE 2 : Chargement des données
+      const [, firstPage] = await Promise.all([
+        this.fetchTypes(),
+        this.fetchPokemonsPage({ page: 1, sort: DEFAULT_PAGE_SORT }),
+      ])
+      if (firstPage.success) {
+        this.applyPendingMutations()
+      } else {
+        await this.loadAllPokemons()
+      }
 
-        console.log('✅ Store Pokémon initialisé')
-      } catch (error) {
+      // ÉTAPE 3 : Charger les favoris et la sélection de comparaison sauvegardés dans le navigateur
+      this.loadFavorites()
+      this.loadComparison()
+      this.loadTeams()
+      this.loadCreatedPokemons()
+      if (useAuthStore().isAuthenticated && this.isOnline) {
+        await this.syncFavorites()
+      }
+
+      // L'initialisation échoue si l'un des deux chargements a échoué
+      const error = this.operations.types.error || (firstPage.success ? null : firstPage.message)
+      endStatus(this.operations.init, error)
+
+      // ÉTAPE 4 : Envoyer ce qui a été modifié pendant une session hors ligne précédente
+      if (this.isOnline && this.pendingMutations.length > 0) {
+        await this.syncPendingMutations()
+      }
+
+      // ÉTAPE 5 : Message de confirmation
+      if (error) {
         console.error('❌ Erreur lors de l\'initialisation du store Pokémon:', error)
-      } finally {
-        this.isLoading = false
+      } else {
+        console.log('✅ Store Pokémon initialisé')
       }
 
       console.log('ℹ️ Les requêtes utilisent maintenant la configuration axios globale')
@@ -191,387 +664,2040 @@ export const usePokemonStore = defineStore('pokemon', {
     /**
      * Charge tous les types de Pokémon depuis l'API.
      * Les types sont utilisés pour catégoriser les Pokémon (Feu, Eau, Plante, etc.).
+     * Stratégie « stale-while-revalidate » : la dernière réponse enregistrée dans
+     * IndexedDB est affichée tout de suite, puis remplacée par celle de l'API.
      *
      * ÉTAPES DE CETTE MÉTHODE :
-     * 1. Activer l'indicateur de chargement
-     * 2. Faire la requête GET vers l'API
-     * 3. Stocker les types reçus dans le state
-     * 4. Gérer les erreurs éventuelles
-     * 5. Désactiver l'indicateur de chargement
+     * 1. Marquer l'opération `types` comme en cours
+     * 2. Servir les types en cache s'il n'y en a pas encore en mémoire
+     * 3. Faire la requête GET vers l'API
+     * 4. Stocker les types reçus dans le state et dans le cache
+     * 5. Gérer les erreurs éventuelles (les types en cache sont conservés)
+     * 6. Enregistrer le résultat de l'opération (erreur ou date de succès)
      *
      * @returns {Promise<void>}
      */
-    async fetchTypes ({ withLoader = true } = {}) {
+    async fetchTypes () {
       console.log('📥 Chargement des types de Pokémon depuis l\'API...')
 
-      // ÉTAPE 1 : Activer l'indicateur de chargement
-      if (withLoader) this.isLoading = true
+      // ÉTAPE 1 : Marquer l'opération comme en cours
+      const status = this.operations.types
+      beginStatus(status)
+      let errorMessage = null
+
+      // ÉTAPE 2 : Affichage immédiat depuis le cache
+      if (this.types.length === 0) {
+        const cached = await readCachedResponse(localizedCacheKey(TYPES_CACHE_KEY))
+        if (cached && this.types.length === 0) {
+          this.types = cached.data
+          status.cachedAt = cached.savedAt
+          console.log('💾 Types servis depuis le cache hors ligne:', this.types.length, 'éléments')
+        }
+      }
 
       try {
-        // ÉTAPE 2 : Requête GET vers l'API
+        // ÉTAPE 3 : Requête GET vers l'API
         // Le token d'authentification est automatiquement ajouté par la configuration d'Axios
         const response = await api.get('/types')
 
-        // ÉTAPE 3 : Traitement de la réponse
-        // L'API peut retourner les données dans différents formats, on s'adapte
-        if (response.data && response.data.data) {
-          // Format : { data: [...] }
-          this.types = response.data.data
-        } else if (response.data) {
-          // Format direct : [...]
-          this.types = response.data
-        } else {
-          // Format inattendu, on met un tableau vide
-          this.types = []
-        }
+        // ÉTAPE 4 : Traitement de la réponse (enveloppe déjà retirée par l'intercepteur)
+        this.types = Array.isArray(response.data) ? response.data : []
+        status.cachedAt = null
+        await writeCachedResponse(localizedCacheKey(TYPES_CACHE_KEY), this.types)
 
         console.log('✅ Types de Pokémon chargés:', this.types.length, 'éléments')
       } catch (error) {
-        // ÉTAPE 4 : Gestion des erreurs
+        // ÉTAPE 5 : Gestion des erreurs
         console.error('❌ Erreur lors du chargement des types:', error.message)
-
-        // En cas d'erreur, on met un tableau vide pour éviter les plantages
-        this.types = []
+        errorMessage = getErrorMessage(error, t('store.loadTypesError'))
 
         // Afficher une erreur plus détaillée si disponible
-        if (error.response) {
-          console.error('   Détail de l\'erreur serveur:', error.response.status, error.response.data)
+        if (error.status) {
+          console.error('   Détail de l\'erreur serveur:', error.status, error.errors)
         }
       } finally {
-        // ÉTAPE 5 : Désactiver l'indicateur de chargement dans tous les cas
-        if (withLoader) this.isLoading = false
+        // ÉTAPE 6 : Enregistrer le résultat de l'opération dans tous les cas
+        endStatus(status, errorMessage)
       }
     },
 
     /**
      * Charge tous les Pokémon depuis l'API.
      * Récupère la liste complète des Pokémon avec leurs informations détaillées.
+     * Les pages n'en ont pas besoin : préférer `loadAllPokemons`, qui ne la charge qu'une fois.
+     * Avec des critères (`{ page, limit, q, type }`), charge une seule page
+     * filtrée par le serveur : voir `fetchPokemonsPage`.
+     * Même stratégie « stale-while-revalidate » que `fetchTypes` : si l'API est
+     * injoignable, la dernière liste connue reste affichée.
      *
      * ÉTAPES DE CETTE MÉTHODE :
-     * 1. Activer l'indicateur de chargement
-     * 2. Faire la requête GET vers l'API
-     * 3. Stocker les Pokémon reçus dans le state
-     * 4. Nettoyer les favoris obsolètes
-     * 5. Gérer les erreurs éventuelles
-     * 6. Désactiver l'indicateur de chargement
+     * 1. Marquer l'opération `pokemons` comme en cours
+     * 2. Servir la liste en cache s'il n'y en a pas encore en mémoire
+     * 3. Faire la requête GET vers l'API
+     * 4. Stocker les Pokémon reçus dans le state et dans le cache
+     * 5. Réappliquer les mutations hors ligne pas encore envoyées
+     * 6. Nettoyer les favoris obsolètes
+     * 7. Gérer les erreurs éventuelles (la liste en cache est conservée)
+     * 8. Enregistrer le résultat de l'opération (erreur ou date de succès)
      *
-     * @returns {Promise<void>}
+     * @param {Object|null} [query=null] - Critères du mode paginé (voir `fetchPokemonsPage`)
+     * @returns {Promise<void|Object>} Rien pour la liste complète, le résultat de la page en mode paginé
      */
-    async fetchPokemons ({ withLoader = true } = {}) {
+    async fetchPokemons (query = null) {
+      // Mode paginé : une seule page, filtrée par le serveur
+      if (query) {
+        return this.fetchPokemonsPage(query)
+      }
+
       console.log('📥 Chargement des Pokémon depuis l\'API...')
 
-      // ÉTAPE 1 : Activer l'indicateur de chargement
-      if (withLoader) this.isLoading = true
+      // ÉTAPE 1 : Marquer l'opération comme en cours
+      const status = this.operations.pokemons
+      beginStatus(status)
+      let errorMessage = null
+
+      // ÉTAPE 2 : Affichage immédiat depuis le cache (complété par les pages déjà chargées)
+      if (!this.allPokemonsLoaded) {
+        const cached = await readCachedResponse(localizedCacheKey(POKEMONS_CACHE_KEY))
+        if (cached && !this.allPokemonsLoaded) {
+          const loadedPokemons = this.pokemons
+          this.pokemons = cached.data
+          this.mergePokemons(loadedPokemons)
+          status.cachedAt = cached.savedAt
+          this.applyPendingMutations()
+          console.log('💾 Pokémon servis depuis le cache hors ligne:', this.pokemons.length, 'éléments')
+        }
+      }
 
       try {
-        // ÉTAPE 2 : Requête GET vers l'API
+        // ÉTAPE 3 : Requête GET vers l'API
         const response = await api.get('/pokemons')
 
-        // ÉTAPE 3 : Traitement de la réponse
-        if (response.data && response.data.data) {
-          this.pokemons = response.data.data
-        } else if (response.data) {
-          this.pokemons = response.data
-        } else {
-          this.pokemons = []
-        }
+        // ÉTAPE 4 : Traitement de la réponse
+        this.pokemons = Array.isArray(response.data) ? response.data : []
+        this.allPokemonsLoaded = true
+        status.cachedAt = null
+        await writeCachedResponse(localizedCacheKey(POKEMONS_CACHE_KEY), this.pokemons)
 
         console.log('✅ Pokémon chargés:', this.pokemons.length, 'éléments')
 
-        // ÉTAPE 4 : Nettoyer les favoris qui ne correspondent plus à des Pokémon existants
+        // ÉTAPE 5 : Les modifications hors ligne restent visibles jusqu'à leur envoi
+        this.applyPendingMutations()
+
+        // ÉTAPE 6 : Nettoyer les favoris qui ne correspondent plus à des Pokémon existants
         this.cleanupFavorites()
       } catch (error) {
-        // ÉTAPE 5 : Gestion des erreurs
+        // ÉTAPE 7 : Gestion des erreurs
         console.error('❌ Erreur lors du chargement des Pokémon:', error.message)
+        errorMessage = getErrorMessage(error, t('store.loadPokemonsError'))
 
-        this.pokemons = []
-
-        if (error.response) {
-          console.error('   Détail de l\'erreur serveur:', error.response.status, error.response.data)
+        if (error.status) {
+          console.error('   Détail de l\'erreur serveur:', error.status, error.errors)
         }
       } finally {
-        // ÉTAPE 6 : Désactiver l'indicateur de chargement dans tous les cas
-        if (withLoader) this.isLoading = false
+        // ÉTAPE 8 : Enregistrer le résultat de l'opération dans tous les cas
+        endStatus(status, errorMessage)
       }
     },
 
     /**
-     * Ajoute un nouveau Pokémon via l'API.
+     * Charge la liste complète des Pokémon, une seule fois, pour les affichages qui en ont besoin
+     * (recherche, favoris, intervalle de niveau, types « tous » sur la page d'accueil,
+     * pages des favoris, des équipes, de la comparaison, des types et de la carte).
+     * Tant que l'API ne l'a pas fournie, chaque appel réessaie (la liste en cache reste affichée).
      *
-     * ÉTAPES DE CETTE MÉTHODE :
-     * 1. Valider les données du Pokémon
-     * 2. Activer l'indicateur de chargement
-     * 3. Envoyer la requête POST à l'API
-     * 4. Ajouter le nouveau Pokémon à la liste locale
-     * 5. Retourner le résultat de l'opération
-     * 6. Gérer les erreurs éventuelles
-     * 7. Désactiver l'indicateur de chargement
+     * @returns {Promise<void>}
+     */
+    async loadAllPokemons () {
+      if (this.allPokemonsLoaded) return
+      if (!allPokemonsRequest) {
+        allPokemonsRequest = this.fetchPokemons().finally(() => {
+          allPokemonsRequest = null
+        })
+      }
+      return allPokemonsRequest
+    },
+
+    /**
+     * Rafraîchit les Pokémon déjà chargés : la liste complète si elle l'a été,
+     * sinon les pages, oubliées puis redemandées par la page d'accueil.
+     *
+     * @returns {Promise<void>}
+     */
+    async refreshPokemons () {
+      this.clearPageCache()
+      if (this.allPokemonsLoaded) {
+        await this.fetchPokemons()
+      }
+    },
+
+    /**
+     * Recharge les données traduites par l'API (types et Pokémon) après un changement de langue.
+     * Les pages déjà chargées sont oubliées et la fiche affichée est remplacée par sa version traduite.
      *
-     * @param {Object} pokemonData - Les données du Pokémon à créer
-     * @param {string} pokemonData.name - Le nom du Pokémon
-     * @param {number} pokemonData.level - Le niveau du Pokémon
-     * @param {Array<number>} pokemonData.types - Les IDs des types du Pokémon
      * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
      */
-    async addPokemon (pokemonData) {
-      console.log('➕ Tentative d\'ajout d\'un nouveau Pokémon:', pokemonData)
+    async reloadLocalizedData () {
+      console.log('🌐 Rechargement des données traduites:', locale.value)
 
-      // ÉTAPE 1 : Validation basique des données
-      if (!pokemonData.name || !pokemonData.level) {
-        const errorMessage = 'Le nom et le niveau du Pokémon sont obligatoires'
-        console.error('❌', errorMessage)
-        return {
-          success: false,
-          message: errorMessage,
-        }
+      await Promise.all([
+        this.fetchTypes(),
+        this.refreshPokemons(),
+      ])
+
+      if (this.selectedPokemon) {
+        await this.fetchPokemonById(this.selectedPokemon.id)
       }
 
-      // ÉTAPE 2 : Activer l'indicateur de chargement
-      this.isLoading = true
+      const error = this.operations.types.error || (this.allPokemonsLoaded ? this.operations.pokemons.error : null)
+      return error
+        ? { success: false, message: error }
+        : { success: true, message: t('store.localizedDataReloaded') }
+    },
 
-      try {
-        // ÉTAPE 3 : Envoyer les données à l'API
-        const response = await api.post('/pokemons', pokemonData)
+    /**
+     * Charge une page de Pokémon filtrée et paginée par le serveur
+     * (`GET /pokemons?page=2&limit=24&q=pika&type=3,5&sort=level:desc`).
+     * Une page déjà chargée avec les mêmes critères est servie depuis `pageCache`
+     * sans nouvel appel ; les Pokémon reçus sont aussi ajoutés à `pokemons`.
+     *
+     * ÉTAPES DE CETTE MÉTHODE :
+     * 1. Servir la page depuis le cache si elle a déjà été chargée
+     * 2. Réutiliser la requête en cours si la même page est déjà demandée
+     * 3. Faire la requête GET paginée vers l'API
+     * 4. Fusionner les Pokémon reçus dans la liste et mémoriser la page
+     * 5. Gérer les erreurs éventuelles
+     *
+     * @param {Object} query - Critères de la page
+     * @param {number} [query.page=1] - Numéro de page (à partir de 1)
+     * @param {number} [query.limit=DEFAULT_PAGE_LIMIT] - Nombre de Pokémon par page
+     * @param {string} [query.q=''] - Texte recherché dans le nom
+     * @param {Array<number>|number} [query.type=[]] - IDs des types recherchés
+     * @param {string} [query.sort=''] - Ordre demandé au serveur, ex. 'name:asc' (ordre du serveur si vide)
+     * @returns {Promise<Object>} Objet avec `success`, `items` (Pokémon de la page),
+     *   `total` (nombre total de résultats, `null` si inconnu) et `message` en cas d'erreur
+     */
+    async fetchPokemonsPage ({ page = 1, limit = DEFAULT_PAGE_LIMIT, q = '', type = [], sort = '' } = {}) {
+      const types = [type].flat().filter(typeId => typeId !== null && typeId !== undefined && typeId !== '')
+      const query = { page, limit, q: q || '', type: types, sort: sort || '' }
+
+      // ÉTAPE 1 : Page déjà chargée
+      const cachedPage = this.getCachedPage(query)
+      if (cachedPage) {
+        return { success: true, ...cachedPage }
+      }
 
-        // ÉTAPE 4 : Récupérer le Pokémon créé depuis la réponse
-        let newPokemon = null
-        if (response.data && response.data.data) {
-          newPokemon = response.data.data
-        } else if (response.data) {
-          newPokemon = response.data
-        }
+      // ÉTAPE 2 : Même page déjà en cours de chargement
+      const requestKey = `${getPageCacheKey(query)}&page=${page}`
+      if (pageRequests.has(requestKey)) {
+        return pageRequests.get(requestKey)
+      }
 
-        // ÉTAPE 5 : Ajouter le nouveau Pokémon à la liste locale
-        if (newPokemon) {
-          this.pokemons.push(newPokemon)
-          console.log('✅ Pokémon créé avec succès:', newPokemon.name)
+      console.log('📥 Chargement de la page', page, 'des Pokémon:', query)
+
+      const status = this.operations.page
+      beginStatus(status)
+
+      const request = (async () => {
+        let errorMessage = null
+        try {
+          // ÉTAPE 3 : Requête GET paginée (les critères vides ne sont pas envoyés)
+          const response = await api.get('/pokemons', {
+            params: {
+              page,
+              limit,
+              q: query.q.trim() || undefined,
+              type: types.length > 0 ? types.join(',') : undefined,
+              sort: query.sort || undefined,
+            },
+          })
+          const items = Array.isArray(response.data) ? response.data : []
+          const total = readPageTotal(response, page, limit, items.length)
+
+          // ÉTAPE 4 : Fusion dans la liste et mémorisation de la page
+          this.mergePokemons(items)
+          const cacheKey = getPageCacheKey(query)
+          const entry = this.pageCache[cacheKey] || { total, pages: {} }
+          entry.total = total ?? entry.total
+          entry.pages[page] = items.map(pokemon => pokemon.id)
+          this.pageCache[cacheKey] = entry
+
+          console.log('✅ Page', page, 'chargée:', items.length, 'éléments')
+          return { success: true, ...this.getCachedPage(query) }
+        } catch (error) {
+          // ÉTAPE 5 : Gestion des erreurs
+          console.error('❌ Erreur lors du chargement de la page', page, ':', error.message)
+          errorMessage = getErrorMessage(error, t('store.loadPokemonsError'))
+          return {
+            success: false,
+            message: errorMessage,
+            items: [],
+            total: null,
+          }
+        } finally {
+          endStatus(status, errorMessage)
+          pageRequests.delete(requestKey)
         }
+      })()
 
-        return {
-          success: true,
-          message: 'Pokémon ajouté avec succès !',
-        }
-      } catch (error) {
+      pageRequests.set(requestKey, request)
+      return request
+    },
+
+    /**
+     * Ajoute ou met à jour dans `pokemons` des Pokémon reçus de l'API
+     * (ex. une page en mode paginé), sans toucher aux autres.
+     *
+     * @param {Array<Object>} pokemons - Les Pokémon reçus
+     */
+    mergePokemons (pokemons) {
+      for (const pokemon of pokemons) {
+        const pokemonIndex = this.pokemons.findIndex(existing => String(existing.id) === String(pokemon.id))
+        if (pokemonIndex === -1) {
+          this.pokemons.push(pokemon)
+        } else {
+          this.pokemons[pokemonIndex] = pokemon
+        }
+      }
+    },
+
+    /**
+     * Oublie les pages chargées en mode paginé : après un ajout, une modification
+     * ou une suppression, leur contenu (et le total) ne correspond plus au serveur.
+     */
+    clearPageCache () {
+      this.pageCache = {}
+    },
+
+    /**
+     * Vérifie les données d'un Pokémon avec les Pokémon, les types et les images chargés
+     * (voir validatePokemon dans src/utils/pokemonValidation.js).
+     * L'image n'est vérifiée qu'avec la liste fournie par l'API : celle du cache ou de
+     * public/images peut ignorer des images envoyées depuis.
+     *
+     * @param {Object} pokemonData - Les données à vérifier
+     * @param {Object} [options] - `currentId` (Pokémon modifié) et `partial` (modification partielle)
+     * @returns {Array<{field: string, message: string}>} Les erreurs, au format du serveur
+     */
+    validatePokemonData (pokemonData, { currentId = null, partial = false } = {}) {
+      const imageStore = useImageStore()
+      return validatePokemon(pokemonData, {
+        pokemons: this.pokemons,
+        types: this.types,
+        images: imageStore.source === 'api' ? imageStore.filenames : null,
+        currentId,
+        partial,
+      })
+    },
+
+    /**
+     * Ajoute un nouveau Pokémon via l'API.
+     *
+     * ÉTAPES DE CETTE MÉTHODE :
+     * 1. Valider les données du Pokémon
+     * 2. Marquer l'opération `create` comme en cours
+     * 3. Envoyer la requête POST à l'API
+     * 4. Ajouter le nouveau Pokémon à la liste locale
+     * 5. Retourner le résultat de l'opération
+     * 6. Gérer les erreurs éventuelles
+     * 7. Enregistrer le résultat de l'opération
+     *
+     * @param {Object} pokemonData - Les données du Pokémon à créer
+     * @param {string} pokemonData.name - Le nom du Pokémon
+     * @param {number} pokemonData.level - Le niveau du Pokémon
+     * @param {Array<number>} pokemonData.types - Les IDs des types du Pokémon
+     * @returns {Promise<Object>} Objet avec `success` (boolean), `message` (string),
+     *   `errors` en cas d'échec (`[{ field, message }]`, voir src/utils/pokemonValidation.js)
+     *   et, en cas de succès, `pokemon` (le Pokémon créé)
+     */
+    async addPokemon (pokemonData) {
+      console.log('➕ Tentative d\'ajout d\'un nouveau Pokémon:', pokemonData)
+
+      // ÉTAPE 1 : Validation des données (mêmes règles que le formulaire)
+      const validationErrors = this.validatePokemonData(pokemonData)
+      if (validationErrors.length > 0) {
+        console.error('❌ Données invalides:', validationErrors)
+        return {
+          success: false,
+          message: validationErrors[0].message,
+          errors: validationErrors,
+        }
+      }
+
+      // ÉTAPE 2 : Marquer l'opération comme en cours
+      const status = this.operations.create
+      beginStatus(status)
+      let errorMessage = null
+
+      // Hors ligne : la création est mise en file d'attente
+      if (!this.isOnline) {
+        endStatus(status)
+        return this.queueOfflineMutation('create', null, pokemonData)
+      }
+
+      try {
+        // ÉTAPE 3 : Envoyer les données à l'API
+        const response = await api.post('/pokemons', pokemonData)
+
+        // ÉTAPE 4 : Récupérer le Pokémon créé depuis la réponse
+        const newPokemon = response.data || null
+
+        // ÉTAPE 5 : Ajouter le nouveau Pokémon à la liste locale
+        if (newPokemon) {
+          this.pokemons.push(newPokemon)
+          this.clearPageCache()
+          this.rememberCreatedPokemon(newPokemon.id)
+          console.log('✅ Pokémon créé avec succès:', newPokemon.name)
+        }
+
+        return {
+          success: true,
+          message: t('store.pokemon.created'),
+          pokemon: newPokemon,
+        }
+      } catch (error) {
         // ÉTAPE 6 : Gestion des erreurs
         console.error('❌ Erreur lors de l\'ajout du Pokémon:', error.message)
 
-        let errorMessage = 'Erreur lors de l\'ajout du Pokémon'
-
-        if (error.response) {
-          // Essayer de récupérer un message d'erreur précis depuis l'API
-          if (error.response.data && error.response.data.message) {
-            errorMessage = error.response.data.message
-          } else if (error.response.data && error.response.data.errors && error.response.data.errors.length > 0) {
-            errorMessage = error.response.data.errors[0].message
-          }
+        // Le serveur n'a pas répondu : la création sera rejouée plus tard
+        if (error.isNetworkError) {
+          return this.queueOfflineMutation('create', null, pokemonData)
         }
 
+        // Message précis de l'API s'il existe, sinon message générique
+        errorMessage = getErrorMessage(error, t('store.pokemon.createError'))
         return {
           success: false,
           message: errorMessage,
+          errors: error.errors || [],
         }
       } finally {
-        // ÉTAPE 7 : Désactiver l'indicateur de chargement dans tous les cas
-        this.isLoading = false
+        // ÉTAPE 7 : Enregistrer le résultat de l'opération dans tous les cas
+        endStatus(status, errorMessage)
       }
     },
 
     /**
      * Met à jour un Pokémon existant via l'API.
+     * La modification est appliquée localement tout de suite (mise à jour optimiste)
+     * et annulée si le serveur la refuse.
      *
      * @param {string} pokemonId - L'identifiant du Pokémon à modifier
-     * @param {Object} updatedData - Les nouvelles données du Pokémon
-     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     * @param {Object} updatedData - Les nouvelles données du Pokémon (seuls les champs fournis sont vérifiés)
+     * @returns {Promise<Object>} Objet avec `success` (boolean), `message` (string)
+     *   et `errors` en cas d'échec (`[{ field, message }]`)
      */
     async updatePokemon (pokemonId, updatedData) {
       console.log('✏️ Modification du Pokémon', pokemonId, 'avec:', updatedData)
 
-      this.isLoading = true
+      // Validation des données (mêmes règles que le formulaire)
+      const validationErrors = this.validatePokemonData(updatedData, { currentId: pokemonId, partial: true })
+      if (validationErrors.length > 0) {
+        console.error('❌ Données invalides:', validationErrors)
+        return {
+          success: false,
+          message: validationErrors[0].message,
+          errors: validationErrors,
+        }
+      }
+
+      const status = this.beginPokemonStatus(pokemonId, 'update')
+      let errorMessage = null
+
+      // Hors ligne (ou Pokémon pas encore envoyé au serveur) : mise en file d'attente
+      if (!this.isOnline || String(pokemonId).startsWith(OFFLINE_ID_PREFIX)) {
+        endStatus(status)
+        return this.queueOfflineMutation('update', pokemonId, updatedData)
+      }
+
+      // Mise à jour optimiste : la liste et la fiche changent sans attendre le serveur
+      const previous = this.getPokemonById(pokemonId)
+      const snapshot = previous ? { ...previous } : null
+      this.applyLocalUpdate(pokemonId, updatedData)
 
       try {
         // Envoyer les modifications à l'API
         const response = await api.put(`/pokemons/${pokemonId}`, updatedData)
 
-        // Récupérer les données mises à jour
-        let updatedPokemon = null
-        if (response.data && response.data.data) {
-          updatedPokemon = response.data.data
-        } else if (response.data) {
-          updatedPokemon = response.data
-        }
-
-        // Mettre à jour le Pokémon dans la liste locale
+        // Remplacer les données locales par celles du serveur (updatedAt...)
+        const updatedPokemon = response.data || null
         if (updatedPokemon) {
-          const pokemonIndex = this.pokemons.findIndex(pokemon => pokemon.id === pokemonId)
-          if (pokemonIndex !== -1) {
-            // Fusionner les anciennes données avec les nouvelles
-            this.pokemons[pokemonIndex] = { ...this.pokemons[pokemonIndex], ...updatedPokemon }
-            console.log('✅ Pokémon modifié avec succès')
-          }
+          this.applyLocalUpdate(pokemonId, updatedPokemon)
+          console.log('✅ Pokémon modifié avec succès')
         }
 
         return {
           success: true,
-          message: 'Pokémon modifié avec succès !',
+          message: t('store.pokemon.updated'),
         }
       } catch (error) {
         console.error('❌ Erreur lors de la modification du Pokémon:', error.message)
 
-        let errorMessage = 'Erreur lors de la modification du Pokémon'
-        if (error.response && error.response.data && error.response.data.message) {
-          errorMessage = error.response.data.message
+        // Le serveur n'a pas répondu : la modification sera rejouée plus tard
+        if (error.isNetworkError) {
+          return this.queueOfflineMutation('update', pokemonId, updatedData)
         }
 
+        // Le serveur refuse : retour aux données d'avant la modification
+        if (snapshot) {
+          this.applyLocalUpdate(pokemonId, snapshot)
+        }
+
+        errorMessage = getErrorMessage(error, t('store.pokemon.updateError'))
         return {
           success: false,
           message: errorMessage,
+          errors: error.errors || [],
         }
       } finally {
-        this.isLoading = false
+        endStatus(status, errorMessage)
       }
     },
 
     /**
-     * Supprime un Pokémon via l'API.
-     * Supprime également le Pokémon des favoris s'il y était.
+     * Supprime un Pokémon.
+     * Le Pokémon disparaît tout de suite de la liste, des favoris, de la comparaison et des équipes,
+     * mais la requête n'est envoyée à l'API qu'après `undoDelay` : d'ici là, `undoDelete`
+     * l'annule sans appel au serveur. Si le serveur refuse, tout est restauré.
+     * Pendant le délai, la suppression est gardée dans la file hors ligne (IndexedDB),
+     * pour ne pas être perdue si la page est quittée avant son envoi.
      *
      * @param {string} pokemonId - L'identifiant du Pokémon à supprimer
-     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     * @param {Object} [options]
+     * @param {number} [options.undoDelay=UNDO_DELAY] - Délai d'annulation en ms (0 = envoi immédiat, résultat du serveur attendu)
+     * @returns {Promise<Object>} Objet avec `success` (boolean), `message` (string)
+     *   et `undoable: true` si la suppression peut encore être annulée
      */
-    async deletePokemon (pokemonId) {
+    async deletePokemon (pokemonId, { undoDelay = UNDO_DELAY } = {}) {
       console.log('🗑️ Suppression du Pokémon', pokemonId)
 
-      this.isLoading = true
+      const key = String(pokemonId)
+      if (scheduledDeletes.has(key)) {
+        return { success: true, message: t('store.pokemon.alreadyDeleted'), undoable: true }
+      }
+
+      // Hors ligne (ou Pokémon pas encore envoyé au serveur) : mise en file d'attente
+      if (!this.isOnline || key.startsWith(OFFLINE_ID_PREFIX)) {
+        return this.queueOfflineMutation('delete', pokemonId)
+      }
 
-      try {
-        // Supprimer le Pokémon via l'API
-        await api.delete(`/pokemons/${pokemonId}`)
+      // Suppression optimiste : on garde de quoi tout restaurer
+      const snapshot = this.captureLocalPokemon(pokemonId)
+      this.applyLocalDelete(pokemonId)
 
-        // Supprimer le Pokémon de la liste locale
-        this.pokemons = this.pokemons.filter(pokemon => pokemon.id !== pokemonId)
+      if (undoDelay <= 0) {
+        return this.requestDelete(pokemonId, snapshot)
+      }
 
-        // Supprimer le Pokémon des favoris s'il y était
-        this.favorites = this.favorites.filter(favoriteId => favoriteId !== pokemonId)
-        this.saveFavorites()
+      // Enregistrée dans la file hors ligne, mais pas dans `pendingMutations` :
+      // elle n'est rejouée (par init) que si la page est quittée avant l'envoi
+      const queuedId = await enqueueMutation({
+        type: 'delete',
+        pokemonId,
+        payload: null,
+        baseUpdatedAt: snapshot.pokemon?.updatedAt ?? null,
+        name: snapshot.pokemon?.name || '',
+        queuedAt: Date.now(),
+      })
+
+      // Envoi différé : une erreur éventuelle est signalée par le snackbar
+      const scheduled = { snapshot, queuedId, timer: null, request: null }
+      scheduled.timer = setTimeout(async () => {
+        scheduled.timer = null
+        scheduled.request = this.requestDelete(pokemonId, snapshot)
+        const result = await scheduled.request
+        // Envoyée, refusée ou remise en file par requestDelete : l'entrée de secours n'est plus utile
+        await removeQueuedMutation(queuedId)
+        if (scheduledDeletes.get(key) === scheduled) {
+          scheduledDeletes.delete(key)
+        }
+        if (!result.success) {
+          useSnackbarStore().showResult(result)
+        } else if (result.queued) {
+          useSnackbarStore().show(result.message, 'info')
+        }
+      }, undoDelay)
+      scheduledDeletes.set(key, scheduled)
+
+      return {
+        success: true,
+        message: t('store.pokemon.deleted', { name: snapshot.pokemon?.name || t('store.pokemon.fallbackName') }),
+        undoable: true,
+      }
+    },
+
+    /**
+     * Envoie la suppression d'un Pokémon déjà retiré localement.
+     * Restaure le Pokémon si le serveur refuse ; le met en file d'attente si le réseau ne répond pas.
+     *
+     * @param {string|number} pokemonId - L'identifiant du Pokémon
+     * @param {Object} snapshot - L'état local avant suppression (voir `captureLocalPokemon`)
+     * @returns {Promise<Object>} Objet avec `success` (boolean), `message` (string) et éventuellement `queued`
+     */
+    async requestDelete (pokemonId, snapshot) {
+      const status = this.beginPokemonStatus(pokemonId, 'delete')
+      let errorMessage = null
 
+      try {
+        await api.delete(`/pokemons/${pokemonId}`)
         console.log('✅ Pokémon supprimé avec succès')
 
+        // Retirer aussi le favori du compte (voir applyLocalDelete)
+        if (snapshot.favorites.length > 0 && this.favoritesUnsynced && useAuthStore().isAuthenticated) {
+          await this.syncFavorites()
+        }
+
         return {
           success: true,
-          message: 'Pokémon supprimé avec succès !',
+          message: t('store.pokemon.deleteConfirmed'),
         }
       } catch (error) {
         console.error('❌ Erreur lors de la suppression du Pokémon:', error.message)
 
+        // Restaurer d'abord : la file d'attente a besoin du Pokémon (nom, updatedAt)
+        this.restoreLocalPokemon(snapshot)
+
+        // Le serveur n'a pas répondu : la suppression sera rejouée plus tard
+        if (error.isNetworkError) {
+          return this.queueOfflineMutation('delete', pokemonId)
+        }
+
+        errorMessage = getErrorMessage(error, t('store.pokemon.deleteError'))
         return {
           success: false,
-          message: 'Erreur lors de la suppression du Pokémon',
+          message: errorMessage,
         }
       } finally {
-        this.isLoading = false
+        endStatus(status, errorMessage)
       }
     },
 
     /**
-     * Sélectionne un Pokémon pour l'affichage détaillé.
-     * Utile pour les pages de détail d'un Pokémon.
+     * Annule la suppression d'un Pokémon.
+     * - Requête pas encore envoyée : elle est annulée et l'état local restauré ;
+     * - suppression mise en file d'attente (hors ligne) : elle est retirée de la file ;
+     * - suppression déjà faite par le serveur : le Pokémon est recréé (nouvel ID)
+     *   et ses favoris, équipes et comparaison pointent vers lui.
      *
-     * @param {string} pokemonId - L'identifiant du Pokémon à sélectionner
+     * @param {string|number} pokemonId - L'identifiant du Pokémon supprimé
+     * @returns {Promise<Object>} Objet avec `success` (boolean), `message` (string)
+     *   et, en cas de succès, `pokemon` (le Pokémon restauré ou recréé)
      */
-    selectPokemon (pokemonId) {
-      // Chercher le Pokémon dans la liste
-      const pokemon = this.pokemons.find(p => p.id === pokemonId)
+    async undoDelete (pokemonId) {
+      const key = String(pokemonId)
+      const scheduled = scheduledDeletes.get(key)
+      if (!scheduled) {
+        return { success: false, message: t('store.pokemon.undoExpired') }
+      }
+      scheduledDeletes.delete(key)
 
-      if (pokemon) {
-        this.selectedPokemon = pokemon
-        console.log('👆 Pokémon sélectionné:', pokemon.name)
-      } else {
-        this.selectedPokemon = null
-        console.log('👆 Pokémon non trouvé pour l\'ID:', pokemonId)
+      const { snapshot } = scheduled
+      const name = snapshot.pokemon?.name || t('store.pokemon.fallbackName')
+
+      // ÉTAPE 1 : Requête pas encore partie
+      if (!scheduled.request) {
+        clearTimeout(scheduled.timer)
+        await removeQueuedMutation(scheduled.queuedId)
+        this.restoreLocalPokemon(snapshot)
+        return { success: true, message: t('store.pokemon.restored', { name }), pokemon: this.getPokemonById(pokemonId) }
+      }
+
+      // ÉTAPE 2 : Requête partie, on attend la réponse du serveur
+      const result = await scheduled.request
+
+      if (result.queued) {
+        const mutation = this.pendingMutations.find(pending => {
+          return pending.type === 'delete' && String(pending.pokemonId) === key
+        })
+        if (mutation) {
+          await removeQueuedMutation(mutation.id)
+          this.pendingMutations = this.pendingMutations.filter(pending => pending !== mutation)
+        }
+        this.restoreLocalPokemon(snapshot)
+        return { success: true, message: t('store.pokemon.restored', { name }), pokemon: this.getPokemonById(pokemonId) }
+      }
+
+      // Refusée par le serveur : déjà restauré par requestDelete
+      if (!result.success) {
+        return { success: true, message: t('store.pokemon.restored', { name }), pokemon: this.getPokemonById(pokemonId) }
       }
+
+      // ÉTAPE 3 : Suppression faite, on recrée le Pokémon
+      return this.recreatePokemon(snapshot)
     },
 
     /**
-     * Charge les favoris depuis le stockage local du navigateur (localStorage).
-     * Cette méthode est appelée au démarrage pour restaurer les favoris précédents.
+     * Recrée via l'API un Pokémon supprimé, puis restaure ses favoris, équipes
+     * et comparaison avec le nouvel ID. Les favoris sont renvoyés au compte de l'utilisateur.
+     *
+     * @param {Object} snapshot - L'état local avant suppression (voir `captureLocalPokemon`)
+     * @returns {Promise<Object>} Objet avec `success` (boolean), `message` (string) et `pokemon`
      */
-    loadFavorites () {
+    async recreatePokemon (snapshot) {
+      const { name, level, types, description, img, stats } = snapshot.pokemon
+      const status = this.operations.create
+      beginStatus(status)
+      let errorMessage = null
+
       try {
-        // Récupérer les favoris depuis localStorage
-        const savedFavorites = localStorage.getItem('pokemon_favorites')
+        const response = await api.post('/pokemons', { name, level, types, description, img, stats })
+        const created = response.data || null
+        if (!created) {
+          throw new ApiError({ message: t('api.emptyResponse') })
+        }
 
-        if (savedFavorites) {
-          // Parser le JSON et stocker dans le state
-          this.favorites = JSON.parse(savedFavorites)
-          console.log('💾 Favoris chargés depuis le navigateur:', this.favorites.length, 'éléments')
-        } else {
-          // Pas de favoris sauvegardés, initialiser un tableau vide
-          this.favorites = []
-          console.log('💾 Aucun favori sauvegardé trouvé')
+        this.restoreLocalPokemon(snapshot, created)
+        if (snapshot.favorites.length > 0) {
+          await this.commitFavorites(() => {}, t('store.favorites.restored'))
         }
+        console.log('✅ Pokémon recréé:', created.name)
+
+        return { success: true, message: t('store.pokemon.recreated', { name: created.name }), pokemon: created }
       } catch (error) {
-        // En cas d'erreur (données corrompues), réinitialiser
-        console.error('❌ Erreur lors du chargement des favoris:', error)
-        this.favorites = []
+        console.error('❌ Erreur lors de la recréation du Pokémon:', error.message)
+        errorMessage = getErrorMessage(error, t('store.pokemon.recreateError', { name }))
+        return { success: false, message: errorMessage }
+      } finally {
+        endStatus(status, errorMessage)
       }
     },
 
     /**
-     * Sauvegarde les favoris dans le stockage local du navigateur.
-     * Appelée automatiquement chaque fois que la liste des favoris change.
+     * Applique localement des modifications sur un Pokémon de la liste
+     * (et sur la fiche de détail si c'est lui qui est affiché).
+     *
+     * @param {string|number} pokemonId - L'identifiant du Pokémon à modifier
+     * @param {Object} data - Les champs à fusionner
      */
-    saveFavorites () {
-      try {
-        // Convertir la liste en JSON et sauvegarder
-        localStorage.setItem('pokemon_favorites', JSON.stringify(this.favorites))
-        console.log('💾 Favoris sauvegardés dans le navigateur')
-      } catch (error) {
-        console.error('❌ Erreur lors de la sauvegarde des favoris:', error)
+    applyLocalUpdate (pokemonId, data) {
+      const pokemonIndex = this.pokemons.findIndex(pokemon => String(pokemon.id) === String(pokemonId))
+      if (pokemonIndex === -1) return
+
+      // Fusionner les anciennes données avec les nouvelles
+      this.pokemons[pokemonIndex] = { ...this.pokemons[pokemonIndex], ...data }
+      this.clearPageCache()
+
+      // Garder la fiche de détail synchronisée
+      if (this.selectedPokemon && String(this.selectedPokemon.id) === String(pokemonId)) {
+        this.selectedPokemon = this.pokemons[pokemonIndex]
       }
     },
 
     /**
-     * Nettoie les favoris en supprimant les IDs qui ne correspondent plus à des Pokémon existants.
-     * Appelée automatiquement après le chargement des Pokémon.
+     * Retire localement un Pokémon de la liste, des favoris, de la comparaison,
+     * des équipes et de la fiche de détail.
+     *
+     * @param {string|number} pokemonId - L'identifiant du Pokémon à retirer
      */
-    cleanupFavorites () {
-      const initialCount = this.favorites.length
+    applyLocalDelete (pokemonId) {
+      this.pokemons = this.pokemons.filter(pokemon => String(pokemon.id) !== String(pokemonId))
+      this.clearPageCache()
+
+      // Supprimer le Pokémon des favoris s'il y était. Le compte garde encore son ID :
+      // les favoris sont marqués non synchronisés pour que la prochaine synchronisation
+      // envoie la liste de l'appareil au lieu de fusionner un favori orphelin.
+      if (this.favorites.some(entry => String(entry.id) === String(pokemonId))) {
+        this.favorites = this.favorites.filter(entry => String(entry.id) !== String(pokemonId))
+        if (useAuthStore().isAuthenticated) {
+          this.favoritesUnsynced = true
+        }
+        this.saveFavorites()
+      }
 
-      // Filtrer pour ne garder que les IDs qui correspondent à des Pokémon existants
-      this.favorites = this.favorites.filter(favoriteId => {
-        return this.pokemons.some(pokemon => pokemon.id === favoriteId)
-      })
+      // Le retirer aussi des Pokémon créés, de la comparaison et des équipes
+      if (this.createdPokemonIds.some(createdId => String(createdId) === String(pokemonId))) {
+        this.createdPokemonIds = this.createdPokemonIds.filter(createdId => String(createdId) !== String(pokemonId))
+        this.saveCreatedPokemons()
+      }
+      this.removeFromComparison(pokemonId)
+      this.replaceInTeams(pokemonId, null)
 
-      const removedCount = initialCount - this.favorites.length
+      // Désélectionner le Pokémon s'il était affiché en détail
+      if (this.selectedPokemon && String(this.selectedPokemon.id) === String(pokemonId)) {
+        this.selectedPokemon = null
+      }
+    },
 
-      if (removedCount > 0) {
-        console.log('🧹 Nettoyage des favoris:', removedCount, 'favoris obsolètes supprimés')
+    /**
+     * Note tout ce que `applyLocalDelete` va retirer pour un Pokémon, avec les positions,
+     * afin de pouvoir le restaurer (`restoreLocalPokemon`).
+     *
+     * @param {string|number} pokemonId - L'identifiant du Pokémon
+     * @returns {Object} L'état local du Pokémon
+     */
+    captureLocalPokemon (pokemonId) {
+      const isSame = id => id !== null && String(id) === String(pokemonId)
+      const selected = Boolean(this.selectedPokemon) && isSame(this.selectedPokemon.id)
+
+      return {
+        pokemon: { ...(this.getPokemonById(pokemonId) || (selected ? this.selectedPokemon : { id: pokemonId })) },
+        index: this.pokemons.findIndex(pokemon => isSame(pokemon.id)),
+        favorites: this.favorites.flatMap((entry, index) => isSame(entry.id) ? [{ entry: { ...entry }, index }] : []),
+        comparisonIndex: this.comparison.findIndex(isSame),
+        teamSlots: this.teams.flatMap(team => team.slots.flatMap((slot, slotIndex) => {
+          return isSame(slot) ? [{ teamId: team.id, slotIndex }] : []
+        })),
+        created: this.createdPokemonIds.some(isSame),
+        selected,
+      }
+    },
+
+    /**
+     * Remet un Pokémon retiré par `applyLocalDelete` à ses anciennes places.
+     * Un emplacement d'équipe occupé entre-temps n'est pas écrasé.
+     *
+     * @param {Object} snapshot - L'état retourné par `captureLocalPokemon`
+     * @param {Object} [pokemon=snapshot.pokemon] - Le Pokémon à remettre (ex. recréé avec un nouvel ID)
+     */
+    restoreLocalPokemon (snapshot, pokemon = snapshot.pokemon) {
+      const isSame = id => id !== null && String(id) === String(pokemon.id)
+      const insertAt = (list, index, item) => {
+        const copy = [...list]
+        copy.splice(index === -1 ? copy.length : Math.min(index, copy.length), 0, item)
+        return copy
+      }
+
+      if (!this.pokemons.some(existing => isSame(existing.id))) {
+        this.pokemons = insertAt(this.pokemons, snapshot.index, pokemon)
+        this.clearPageCache()
+      }
+
+      if (snapshot.favorites.length > 0 && !this.favorites.some(entry => isSame(entry.id))) {
+        let favorites = this.favorites
+        for (const { entry, index } of snapshot.favorites) {
+          favorites = insertAt(favorites, index, { ...entry, id: pokemon.id })
+        }
+        this.favorites = favorites
         this.saveFavorites()
       }
+
+      if (snapshot.created && !this.createdPokemonIds.some(isSame)) {
+        this.createdPokemonIds.push(pokemon.id)
+        this.saveCreatedPokemons()
+      }
+
+      if (snapshot.comparisonIndex !== -1 && !this.comparison.some(isSame)) {
+        this.setComparison(insertAt(this.comparison, snapshot.comparisonIndex, pokemon.id))
+      }
+
+      let teamsChanged = false
+      for (const { teamId, slotIndex } of snapshot.teamSlots) {
+        const team = this.getTeamById(teamId)
+        if (team && team.slots[slotIndex] === null) {
+          team.slots[slotIndex] = pokemon.id
+          teamsChanged = true
+        }
+      }
+      if (teamsChanged) {
+        this.saveTeams()
+      }
+
+      if (snapshot.selected && !this.selectedPokemon) {
+        this.selectedPokemon = this.getPokemonById(pokemon.id) || null
+      }
     },
 
     /**
-     * Ajoute ou retire un Pokémon des favoris.
-     * Si le Pokémon est déjà favori, on le retire. Sinon, on l'ajoute.
+     * Enregistre une mutation faite hors ligne et l'applique tout de suite localement.
+     * Elle sera envoyée à l'API par `syncPendingMutations` au retour de la connexion.
      *
-     * @param {Object} pokemon - Le Pokémon à ajouter ou retirer des favoris
+     * Cas particuliers pour un Pokémon créé hors ligne (ID temporaire) :
+     * - une modification complète directement la création en attente ;
+     * - une suppression annule simplement la création en attente.
+     *
+     * @param {string} type - 'create', 'update' ou 'delete'
+     * @param {string|number|null} pokemonId - L'identifiant du Pokémon (null pour une création)
+     * @param {Object|null} [payload=null] - Les données envoyées à l'API
+     * @returns {Promise<Object>} Objet avec `success`, `message`, `queued: true` et, pour une création, `pokemon`
      */
-    toggleFavorite (pokemon) {
-      // Chercher si ce Pokémon est déjà dans les favoris
-      const favoriteIndex = this.favorites.findIndex(favoriteId => favoriteId === pokemon.id)
+    async queueOfflineMutation (type, pokemonId, payload = null) {
+      const current = pokemonId === null ? null : this.getPokemonById(pokemonId)
+      const pendingCreate = this.pendingMutations.find(mutation => {
+        return mutation.type === 'create' && String(mutation.pokemonId) === String(pokemonId)
+      })
 
-      if (favoriteIndex === -1) {
-        // Le Pokémon n'est pas favori, on l'ajoute
-        this.favorites.push(pokemon.id)
-        console.log('❤️ Pokémon ajouté aux favoris:', pokemon.name)
-      } else {
-        // Le Pokémon est déjà favori, on le retire
-        this.favorites.splice(favoriteIndex, 1)
-        console.log('💔 Pokémon retiré des favoris:', pokemon.name)
+      // Pokémon créé hors ligne : on modifie ou on annule la création en attente
+      if (pendingCreate && type === 'update') {
+        pendingCreate.payload = { ...pendingCreate.payload, ...payload }
+        pendingCreate.name = pendingCreate.payload.name
+        await updateQueuedMutation(pendingCreate)
+        this.applyLocalUpdate(pokemonId, payload)
+        return {
+          success: true,
+          queued: true,
+          message: t('store.offline.update'),
+        }
       }
 
-      // Sauvegarder les changements dans le navigateur
-      this.saveFavorites()
+      if (pendingCreate && type === 'delete') {
+        await removeQueuedMutation(pendingCreate.id)
+        this.pendingMutations = this.pendingMutations.filter(mutation => mutation !== pendingCreate)
+        this.applyLocalDelete(pokemonId)
+        return {
+          success: true,
+          queued: true,
+          message: t('store.offline.deletedBeforeSync'),
+        }
+      }
+
+      const mutation = {
+        type,
+        pokemonId: type === 'create' ? `${OFFLINE_ID_PREFIX}${uuidv4()}` : pokemonId,
+        payload,
+        // Permet de détecter au rejeu une modification faite entre-temps sur le serveur
+        baseUpdatedAt: current?.updatedAt ?? null,
+        name: payload?.name || current?.name || '',
+        queuedAt: Date.now(),
+      }
+      mutation.id = await enqueueMutation(mutation)
+      this.pendingMutations.push(mutation)
+
+      // Application locale immédiate
+      this.applyMutation(mutation)
+      if (type === 'create') {
+        this.rememberCreatedPokemon(mutation.pokemonId)
+      }
+      console.log('📴 Mutation mise en attente:', type, mutation.pokemonId)
+
+      const messages = {
+        create: t('store.offline.create'),
+        update: t('store.offline.update'),
+        delete: t('store.offline.delete'),
+      }
+
+      return {
+        success: true,
+        queued: true,
+        message: messages[type],
+        pokemon: type === 'create' ? this.getPokemonById(mutation.pokemonId) : undefined,
+      }
+    },
+
+    /**
+     * Applique localement une mutation en attente sur la liste des Pokémon.
+     *
+     * @param {Object} mutation - La mutation à appliquer
+     */
+    applyMutation (mutation) {
+      if (mutation.type === 'create') {
+        if (!this.getPokemonById(mutation.pokemonId)) {
+          this.pokemons.push({ ...mutation.payload, id: mutation.pokemonId })
+          this.clearPageCache()
+        }
+      } else if (mutation.type === 'update') {
+        this.applyLocalUpdate(mutation.pokemonId, mutation.payload)
+      } else if (mutation.type === 'delete') {
+        this.applyLocalDelete(mutation.pokemonId)
+      }
+    },
+
+    /**
+     * Réapplique toutes les mutations en attente, par exemple après avoir
+     * rechargé la liste depuis l'API ou depuis le cache.
+     */
+    applyPendingMutations () {
+      for (const mutation of this.pendingMutations) {
+        this.applyMutation(mutation)
+      }
+
+      // Suppressions dont le délai d'annulation court encore (pas encore envoyées)
+      if (scheduledDeletes.size > 0) {
+        this.pokemons = this.pokemons.filter(pokemon => !scheduledDeletes.has(String(pokemon.id)))
+      }
+    },
+
+    /**
+     * Installe (une seule fois) les écouteurs de connexion du navigateur.
+     * Au retour du réseau, les mutations en attente sont rejouées puis les données rafraîchies.
+     */
+    watchConnectivity () {
+      if (connectivityWatched || typeof window === 'undefined') return
+      connectivityWatched = true
+
+      window.addEventListener('offline', () => {
+        console.log('📴 Connexion perdue')
+        this.isOnline = false
+      })
+
+      window.addEventListener('online', async () => {
+        console.log('📶 Connexion rétablie')
+        this.isOnline = true
+        await this.syncPendingMutations()
+        await Promise.all([this.fetchTypes(), this.refreshPokemons()])
+        if (this.favoritesUnsynced && useAuthStore().isAuthenticated) {
+          await this.syncFavorites()
+        }
+      })
+    },
+
+    /**
+     * Envoie une mutation en attente à l'API.
+     * Lève une `ApiError` si le serveur la refuse ou si elle entre en conflit.
+     *
+     * @param {Object} mutation - La mutation à envoyer
+     * @returns {Promise<void>}
+     */
+    async sendMutation (mutation) {
+      if (mutation.type === 'create') {
+        const response = await api.post('/pokemons', mutation.payload)
+        const created = response.data
+
+        // Remplacer l'identifiant temporaire par celui du serveur (liste et favoris)
+        if (created) {
+          this.replaceOfflineId(mutation.pokemonId, created)
+        }
+        return
+      }
+
+      if (mutation.type === 'update') {
+        // Conflit si le Pokémon a changé sur le serveur depuis la modification hors ligne
+        if (mutation.baseUpdatedAt) {
+          const response = await api.get(`/pokemons/${mutation.pokemonId}`)
+          if (response.data && response.data.updatedAt && response.data.updatedAt !== mutation.baseUpdatedAt) {
+            throw new ApiError({
+              status: 409,
+              message: t('store.offline.modifiedOnServer'),
+              hasServerMessage: true,
+            })
+          }
+        }
+        await api.put(`/pokemons/${mutation.pokemonId}`, mutation.payload)
+        return
+      }
+
+      if (mutation.type === 'delete') {
+        try {
+          await api.delete(`/pokemons/${mutation.pokemonId}`)
+        } catch (error) {
+          // Déjà supprimé sur le serveur : le résultat est celui attendu
+          if (error.status !== 404) throw error
+        }
+      }
+    },
+
+    /**
+     * Remplace l'identifiant temporaire d'un Pokémon créé hors ligne
+     * par le Pokémon renvoyé par le serveur.
+     *
+     * @param {string} offlineId - L'identifiant temporaire
+     * @param {Object} created - Le Pokémon créé par le serveur
+     */
+    replaceOfflineId (offlineId, created) {
+      const pokemonIndex = this.pokemons.findIndex(pokemon => pokemon.id === offlineId)
+      if (pokemonIndex === -1) {
+        this.pokemons.push(created)
+      } else {
+        this.pokemons[pokemonIndex] = created
+      }
+      this.clearPageCache()
+
+      if (this.createdPokemonIds.includes(offlineId)) {
+        this.createdPokemonIds = this.createdPokemonIds.map(pokemonId => pokemonId === offlineId ? created.id : pokemonId)
+        this.saveCreatedPokemons()
+      }
+
+      if (this.favorites.some(entry => String(entry.id) === String(offlineId))) {
+        this.favorites = this.favorites.map(entry => String(entry.id) === String(offlineId) ? { ...entry, id: created.id } : entry)
+        this.saveFavorites()
+      }
+
+      if (this.comparison.includes(offlineId)) {
+        this.setComparison(this.comparison.map(pokemonId => pokemonId === offlineId ? created.id : pokemonId))
+      }
+
+      this.replaceInTeams(offlineId, created.id)
+
+      if (this.selectedPokemon && this.selectedPokemon.id === offlineId) {
+        this.selectedPokemon = created
+      }
+    },
+
+    /**
+     * Rejoue dans l'ordre les mutations faites hors ligne.
+     *
+     * ÉTAPES DE CETTE MÉTHODE :
+     * 1. Envoyer chaque mutation à l'API
+     * 2. Arrêter si le réseau est de nouveau perdu (les mutations restantes sont conservées)
+     * 3. Noter les mutations refusées comme conflits et les retirer de la file
+     * 4. Informer l'utilisateur du résultat
+     *
+     * @returns {Promise<void>}
+     */
+    async syncPendingMutations () {
+      if (this.isSyncing || this.pendingMutations.length === 0) return
+
+      console.log('🔄 Rejeu des mutations hors ligne:', this.pendingMutations.length)
+      this.isSyncing = true
+
+      let syncedCount = 0
+      const conflicts = []
+      const fallbacks = {
+        create: t('store.offline.createRejected'),
+        update: t('store.offline.updateRejected'),
+        delete: t('store.offline.deleteRejected'),
+      }
+
+      try {
+        for (const mutation of [...this.pendingMutations]) {
+          // ÉTAPE 1 : Envoi de la mutation
+          try {
+            await this.sendMutation(mutation)
+            syncedCount++
+          } catch (error) {
+            // ÉTAPE 2 : Toujours hors ligne, on réessaiera plus tard
+            if (error.isNetworkError) break
+
+            // ÉTAPE 3 : Conflit ou refus du serveur
+            conflicts.push({
+              type: mutation.type,
+              pokemonId: mutation.pokemonId,
+              name: mutation.name,
+              message: getErrorMessage(error, fallbacks[mutation.type]),
+              at: Date.now(),
+            })
+          }
+
+          await removeQueuedMutation(mutation.id)
+          this.pendingMutations = this.pendingMutations.filter(pending => pending !== mutation)
+        }
+      } finally {
+        this.isSyncing = false
+      }
+
+      this.syncConflicts.push(...conflicts)
+
+      // Recharger les Pokémon pour refléter l'état réel du serveur
+      if (syncedCount > 0 || conflicts.length > 0) {
+        await this.refreshPokemons()
+      }
+
+      // ÉTAPE 4 : Informer l'utilisateur
+      if (conflicts.length > 0) {
+        useSnackbarStore().show(t('store.offline.syncedWithConflicts', { count: syncedCount, conflicts: conflicts.length }), 'warning')
+      } else if (syncedCount > 0) {
+        useSnackbarStore().show(t('store.offline.synced', { count: syncedCount }), 'success')
+      }
+    },
+
+    /**
+     * Efface la liste des conflits affichés à l'utilisateur.
+     */
+    clearSyncConflicts () {
+      this.syncConflicts = []
+    },
+
+    /**
+     * Charge un Pokémon précis et le sélectionne pour l'affichage détaillé.
+     * Utilisé par la page de détail, y compris lors d'un accès direct par URL
+     * (la liste `pokemons` peut alors être encore vide).
+     *
+     * ÉTAPES DE CETTE MÉTHODE :
+     * 1. Charger les types s'ils ne sont pas encore disponibles
+     * 2. Chercher le Pokémon dans la liste locale
+     * 3. Sinon, le demander à l'API et l'ajouter à la liste locale
+     * 4. Sélectionner le Pokémon (ou `null` s'il n'existe pas)
+     *
+     * @param {string|number} pokemonId - L'identifiant du Pokémon à charger
+     * @returns {Promise<Object|null>} Le Pokémon sélectionné, ou `null` s'il est introuvable
+     */
+    async fetchPokemonById (pokemonId) {
+      console.log('📥 Chargement du Pokémon', pokemonId)
+
+      const status = this.beginPokemonStatus(pokemonId, 'fetch')
+      let errorMessage = null
+
+      try {
+        // ÉTAPE 1 : Les types sont nécessaires pour afficher les puces de types
+        if (this.types.length === 0) {
+          await this.fetchTypes()
+        }
+
+        // ÉTAPE 2 : Le Pokémon est peut-être déjà chargé
+        if (!this.getPokemonById(pokemonId)) {
+          // ÉTAPE 3 : Requête GET vers l'API pour ce seul Pokémon
+          const response = await api.get(`/pokemons/${pokemonId}`)
+
+          const pokemon = response.data || null
+
+          // La liste complète a pu arriver entre-temps (init en parallèle)
+          if (pokemon && !this.getPokemonById(pokemon.id)) {
+            this.pokemons.push(pokemon)
+          }
+        }
+      } catch (error) {
+        console.error('❌ Erreur lors du chargement du Pokémon:', error.message)
+
+        // Un 404 n'est pas une erreur : le Pokémon n'existe simplement pas
+        if (error.status !== 404) {
+          errorMessage = getErrorMessage(error, t('store.loadPokemonError'))
+        }
+
+        if (error.status) {
+          console.error('   Détail de l\'erreur serveur:', error.status, error.errors)
+        }
+      } finally {
+        endStatus(status, errorMessage)
+      }
+
+      // ÉTAPE 4 : Sélectionner le Pokémon (null s'il est introuvable)
+      this.selectPokemon(pokemonId)
+      return this.selectedPokemon
+    },
+
+    /**
+     * Démarre une opération sur un Pokémon précis et retourne son état.
+     * L'état est créé au premier usage dans `pokemonStatus`.
+     *
+     * @param {string|number} pokemonId - L'identifiant du Pokémon concerné
+     * @param {string} action - L'opération lancée : 'fetch', 'update' ou 'delete'
+     * @returns {Object} L'état (réactif) de l'opération
+     */
+    beginPokemonStatus (pokemonId, action) {
+      const key = String(pokemonId)
+      if (!this.pokemonStatus[key]) {
+        this.pokemonStatus[key] = { ...createStatus(), action: null }
+      }
+
+      const status = this.pokemonStatus[key]
+      status.action = action
+      beginStatus(status)
+      return status
+    },
+
+    /**
+     * Sélectionne un Pokémon pour l'affichage détaillé.
+     * Utile pour les pages de détail d'un Pokémon.
+     *
+     * @param {string} pokemonId - L'identifiant du Pokémon à sélectionner
+     */
+    selectPokemon (pokemonId) {
+      // Chercher le Pokémon dans la liste
+      const pokemon = this.getPokemonById(pokemonId)
+
+      if (pokemon) {
+        this.selectedPokemon = pokemon
+        console.log('👆 Pokémon sélectionné:', pokemon.name)
+      } else {
+        this.selectedPokemon = null
+        console.log('👆 Pokémon non trouvé pour l\'ID:', pokemonId)
+      }
+    },
+
+    /**
+     * Charge les favoris depuis le stockage local du navigateur (localStorage).
+     * Cette méthode est appelée au démarrage pour restaurer les favoris précédents.
+     * L'ancien format (simple liste d'IDs) est converti puis réenregistré.
+     */
+    loadFavorites () {
+      try {
+        // Récupérer les favoris depuis localStorage
+        const savedFavorites = localStorage.getItem(FAVORITES_KEY)
+        this.favoritesUnsynced = localStorage.getItem(FAVORITES_UNSYNCED_KEY) === 'true'
+
+        if (savedFavorites) {
+          // Parser le JSON et stocker dans le state (migration automatique)
+          const { items, collections, migrated } = parseFavorites(JSON.parse(savedFavorites))
+          this.favorites = items
+          this.favoriteCollections = collections
+          console.log('💾 Favoris chargés depuis le navigateur:', this.favorites.length, 'éléments')
+
+          if (migrated) {
+            console.log('🔁 Favoris convertis au nouveau format')
+            this.saveFavorites()
+          }
+        } else {
+          // Pas de favoris sauvegardés, initialiser un tableau vide
+          this.favorites = []
+          this.favoriteCollections = []
+          console.log('💾 Aucun favori sauvegardé trouvé')
+        }
+      } catch (error) {
+        // En cas d'erreur (données corrompues), réinitialiser
+        console.error('❌ Erreur lors du chargement des favoris:', error)
+        this.favorites = []
+        this.favoriteCollections = []
+      }
+    },
+
+    /**
+     * Sauvegarde les favoris dans le stockage local du navigateur.
+     * Appelée automatiquement chaque fois que la liste des favoris change.
+     */
+    saveFavorites () {
+      try {
+        // Convertir la liste en JSON et sauvegarder
+        localStorage.setItem(FAVORITES_KEY, JSON.stringify(serializeFavorites(this.favorites, this.favoriteCollections)))
+        if (this.favoritesUnsynced) {
+          localStorage.setItem(FAVORITES_UNSYNCED_KEY, 'true')
+        } else {
+          localStorage.removeItem(FAVORITES_UNSYNCED_KEY)
+        }
+        console.log('💾 Favoris sauvegardés dans le navigateur')
+      } catch (error) {
+        console.error('❌ Erreur lors de la sauvegarde des favoris:', error)
+      }
+    },
+
+    /**
+     * Ramène des entrées de favoris reçues du serveur à la forme de `favorites` :
+     * l'ID est repris tel qu'il figure dans la liste des Pokémon (nombre ou chaîne).
+     *
+     * @param {Array<Object>} entries - Les entrées à normaliser
+     * @returns {Array<Object>} Les entrées normalisées, dans le même ordre
+     */
+    normalizeFavoriteEntries (entries) {
+      return entries.map(entry => ({ ...entry, id: this.getPokemonById(entry.id)?.id ?? entry.id }))
+    },
+
+    /**
+     * Synchronise les favoris avec le compte de l'utilisateur connecté.
+     *
+     * ÉTAPES DE CETTE MÉTHODE :
+     * 1. Lire les favoris du serveur (`GET /users/me/favorites`, ancien format accepté)
+     * 2. Choisir les favoris à garder :
+     *    - modifications faites hors ligne : ceux de l'appareil
+     *    - première connexion (`merge`) : la fusion des deux (voir mergeFavoriteEntries)
+     *    - sinon : ceux du serveur
+     * 3. Les envoyer au serveur s'ils diffèrent des siens (`PUT`)
+     * 4. Remplacer les favoris locaux
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.merge=false] - Fusionner les favoris locaux avec ceux du compte
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async syncFavorites ({ merge = false } = {}) {
+      if (!useAuthStore().isAuthenticated) {
+        return { success: true, message: t('store.favorites.savedLocally') }
+      }
+
+      const status = this.operations.favorites
+      beginStatus(status)
+      let errorMessage = null
+
+      try {
+        // ÉTAPE 1 : Favoris du compte
+        const response = await api.get(USER_FAVORITES_URL)
+        const remote = parseFavorites(response.data)
+        const remoteData = serializeFavorites(this.normalizeFavoriteEntries(remote.items), remote.collections)
+
+        // ÉTAPE 2 : Favoris à garder
+        let data = remoteData
+        if (this.favoritesUnsynced) {
+          data = serializeFavorites(this.favorites, this.favoriteCollections)
+        } else if (merge) {
+          data = serializeFavorites(
+            mergeFavoriteEntries(remoteData.items, this.favorites),
+            normalizeCollectionNames([...remoteData.collections, ...this.favoriteCollections]),
+          )
+        }
+
+        // ÉTAPE 3 : Mise à jour du serveur si nécessaire
+        if (remote.migrated || JSON.stringify(data) !== JSON.stringify(remoteData)) {
+          await api.put(USER_FAVORITES_URL, data)
+        }
+
+        // ÉTAPE 4 : Favoris locaux
+        this.favorites = data.items
+        this.favoriteCollections = data.collections
+        this.favoritesUnsynced = false
+        this.saveFavorites()
+        console.log('☁️ Favoris synchronisés avec le compte:', this.favorites.length, 'éléments')
+      } catch (error) {
+        console.error('❌ Erreur lors de la synchronisation des favoris:', error.message)
+        errorMessage = getErrorMessage(error, t('store.favorites.syncError'))
+      } finally {
+        endStatus(status, errorMessage)
+      }
+
+      return errorMessage
+        ? { success: false, message: errorMessage }
+        : { success: true, message: t('store.favorites.synced') }
+    },
+
+    /**
+     * Nettoie les favoris en supprimant les IDs qui ne correspondent plus à des Pokémon existants.
+     * Appelée automatiquement après le chargement des Pokémon.
+     */
+    cleanupFavorites () {
+      const initialCount = this.favorites.length
+
+      // Filtrer pour ne garder que les IDs qui correspondent à des Pokémon existants
+      this.favorites = this.favorites.filter(entry => {
+        return this.pokemons.some(pokemon => String(pokemon.id) === String(entry.id))
+      })
+
+      const removedCount = initialCount - this.favorites.length
+
+      if (removedCount > 0) {
+        console.log('🧹 Nettoyage des favoris:', removedCount, 'favoris obsolètes supprimés')
+        this.saveFavorites()
+      }
+    },
+
+    /**
+     * Ajoute ou retire localement un Pokémon des favoris et sauvegarde la liste.
+     * Un favori ajouté est placé en fin de liste, avec la date du jour.
+     *
+     * @param {string|number} pokemonId - L'identifiant du Pokémon
+     * @param {boolean|Object} favorite - `false` pour le retirer, `true` ou l'entrée à remettre pour l'ajouter
+     */
+    setFavorite (pokemonId, favorite) {
+      const isFavorite = this.favorites.some(entry => String(entry.id) === String(pokemonId))
+
+      if (favorite && !isFavorite) {
+        this.favorites.push(favorite === true ? createFavoriteEntry(pokemonId) : favorite)
+      } else if (!favorite && isFavorite) {
+        this.favorites = this.favorites.filter(entry => String(entry.id) !== String(pokemonId))
+      }
+
+      // Sauvegarder les changements dans le navigateur
+      this.saveFavorites()
+    },
+
+    /**
+     * Ajoute ou retire un Pokémon des favoris.
+     * Si le Pokémon est déjà favori, on le retire. Sinon, on l'ajoute.
+     *
+     * Mise à jour optimiste : la liste change tout de suite, puis la modification
+     * est envoyée au compte si l'utilisateur est connecté. Si le serveur la refuse,
+     * le favori revient à son état précédent (note et collections comprises).
+     * Sans réseau, la liste locale sera envoyée au retour de la connexion (voir `syncFavorites`).
+     *
+     * @param {Object} pokemon - Le Pokémon à ajouter ou retirer des favoris
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async toggleFavorite (pokemon) {
+      // Chercher si ce Pokémon est déjà dans les favoris, puis inverser
+      const previousEntry = this.favorites.find(entry => String(entry.id) === String(pokemon.id))
+      const previousIndex = this.favorites.indexOf(previousEntry)
+      const wasFavorite = previousEntry !== undefined
+      this.setFavorite(pokemon.id, !wasFavorite)
+
+      const message = wasFavorite
+        ? t('store.favorites.removed', { name: pokemon.name })
+        : t('store.favorites.added', { name: pokemon.name })
+      console.log(wasFavorite ? '💔' : '❤️', message)
+
+      if (!useAuthStore().isAuthenticated) {
+        return { success: true, message }
+      }
+
+      // Hors ligne : la liste locale fait foi jusqu'à la prochaine synchronisation
+      if (!this.isOnline) {
+        this.favoritesUnsynced = true
+        this.saveFavorites()
+        return { success: true, message }
+      }
+
+      try {
+        const url = `${USER_FAVORITES_URL}/${encodeURIComponent(pokemon.id)}`
+        if (wasFavorite) {
+          await api.delete(url)
+        } else {
+          const { addedAt, note, collections } = this.getFavoriteEntry(pokemon.id) || createFavoriteEntry(pokemon.id)
+          await api.put(url, { addedAt, note, collections })
+        }
+        return { success: true, message }
+      } catch (error) {
+        if (error.isNetworkError) {
+          this.favoritesUnsynced = true
+          this.saveFavorites()
+          return { success: true, message }
+        }
+
+        // Refus du serveur : retour à l'état précédent,
+        // sauf si l'utilisateur a déjà rebasculé le favori entre-temps
+        console.error('❌ Erreur lors de la mise à jour du favori:', error.message)
+        if (this.isFavorite(pokemon) !== wasFavorite) {
+          if (wasFavorite) {
+            this.favorites.splice(Math.min(previousIndex, this.favorites.length), 0, previousEntry)
+            this.saveFavorites()
+          } else {
+            this.setFavorite(pokemon.id, false)
+          }
+        }
+        return {
+          success: false,
+          message: getErrorMessage(error, t('store.favorites.updateError')),
+        }
+      }
+    },
+
+    /**
+     * Applique une modification des favoris (note, collections, ordre) de façon optimiste :
+     * sauvegarde locale immédiate, puis envoi de l'ensemble des favoris au compte
+     * si l'utilisateur est connecté. Si le serveur refuse, les favoris reviennent à leur état précédent.
+     *
+     * @param {Function} change - Fonction qui modifie `favorites` et/ou `favoriteCollections`
+     * @param {string} message - Message de réussite
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async commitFavorites (change, message) {
+      const snapshot = JSON.parse(JSON.stringify(serializeFavorites(this.favorites, this.favoriteCollections)))
+
+      change()
+      this.saveFavorites()
+
+      if (!useAuthStore().isAuthenticated) {
+        return { success: true, message }
+      }
+
+      if (!this.isOnline) {
+        this.favoritesUnsynced = true
+        this.saveFavorites()
+        return { success: true, message }
+      }
+
+      try {
+        await api.put(USER_FAVORITES_URL, serializeFavorites(this.favorites, this.favoriteCollections))
+        return { success: true, message }
+      } catch (error) {
+        if (error.isNetworkError) {
+          this.favoritesUnsynced = true
+          this.saveFavorites()
+          return { success: true, message }
+        }
+
+        console.error('❌ Erreur lors de la mise à jour des favoris:', error.message)
+        this.favorites = snapshot.items
+        this.favoriteCollections = snapshot.collections
+        this.saveFavorites()
+        return {
+          success: false,
+          message: getErrorMessage(error, t('store.favorites.updateError')),
+        }
+      }
+    },
+
+    /**
+     * Modifie la note et/ou les collections d'un favori.
+     * Les collections inconnues sont créées.
+     *
+     * @param {string|number} pokemonId - L'identifiant du Pokémon favori
+     * @param {Object} details - `note` (string) et/ou `collections` (Array<string>)
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async updateFavorite (pokemonId, { note, collections } = {}) {
+      const entry = this.getFavoriteEntry(pokemonId)
+      if (!entry) {
+        return { success: false, message: t('store.favorites.notFavorite') }
+      }
+
+      if (note !== undefined && String(note).length > FAVORITE_NOTE_MAX) {
+        return { success: false, message: t('store.favorites.noteTooLong', { max: FAVORITE_NOTE_MAX }) }
+      }
+
+      return this.commitFavorites(() => {
+        if (note !== undefined) {
+          entry.note = String(note).trim()
+        }
+        if (collections !== undefined) {
+          entry.collections = normalizeCollectionNames(collections)
+          this.favoriteCollections = normalizeCollectionNames([...this.favoriteCollections, ...entry.collections])
+        }
+      }, t('store.favorites.updated'))
+    },
+
+    /**
+     * Déplace un favori à la place d'un autre (glisser-déposer sur la page des favoris).
+     *
+     * @param {string|number} pokemonId - Le favori déplacé
+     * @param {string|number} targetId - Le favori dont il prend la place
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async moveFavorite (pokemonId, targetId) {
+      const fromIndex = this.favorites.findIndex(entry => String(entry.id) === String(pokemonId))
+      const toIndex = this.favorites.findIndex(entry => String(entry.id) === String(targetId))
+
+      if (fromIndex === -1 || toIndex === -1) {
+        return { success: false, message: t('store.favorites.notFound') }
+      }
+      if (fromIndex === toIndex) {
+        return { success: true, message: t('store.favorites.orderUnchanged') }
+      }
+
+      return this.commitFavorites(() => {
+        const [entry] = this.favorites.splice(fromIndex, 1)
+        this.favorites.splice(toIndex, 0, entry)
+      }, t('store.favorites.orderUpdated'))
+    },
+
+    /**
+     * Vérifie le nom d'une collection : obligatoire, `COLLECTION_NAME_MAX` caractères au plus et unique.
+     *
+     * @param {string} name - Le nom proposé
+     * @param {string|null} [currentName=null] - La collection renommée (ignorée dans le contrôle d'unicité)
+     * @returns {string|null} Le message d'erreur, ou `null` si le nom est valide
+     */
+    validateCollectionName (name, currentName = null) {
+      const trimmedName = String(name || '').trim()
+      if (!trimmedName) {
+        return t('store.collections.nameRequired')
+      }
+      if (trimmedName.length > COLLECTION_NAME_MAX) {
+        return t('store.collections.nameTooLong', { max: COLLECTION_NAME_MAX })
+      }
+      const duplicate = this.favoriteCollections.some(existing => {
+        return existing !== currentName && existing.toLowerCase() === trimmedName.toLowerCase()
+      })
+      return duplicate ? t('store.collections.duplicate') : null
+    },
+
+    /**
+     * Crée une collection de favoris vide.
+     *
+     * @param {string} name - Le nom de la collection
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async createFavoriteCollection (name) {
+      const error = this.validateCollectionName(name)
+      if (error) {
+        return { success: false, message: error }
+      }
+
+      const trimmedName = name.trim()
+      return this.commitFavorites(() => {
+        this.favoriteCollections.push(trimmedName)
+      }, t('store.collections.created', { name: trimmedName }))
+    },
+
+    /**
+     * Renomme une collection, dans la liste et dans chaque favori qui en fait partie.
+     *
+     * @param {string} currentName - Le nom actuel
+     * @param {string} name - Le nouveau nom
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async renameFavoriteCollection (currentName, name) {
+      if (!this.favoriteCollections.includes(currentName)) {
+        return { success: false, message: t('store.collections.notFound') }
+      }
+
+      const error = this.validateCollectionName(name, currentName)
+      if (error) {
+        return { success: false, message: error }
+      }
+
+      const trimmedName = name.trim()
+      const rename = collection => collection === currentName ? trimmedName : collection
+      return this.commitFavorites(() => {
+        this.favoriteCollections = this.favoriteCollections.map(rename)
+        for (const entry of this.favorites) {
+          entry.collections = entry.collections.map(rename)
+        }
+      }, t('store.collections.renamed'))
+    },
+
+    /**
+     * Supprime une collection. Les favoris qui en faisaient partie restent favoris.
+     *
+     * @param {string} name - Le nom de la collection
+     * @returns {Promise<Object>} Objet avec `success` (boolean) et `message` (string)
+     */
+    async deleteFavoriteCollection (name) {
+      if (!this.favoriteCollections.includes(name)) {
+        return { success: false, message: t('store.collections.notFound') }
+      }
+
+      return this.commitFavorites(() => {
+        this.favoriteCollections = this.favoriteCollections.filter(collection => collection !== name)
+        for (const entry of this.favorites) {
+          entry.collections = entry.collections.filter(collection => collection !== name)
+        }
+      }, t('store.collections.deleted', { name }))
+    },
+
+    /**
+     * Charge la sélection de comparaison depuis le stockage local du navigateur.
+     * Sans effet si elle a déjà été chargée ou définie depuis l'URL de la page /compare.
+     */
+    loadComparison () {
+      if (comparisonLoaded) return
+      comparisonLoaded = true
+
+      try {
+        const savedComparison = JSON.parse(localStorage.getItem(COMPARISON_KEY) || '[]')
+        this.comparison = Array.isArray(savedComparison) ? savedComparison.slice(0, MAX_COMPARISON) : []
+      } catch (error) {
+        // En cas d'erreur (données corrompues), réinitialiser
+        console.error('❌ Erreur lors du chargement de la comparaison:', error)
+        this.comparison = []
+      }
+    },
+
+    /**
+     * Remplace la sélection de comparaison (doublons retirés, `MAX_COMPARISON` au plus)
+     * et la sauvegarde dans le navigateur.
+     *
+     * @param {Array<string|number>} pokemonIds - Les identifiants, dans l'ordre des colonnes
+     */
+    setComparison (pokemonIds) {
+      const uniqueIds = []
+      for (const pokemonId of pokemonIds) {
+        if (!uniqueIds.some(existingId => String(existingId) === String(pokemonId))) {
+          uniqueIds.push(pokemonId)
+        }
+      }
+      this.comparison = uniqueIds.slice(0, MAX_COMPARISON)
+      comparisonLoaded = true
+
+      try {
+        localStorage.setItem(COMPARISON_KEY, JSON.stringify(this.comparison))
+      } catch (error) {
+        console.error('❌ Erreur lors de la sauvegarde de la comparaison:', error)
+      }
+    },
+
+    /**
+     * Ajoute un Pokémon à la sélection de comparaison.
+     *
+     * @param {Object} pokemon - Le Pokémon à ajouter
+     * @returns {Object} Objet avec `success` (boolean) et `message` (string)
+     */
+    addToComparison (pokemon) {
+      if (this.isInComparison(pokemon)) {
+        return {
+          success: true,
+          message: t('store.comparison.alreadyIn', { name: pokemon.name }),
+        }
+      }
+
+      if (this.comparison.length >= MAX_COMPARISON) {
+        return {
+          success: false,
+          message: t('store.comparison.full', { max: MAX_COMPARISON }),
+        }
+      }
+
+      this.setComparison([...this.comparison, pokemon.id])
+      return {
+        success: true,
+        message: t('store.comparison.added', { name: pokemon.name }),
+      }
+    },
+
+    /**
+     * Retire un Pokémon de la sélection de comparaison.
+     *
+     * @param {string|number} pokemonId - L'identifiant du Pokémon à retirer
+     */
+    removeFromComparison (pokemonId) {
+      if (!this.comparison.some(existingId => String(existingId) === String(pokemonId))) return
+      this.setComparison(this.comparison.filter(existingId => String(existingId) !== String(pokemonId)))
+    },
+
+    /**
+     * Applique un import de sauvegarde préparé par `planImport` (src/utils/backup.js).
+     *
+     * ÉTAPES DE CETTE MÉTHODE :
+     * 1. Créer les Pokémon du fichier (`addPokemon`) et noter leur nouvel ID
+     * 2. Supprimer les Pokémon créés absents du fichier (mode remplacement)
+     * 3. Remplacer les favoris ; ceux d'un Pokémon dont la création a échoué sont ignorés
+     *
+     * Les conflits du plan ont déjà été écartés : ils ne sont pas écrits.
+     *
+     * @param {Object} plan - Le plan d'import (voir planImport)
+     * @returns {Promise<Object>} Objet avec `success`, `message` et `failures` (messages d'erreur)
+     */
+    async importBackup (plan) {
+      const failures = []
+      const createdIds = new Map()
+
+      // ÉTAPE 1 : Création des Pokémon du fichier
+      for (const { sourceId, payload } of plan.pokemons.toCreate) {
+        const result = await this.addPokemon(payload)
+        if (result.success && result.pokemon) {
+          createdIds.set(`${PENDING_ID_PREFIX}${sourceId}`, result.pokemon.id)
+        } else {
+          failures.push(`${payload.name} : ${result.message}`)
+        }
+      }
+
+      // ÉTAPE 2 : Suppression des Pokémon créés absents du fichier
+      for (const pokemon of plan.pokemons.toDelete) {
+        const result = await this.deletePokemon(pokemon.id, { undoDelay: 0 })
+        if (!result.success) {
+          failures.push(`${pokemon.name} : ${result.message}`)
+        }
+      }
+
+      // ÉTAPE 3 : Favoris, avec les IDs des Pokémon qui viennent d'être créés
+      const items = plan.favorites.items
+        .filter(entry => !isPendingId(entry.id) || createdIds.has(entry.id))
+        .map(entry => isPendingId(entry.id) ? { ...entry, id: createdIds.get(entry.id) } : entry)
+
+      const favoritesResult = await this.commitFavorites(() => {
+        this.favorites = items
+        this.favoriteCollections = [...plan.favorites.collections]
+      }, t('store.favorites.imported'))
+      if (!favoritesResult.success) {
+        failures.push(favoritesResult.message)
+      }
+
+      const summary = t('store.import.summary', { favorites: items.length, created: createdIds.size })
+      return failures.length > 0
+        ? { success: false, message: t('store.import.doneWithErrors', { count: failures.length, summary }), failures }
+        : { success: true, message: t('store.import.done', { summary }), failures }
+    },
+
+    /**
+     * Charge les IDs des Pokémon créés depuis cet appareil (stockage local du navigateur).
+     */
+    loadCreatedPokemons () {
+      try {
+        const savedIds = JSON.parse(localStorage.getItem(CREATED_KEY) || '[]')
+        this.createdPokemonIds = Array.isArray(savedIds) ? savedIds : []
+      } catch (error) {
+        // En cas d'erreur (données corrompues), réinitialiser
+        console.error('❌ Erreur lors du chargement des Pokémon créés:', error)
+        this.createdPokemonIds = []
+      }
+    },
+
+    /**
+     * Sauvegarde les IDs des Pokémon créés dans le stockage local du navigateur.
+     */
+    saveCreatedPokemons () {
+      try {
+        localStorage.setItem(CREATED_KEY, JSON.stringify(this.createdPokemonIds))
+      } catch (error) {
+        console.error('❌ Erreur lors de la sauvegarde des Pokémon créés:', error)
+      }
+    },
+
+    /**
+     * Retient qu'un Pokémon a été créé depuis cet appareil.
+     *
+     * @param {string|number} pokemonId - L'identifiant du Pokémon créé
+     */
+    rememberCreatedPokemon (pokemonId) {
+      if (!this.createdPokemonIds.some(createdId => String(createdId) === String(pokemonId))) {
+        this.createdPokemonIds.push(pokemonId)
+        this.saveCreatedPokemons()
+      }
+    },
+
+    /**
+     * Charge les équipes depuis le stockage local du navigateur.
+     * Les données invalides sont ignorées et chaque équipe est ramenée à `TEAM_SIZE` emplacements.
+     */
+    loadTeams () {
+      try {
+        const savedTeams = JSON.parse(localStorage.getItem(TEAMS_KEY) || '[]')
+        this.teams = (Array.isArray(savedTeams) ? savedTeams : [])
+          .filter(team => team && team.id && Array.isArray(team.slots))
+          .map(team => ({
+            id: team.id,
+            name: String(team.name || t('store.teams.defaultName')),
+            slots: Array.from({ length: TEAM_SIZE }, (_, index) => team.slots[index] ?? null),
+            createdAt: team.createdAt || Date.now(),
+          }))
+        console.log('💾 Équipes chargées depuis le navigateur:', this.teams.length, 'éléments')
+      } catch (error) {
+        // En cas d'erreur (données corrompues), réinitialiser
+        console.error('❌ Erreur lors du chargement des équipes:', error)
+        this.teams = []
+      }
+    },
+
+    /**
+     * Sauvegarde les équipes dans le stockage local du navigateur.
+     * Appelée automatiquement après chaque modification d'équipe.
+     */
+    saveTeams () {
+      try {
+        localStorage.setItem(TEAMS_KEY, JSON.stringify(this.teams))
+      } catch (error) {
+        console.error('❌ Erreur lors de la sauvegarde des équipes:', error)
+      }
+    },
+
+    /**
+     * Vérifie le nom d'une équipe : obligatoire et unique.
+     *
+     * @param {string} name - Le nom proposé
+     * @param {string|null} [teamId=null] - L'équipe renommée (ignorée dans le contrôle d'unicité)
+     * @returns {string|null} Le message d'erreur, ou `null` si le nom est valide
+     */
+    validateTeamName (name, teamId = null) {
+      const trimmedName = String(name || '').trim()
+      if (!trimmedName) {
+        return t('store.teams.nameRequired')
+      }
+      const duplicate = this.teams.some(team => {
+        return team.id !== teamId && team.name.toLowerCase() === trimmedName.toLowerCase()
+      })
+      return duplicate ? t('store.teams.duplicate') : null
+    },
+
+    /**
+     * Crée une nouvelle équipe vide.
+     *
+     * @param {string} name - Le nom de l'équipe
+     * @returns {Object} Objet avec `success`, `message` et, en cas de succès, `team`
+     */
+    createTeam (name) {
+      const error = this.validateTeamName(name)
+      if (error) {
+        return { success: false, message: error }
+      }
+
+      const team = {
+        id: uuidv4(),
+        name: name.trim(),
+        slots: Array.from({ length: TEAM_SIZE }, () => null),
+        createdAt: Date.now(),
+      }
+      this.teams.push(team)
+      this.saveTeams()
+
+      return {
+        success: true,
+        message: t('store.teams.created', { name: team.name }),
+        team,
+      }
+    },
+
+    /**
+     * Renomme une équipe.
+     *
+     * @param {string} teamId - L'identifiant de l'équipe
+     * @param {string} name - Le nouveau nom
+     * @returns {Object} Objet avec `success` (boolean) et `message` (string)
+     */
+    renameTeam (teamId, name) {
+      const team = this.getTeamById(teamId)
+      if (!team) {
+        return { success: false, message: t('store.teams.notFound') }
+      }
+
+      const error = this.validateTeamName(name, teamId)
+      if (error) {
+        return { success: false, message: error }
+      }
+
+      team.name = name.trim()
+      this.saveTeams()
+      return { success: true, message: t('store.teams.renamed') }
+    },
+
+    /**
+     * Supprime une équipe.
+     *
+     * @param {string} teamId - L'identifiant de l'équipe
+     * @returns {Object} Objet avec `success` (boolean) et `message` (string)
+     */
+    deleteTeam (teamId) {
+      const team = this.getTeamById(teamId)
+      if (!team) {
+        return { success: false, message: t('store.teams.notFound') }
+      }
+
+      this.teams = this.teams.filter(existing => existing.id !== teamId)
+      this.saveTeams()
+      return { success: true, message: t('store.teams.deleted', { name: team.name }) }
+    },
+
+    /**
+     * Place un Pokémon dans un emplacement d'une équipe (ou vide l'emplacement).
+     * Un même Pokémon ne peut occuper qu'un emplacement par équipe :
+     * s'il y est déjà, il est déplacé.
+     *
+     * @param {string} teamId - L'identifiant de l'équipe
+     * @param {number} slotIndex - L'emplacement (0 à TEAM_SIZE - 1)
+     * @param {string|number|null} pokemonId - Le Pokémon à placer, `null` pour vider l'emplacement
+     * @returns {Object} Objet avec `success` (boolean) et `message` (string)
+     */
+    setTeamSlot (teamId, slotIndex, pokemonId) {
+      const team = this.getTeamById(teamId)
+      if (!team || slotIndex < 0 || slotIndex >= TEAM_SIZE) {
+        return { success: false, message: t('store.teams.slotNotFound') }
+      }
+
+      if (pokemonId !== null) {
+        const pokemon = this.getPokemonById(pokemonId)
+        if (!pokemon) {
+          return { success: false, message: t('store.pokemon.notFound') }
+        }
+        pokemonId = pokemon.id
+
+        // Déjà dans l'équipe : on libère son ancien emplacement
+        const currentIndex = team.slots.findIndex(slot => slot !== null && String(slot) === String(pokemonId))
+        if (currentIndex !== -1) {
+          team.slots[currentIndex] = null
+        }
+      }
+
+      team.slots[slotIndex] = pokemonId
+      this.saveTeams()
+      return { success: true, message: t('store.teams.updated') }
+    },
+
+    /**
+     * Ajoute un Pokémon au premier emplacement libre d'une équipe.
+     *
+     * @param {string} teamId - L'identifiant de l'équipe
+     * @param {Object} pokemon - Le Pokémon à ajouter
+     * @returns {Object} Objet avec `success` (boolean) et `message` (string)
+     */
+    addToTeam (teamId, pokemon) {
+      const team = this.getTeamById(teamId)
+      if (!team) {
+        return { success: false, message: t('store.teams.notFound') }
+      }
+
+      if (team.slots.some(slot => slot !== null && String(slot) === String(pokemon.id))) {
+        return { success: false, message: t('store.teams.alreadyIn', { name: pokemon.name }) }
+      }
+
+      const freeIndex = team.slots.indexOf(null)
+      if (freeIndex === -1) {
+        return { success: false, message: t('store.teams.full', { max: TEAM_SIZE }) }
+      }
+
+      this.setTeamSlot(teamId, freeIndex, pokemon.id)
+      return { success: true, message: t('store.teams.added', { name: pokemon.name, team: team.name }) }
+    },
+
+    /**
+     * Échange le contenu de deux emplacements d'une équipe (glisser-déposer).
+     *
+     * @param {string} teamId - L'identifiant de l'équipe
+     * @param {number} fromIndex - L'emplacement de départ
+     * @param {number} toIndex - L'emplacement d'arrivée
+     */
+    moveTeamSlot (teamId, fromIndex, toIndex) {
+      const team = this.getTeamById(teamId)
+      if (!team || fromIndex === toIndex) return
+      if (![fromIndex, toIndex].every(index => index >= 0 && index < TEAM_SIZE)) return
+
+      const slots = [...team.slots]
+      const moved = slots[fromIndex]
+      slots[fromIndex] = slots[toIndex]
+      slots[toIndex] = moved
+      team.slots = slots
+      this.saveTeams()
+    },
+
+    /**
+     * Remplace (ou retire avec `null`) un Pokémon dans toutes les équipes,
+     * après sa suppression ou le remplacement de son identifiant temporaire.
+     *
+     * @param {string|number} pokemonId - L'identifiant à remplacer
+     * @param {string|number|null} replacementId - Le nouvel identifiant, ou `null` pour vider l'emplacement
+     */
+    replaceInTeams (pokemonId, replacementId) {
+      let changed = false
+      for (const team of this.teams) {
+        team.slots = team.slots.map(slot => {
+          if (slot === null || String(slot) !== String(pokemonId)) return slot
+          changed = true
+          return replacementId
+        })
+      }
+      if (changed) {
+        this.saveTeams()
+      }
     },
 
     /**
@@ -592,7 +2718,7 @@ export const usePokemonStore = defineStore('pokemon', {
       }
 
       if (this.favorites.length > 0) {
-        console.log('🔍 IDs favoris:', this.favorites)
+        console.log('🔍 IDs favoris:', this.favorites.map(entry => entry.id))
       }
 
       console.log('🐛 ==============================')
@@ -0,0 +1,78 @@
+/**
+ * @file Magasin des notifications (snackbar)
+ * Centralise l'affichage des messages retournés par les actions des autres magasins
+ * (ex. `{ success, message }` de pokemonStore), pour qu'ils restent visibles
+ * même après un changement de page.
+ * @version 1.1
+ * @since 2025-10-19
+ */
+
+import { defineStore } from 'pinia'
+
+/**
+ * Magasin Pinia pour gérer le snackbar global de l'application.
+ * Le composant `AppSnackbar.vue` (inclus dans App.vue) affiche son contenu.
+ */
+export const useSnackbarStore = defineStore('snackbar', {
+  /**
+   * État initial du magasin
+   * - `visible` : Indique si le snackbar est affiché.
+   * - `message` : Texte affiché dans le snackbar.
+   * - `color` : Couleur Vuetify du snackbar (success, error, info...).
+   * - `timeout` : Durée d'affichage en millisecondes.
+   * - `action` : Bouton facultatif du snackbar (ex. « Annuler » après une suppression).
+   */
+  state: () => ({
+    visible: false,
+    message: '',
+    color: 'info',
+    timeout: 4000,
+    action: null,
+  }),
+
+  actions: {
+    /**
+     * Affiche un message dans le snackbar.
+     * @param {string} message - Le texte à afficher.
+     * @param {string} [color='info'] - La couleur Vuetify du snackbar.
+     * @param {number} [timeout=4000] - La durée d'affichage en millisecondes.
+     * @param {Object|null} [action=null] - Bouton affiché à côté du message.
+     * @param {string} action.label - Le texte du bouton.
+     * @param {Function} action.handler - La fonction appelée au clic.
+     */
+    show (message, color = 'info', timeout = 4000, action = null) {
+      this.message = message
+      this.color = color
+      this.timeout = timeout
+      this.action = action
+      this.visible = true
+    },
+
+    /**
+     * Affiche le résultat d'une action de magasin.
+     * La couleur dépend de la réussite de l'opération.
+     * @param {Object} result - Résultat retourné par l'action.
+     * @param {boolean} result.success - Indique si l'opération a réussi.
+     * @param {string} result.message - Le message à afficher.
+     */
+    showResult (result) {
+      this.show(result.message, result.success ? 'success' : 'error')
+    },
+
+    /**
+     * Exécute l'action du snackbar puis le masque.
+     */
+    runAction () {
+      const action = this.action
+      this.hide()
+      action?.handler()
+    },
+
+    /**
+     * Masque le snackbar.
+     */
+    hide () {
+      this.visible = false
+    },
+  },
+})
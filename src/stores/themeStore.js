@@ -0,0 +1,237 @@
+/**
+ * @file Magasin du thème de l'interface
+ * Mode clair, sombre ou « système » (suit la préférence du navigateur), avec une
+ * variante à contraste élevé. Le choix est enregistré par utilisateur : chaque compte
+ * (et le visiteur non connecté) retrouve son propre thème.
+ * La palette de chaque thème contient aussi les couleurs des types (`type-<id>`),
+ * ajustées pour rester lisibles sur le fond du thème.
+ * @version 1.0
+ * @since 2026-10-19
+ */
+
+import { defineStore } from 'pinia'
+import { watch } from 'vue'
+import vuetify, { THEME_NAMES } from '@/plugins/vuetify'
+import { useAuthStore } from '@/stores/authStore'
+import { usePokemonStore } from '@/stores/pokemonStore'
+import { ensureContrast } from '@/utils/color'
+
+/**
+ * Clé utilisée dans le localStorage : préférences indexées par utilisateur.
+ */
+const THEME_KEY = 'pokemon_theme'
+
+/**
+ * Modes proposés dans le sélecteur.
+ */
+export const THEME_MODES = ['light', 'dark', 'system']
+
+/**
+ * Préférence appliquée tant que l'utilisateur n'a rien choisi.
+ */
+const DEFAULT_PREFERENCE = { mode: 'dark', highContrast: false }
+
+/**
+ * Contraste minimal des couleurs de types avec le fond des cartes :
+ * 3:1 pour un élément graphique (WCAG 1.4.11), 4.5:1 en contraste élevé.
+ */
+const TYPE_MIN_CONTRAST = { normal: 3, highContrast: 4.5 }
+
+/**
+ * Requête média de la préférence du système.
+ */
+const DARK_QUERY = '(prefers-color-scheme: dark)'
+
+/**
+ * Indique si les écouteurs (système, utilisateur, types) ont déjà été installés.
+ */
+let themeWatched = false
+
+/**
+ * Lit les préférences enregistrées.
+ * @returns {Object<string, {mode: string, highContrast: boolean}>}
+ */
+function readPreferences () {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THEME_KEY))
+    return saved && typeof saved === 'object' ? saved : {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Clé de l'utilisateur courant dans les préférences ('guest' si non connecté).
+ * @returns {string}
+ */
+function getUserKey () {
+  const user = useAuthStore().user
+  return String(user?.id ?? user?.email ?? 'guest')
+}
+
+/**
+ * Magasin Pinia du thème de l'interface.
+ */
+export const useThemeStore = defineStore('theme', {
+  /**
+   * État initial du magasin
+   * - `mode` : Mode choisi ('light', 'dark' ou 'system').
+   * - `highContrast` : Variante à contraste élevé activée.
+   * - `systemDark` : Le système préfère un thème sombre (utilisé par le mode 'system').
+   */
+  state: () => ({
+    mode: DEFAULT_PREFERENCE.mode,
+    highContrast: DEFAULT_PREFERENCE.highContrast,
+    systemDark: true,
+  }),
+
+  getters: {
+    /**
+     * Le thème affiché est sombre.
+     * @returns {boolean}
+     */
+    isDark: state => state.mode === 'system' ? state.systemDark : state.mode === 'dark',
+
+    /**
+     * Nom du thème Vuetify à appliquer (voir src/plugins/vuetify.js).
+     * @returns {string}
+     */
+    themeName () {
+      const variant = this.isDark ? 'dark' : 'light'
+      return this.highContrast ? THEME_NAMES.highContrast[variant] : THEME_NAMES[variant]
+    },
+
+    /**
+     * Icône du mode courant, affichée dans l'en-tête.
+     * @returns {string}
+     */
+    modeIcon: state => ({
+      light: 'mdi-weather-sunny',
+      dark: 'mdi-weather-night',
+      system: 'mdi-theme-light-dark',
+    })[state.mode],
+  },
+
+  actions: {
+    /**
+     * Restaure le thème au démarrage puis suit ce qui le fait changer :
+     * préférence du système, changement d'utilisateur et chargement des types.
+     */
+    init () {
+      const systemQuery = typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(DARK_QUERY) : null
+      if (systemQuery) {
+        this.systemDark = systemQuery.matches
+      }
+      this.loadPreference()
+
+      if (themeWatched) return
+      themeWatched = true
+
+      systemQuery?.addEventListener('change', event => {
+        this.systemDark = event.matches
+        this.applyTheme()
+      })
+
+      // Connexion / déconnexion : chaque utilisateur retrouve son thème
+      watch(getUserKey, () => this.loadPreference())
+
+      // Types chargés ou rechargés (changement de langue) : la palette suit
+      const pokemonStore = usePokemonStore()
+      watch(() => pokemonStore.types, types => this.applyTypePalette(types), { immediate: true })
+    },
+
+    /**
+     * Charge la préférence de l'utilisateur courant et l'applique.
+     */
+    loadPreference () {
+      const saved = readPreferences()[getUserKey()] || {}
+      this.mode = THEME_MODES.includes(saved.mode) ? saved.mode : DEFAULT_PREFERENCE.mode
+      this.highContrast = typeof saved.highContrast === 'boolean' ? saved.highContrast : DEFAULT_PREFERENCE.highContrast
+      this.applyTheme()
+    },
+
+    /**
+     * Enregistre la préférence de l'utilisateur courant.
+     */
+    savePreference () {
+      const preferences = readPreferences()
+      preferences[getUserKey()] = { mode: this.mode, highContrast: this.highContrast }
+      localStorage.setItem(THEME_KEY, JSON.stringify(preferences))
+    },
+
+    /**
+     * Change le mode (clair, sombre ou système).
+     * @param {string} mode - Le mode choisi.
+     */
+    setMode (mode) {
+      if (!THEME_MODES.includes(mode)) return
+      this.mode = mode
+      this.savePreference()
+      this.applyTheme()
+    },
+
+    /**
+     * Active ou désactive le contraste élevé.
+     * @param {boolean} enabled - Nouvel état.
+     */
+    setHighContrast (enabled) {
+      this.highContrast = Boolean(enabled)
+      this.savePreference()
+      this.applyTheme()
+    },
+
+    /**
+     * Applique le thème calculé à Vuetify.
+     */
+    applyTheme () {
+      vuetify.theme.global.name.value = this.themeName
+    },
+
+    /**
+     * Ajoute la couleur de chaque type à tous les thèmes (`type-<id>`), éclaircie ou
+     * assombrie si besoin pour contraster avec le fond du thème.
+     * Vuetify en déduit la couleur du texte posé dessus (`on-type-<id>`).
+     * @param {Array<Object>} types - Les types de l'API.
+     */
+    applyTypePalette (types = []) {
+      const themes = vuetify.theme.themes.value
+      const highContrastNames = Object.values(THEME_NAMES.highContrast)
+
+      for (const [name, theme] of Object.entries(themes)) {
+        const minRatio = highContrastNames.includes(name) ? TYPE_MIN_CONTRAST.highContrast : TYPE_MIN_CONTRAST.normal
+
+        for (const type of types) {
+          const color = ensureContrast(type.color, theme.colors.surface, minRatio)
+          if (color) {
+            theme.colors[`type-${type.id}`] = color
+          }
+        }
+      }
+    },
+  },
+})
+
+/**
+ * Nom de la couleur de thème d'un type, utilisable dans la prop `color` des composants
+ * Vuetify (ex. 'type-3'). Les types inconnus gardent leur couleur de repli.
+ * @param {Object} type - Type résolu par `getTypesByIds`.
+ * @returns {string}
+ */
+export function getTypeThemeColor (type) {
+  const colors = vuetify.theme.current.value.colors
+  return !type.unknown && colors[`type-${type.id}`] ? `type-${type.id}` : type.color
+}
+
+/**
+ * Valeur CSS de la couleur de thème d'un type, pour les styles (ex. bordure d'une carte).
+ * @param {Object} type - Type résolu par `getTypesByIds`.
+ * @param {string} [prefix=''] - 'on-' pour la couleur du texte posé sur le type.
+ * @returns {string}
+ */
+export function getTypeCssColor (type, prefix = '') {
+  const colors = vuetify.theme.current.value.colors
+  if (type.unknown || !colors[`type-${type.id}`]) {
+    return prefix ? '#fff' : type.color
+  }
+  return `rgb(var(--v-theme-${prefix}type-${type.id}))`
+}
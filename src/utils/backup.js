@@ -0,0 +1,488 @@
+// src/utils/backup.js
+
+import { t } from '@/plugins/i18n'
+import {
+  FAVORITE_NOTE_MAX,
+  mergeFavoriteEntries,
+  normalizeCollectionNames,
+  parseFavorites,
+} from '@/utils/favorites'
+import { validatePokemon } from '@/utils/pokemonValidation'
+import { STAT_KEYS } from '@/utils/stats'
+import { normalizeText } from '@/utils/text'
+
+/**
+ * Sauvegarde des favoris et des Pokémon créés par l'utilisateur (page /backup).
+ *
+ * Fichier JSON :
+ *   {
+ *     format: 'pokedex-backup', version: 1, exportedAt: '2026-10-19T08:00:00.000Z',
+ *     favorites: { items: [{ id, addedAt, note, collections }], collections: [nom...] },
+ *     pokemons: [{ id, name, level, types, description, img, stats: { hp, attack, defense, speed } }]
+ *   }
+ *
+ * Fichier CSV : une première ligne `#pokedex-backup;version=1;exportedAt=...`,
+ * une ligne d'en-tête (CSV_COLUMNS) puis une ligne par collection, Pokémon ou favori
+ * (colonne `kind`). Les listes (types, collections) sont séparées par « | ».
+ *
+ * Les erreurs de lecture ont la forme des erreurs de l'API : `[{ field, message }]`.
+ */
+export const BACKUP_FORMAT = 'pokedex-backup'
+export const BACKUP_VERSION = 1
+
+const CSV_COLUMNS = ['kind', 'id', 'name', 'level', 'types', 'description', 'img', ...STAT_KEYS, 'addedAt', 'note', 'collections']
+const LIST_SEPARATOR = '|'
+
+/**
+ * Préfixe des IDs provisoires des favoris qui désignent un Pokémon du fichier
+ * pas encore créé : remplacés par l'ID du serveur après la création.
+ */
+export const PENDING_ID_PREFIX = 'import:'
+
+/**
+ * Indique si un ID de favori désigne un Pokémon du fichier pas encore créé.
+ * @param {string|number} id - L'ID du favori.
+ * @returns {boolean} `true` pour un ID provisoire.
+ */
+export function isPendingId (id) {
+  return String(id).startsWith(PENDING_ID_PREFIX)
+}
+
+/**
+ * Champs d'un Pokémon conservés dans la sauvegarde.
+ */
+function toBackupPokemon (pokemon) {
+  return {
+    id: pokemon.id,
+    name: pokemon.name,
+    level: pokemon.level,
+    types: [...(pokemon.types || [])],
+    description: pokemon.description || '',
+    img: pokemon.img || null,
+    stats: Object.fromEntries(STAT_KEYS.map(key => [key, pokemon.stats?.[key] ?? 0])),
+  }
+}
+
+/**
+ * Construit la sauvegarde à partir des données du store.
+ * @param {Object} data
+ * @param {Array<Object>} data.favorites - Les entrées de favoris (pokemonStore.favorites).
+ * @param {Array<string>} data.collections - Les collections (pokemonStore.favoriteCollections).
+ * @param {Array<Object>} data.pokemons - Les Pokémon créés (pokemonStore.getCreatedPokemons).
+ * @returns {Object} La sauvegarde, au format décrit en tête de fichier.
+ */
+export function buildBackup ({ favorites, collections, pokemons }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    favorites: {
+      items: favorites.map(({ id, addedAt, note, collections }) => ({ id, addedAt, note, collections: [...collections] })),
+      collections: [...collections],
+    },
+    pokemons: pokemons.map(toBackupPokemon),
+  }
+}
+
+/**
+ * Sauvegarde au format JSON (indentée pour rester lisible).
+ * @param {Object} backup - La sauvegarde (voir buildBackup).
+ * @returns {string} Le contenu du fichier.
+ */
+export function backupToJson (backup) {
+  return JSON.stringify(backup, null, 2)
+}
+
+/**
+ * Met une valeur en forme pour une cellule CSV (guillemets si nécessaire).
+ */
+function csvCell (value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Sauvegarde au format CSV.
+ * @param {Object} backup - La sauvegarde (voir buildBackup).
+ * @returns {string} Le contenu du fichier.
+ */
+export function backupToCsv (backup) {
+  const rows = [
+    ...backup.favorites.collections.map(name => ({ kind: 'collection', name })),
+    ...backup.pokemons.map(pokemon => ({
+      kind: 'pokemon',
+      ...pokemon,
+      types: pokemon.types.join(LIST_SEPARATOR),
+      ...pokemon.stats,
+    })),
+    ...backup.favorites.items.map(entry => ({
+      kind: 'favorite',
+      id: entry.id,
+      addedAt: entry.addedAt === null ? '' : new Date(entry.addedAt).toISOString(),
+      note: entry.note,
+      collections: entry.collections.join(LIST_SEPARATOR),
+    })),
+  ]
+
+  return [
+    `#${BACKUP_FORMAT};version=${backup.version};exportedAt=${backup.exportedAt}`,
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(',')),
+  ].join('\r\n') + '\r\n'
+}
+
+/**
+ * Découpe un texte CSV en lignes de cellules (guillemets et retours à la ligne dans les cellules gérés).
+ * @param {string} text - Le contenu CSV.
+ * @returns {Array<Array<string>>} Les lignes, sans les lignes vides.
+ */
+function parseCsvRows (text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index]
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"'
+        index++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  row.push(cell)
+  rows.push(row)
+  return rows.filter(cells => cells.some(value => value !== ''))
+}
+
+/**
+ * Les IDs numériques redeviennent des nombres (le CSV ne garde que du texte).
+ */
+function parseCsvId (value) {
+  return /^\d+$/.test(value) ? Number(value) : value
+}
+
+function splitList (value) {
+  return value ? value.split(LIST_SEPARATOR).map(item => item.trim()).filter(item => item !== '') : []
+}
+
+/**
+ * Convertit un fichier CSV en objet de sauvegarde (non encore vérifié).
+ * @param {string} text - Le contenu CSV.
+ * @returns {{data: Object|null, errors: Array<{field: string, message: string}>}} Les données lues.
+ */
+function csvToBackup (text) {
+  const [metaRow, headerRow, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''))
+  const meta = String(metaRow?.join(',') || '').match(/^#([\w-]+);version=(\d+)(?:;exportedAt=(.*))?$/)
+
+  if (!meta) {
+    return { data: null, errors: [{ field: 'file', message: t('backup.errors.firstLine', { expected: `#${BACKUP_FORMAT};version=${BACKUP_VERSION}` }) }] }
+  }
+  if (!headerRow?.includes('kind')) {
+    return { data: null, errors: [{ field: 'file', message: t('backup.errors.csvHeader') }] }
+  }
+
+  const records = rows.map(cells => Object.fromEntries(headerRow.map((column, index) => [column, cells[index] ?? ''])))
+  const unknownKinds = records.filter(record => !['collection', 'pokemon', 'favorite'].includes(record.kind))
+  if (unknownKinds.length > 0) {
+    return { data: null, errors: [{ field: 'kind', message: t('backup.errors.csvKind', { kind: unknownKinds[0].kind }) }] }
+  }
+
+  const numberOrText = value => value === '' || Number.isNaN(Number(value)) ? value : Number(value)
+
+  return {
+    errors: [],
+    data: {
+      format: meta[1],
+      version: Number(meta[2]),
+      exportedAt: meta[3] || null,
+      favorites: {
+        collections: records.filter(record => record.kind === 'collection').map(record => record.name),
+        items: records.filter(record => record.kind === 'favorite').map(record => ({
+          id: parseCsvId(record.id),
+          addedAt: record.addedAt || null,
+          note: record.note,
+          collections: splitList(record.collections),
+        })),
+      },
+      pokemons: records.filter(record => record.kind === 'pokemon').map(record => ({
+        id: parseCsvId(record.id),
+        name: record.name,
+        level: numberOrText(record.level),
+        types: splitList(record.types).map(parseCsvId),
+        description: record.description,
+        img: record.img || null,
+        stats: Object.fromEntries(STAT_KEYS.map(key => [key, record[key] === '' ? 0 : numberOrText(record[key])])),
+      })),
+    },
+  }
+}
+
+const isId = value => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value.trim() !== '')
+
+/**
+ * Vérifie une sauvegarde (JSON lu ou CSV converti) et la normalise.
+ * @param {*} data - Les données lues.
+ * @returns {{backup: Object|null, errors: Array<{field: string, message: string}>}}
+ *   La sauvegarde normalisée, ou `null` si elle ne respecte pas le format.
+ */
+export function validateBackup (data) {
+  const errors = []
+  const fail = (field, message) => errors.push({ field, message })
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { backup: null, errors: [{ field: 'file', message: t('backup.errors.notBackup') }] }
+  }
+
+  if (data.format !== BACKUP_FORMAT) {
+    fail('format', t('backup.errors.format', { format: data.format ?? '?', expected: BACKUP_FORMAT }))
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > BACKUP_VERSION) {
+    fail('version', t('backup.errors.version', { version: data.version ?? '?', max: BACKUP_VERSION }))
+  }
+
+  const favorites = data.favorites ?? { items: [], collections: [] }
+  if (typeof favorites !== 'object' || !Array.isArray(favorites.items)) {
+    fail('favorites.items', t('backup.errors.favorites'))
+  } else {
+    if (favorites.collections !== undefined && !Array.isArray(favorites.collections)) {
+      fail('favorites.collections', t('backup.errors.collections'))
+    }
+    favorites.items.forEach((entry, index) => {
+      const field = `favorites.items[${index}]`
+      if (!entry || typeof entry !== 'object' || !isId(entry.id)) {
+        fail(`${field}.id`, t('backup.errors.favoriteId'))
+        return
+      }
+      if (entry.note !== undefined && entry.note !== null && typeof entry.note !== 'string') {
+        fail(`${field}.note`, t('backup.errors.noteText'))
+      } else if (entry.note && entry.note.length > FAVORITE_NOTE_MAX) {
+        fail(`${field}.note`, t('store.favorites.noteTooLong', { max: FAVORITE_NOTE_MAX }))
+      }
+      if (entry.collections !== undefined && !Array.isArray(entry.collections)) {
+        fail(`${field}.collections`, t('backup.errors.entryCollections'))
+      }
+      if (entry.addedAt !== undefined && entry.addedAt !== null && Number.isNaN(new Date(entry.addedAt).getTime())) {
+        fail(`${field}.addedAt`, t('backup.errors.addedAt'))
+      }
+    })
+  }
+
+  const pokemons = data.pokemons ?? []
+  if (!Array.isArray(pokemons)) {
+    fail('pokemons', t('backup.errors.pokemons'))
+  } else {
+    pokemons.forEach((pokemon, index) => {
+      const field = `pokemons[${index}]`
+      if (!pokemon || typeof pokemon !== 'object') {
+        fail(field, t('backup.errors.pokemon'))
+        return
+      }
+      if (!isId(pokemon.id)) fail(`${field}.id`, t('backup.errors.pokemonId'))
+      // Mêmes règles que la création d'un Pokémon (l'existence des types est vérifiée par planImport)
+      for (const error of validatePokemon(pokemon, { images: null })) {
+        fail(`${field}.${error.field}`, error.message)
+      }
+      if (Array.isArray(pokemon.types) && !pokemon.types.every(isId)) {
+        fail(`${field}.types`, t('backup.errors.typeIds'))
+      }
+    })
+  }
+
+  if (errors.length > 0) {
+    return { backup: null, errors }
+  }
+
+  const { items, collections } = parseFavorites({ items: favorites.items, collections: favorites.collections ?? [] })
+  return {
+    errors,
+    backup: {
+      format: data.format,
+      version: data.version,
+      exportedAt: data.exportedAt ?? null,
+      favorites: { items, collections },
+      pokemons: pokemons.map(pokemon => toBackupPokemon({ ...pokemon, name: pokemon.name.trim() })),
+    },
+  }
+}
+
+/**
+ * Lit un fichier de sauvegarde (JSON ou CSV, d'après son extension ou son contenu) et le vérifie.
+ * @param {string} text - Le contenu du fichier.
+ * @param {string} [fileName=''] - Le nom du fichier.
+ * @returns {{backup: Object|null, errors: Array<{field: string, message: string}>}} Voir validateBackup.
+ */
+export function parseBackupFile (text, fileName = '') {
+  const content = String(text || '').replace(/^\uFEFF/, '')
+
+  if (fileName.toLowerCase().endsWith('.csv') || content.startsWith('#')) {
+    const { data, errors } = csvToBackup(content)
+    return data ? validateBackup(data) : { backup: null, errors }
+  }
+
+  try {
+    return validateBackup(JSON.parse(content))
+  } catch {
+    return { backup: null, errors: [{ field: 'file', message: t('backup.errors.json') }] }
+  }
+}
+
+/**
+ * Prépare un import sans rien modifier : ce qui sera créé, supprimé, ajouté ou modifié,
+ * et les conflits (ignorés à l'écriture).
+ *
+ * Conflits détectés :
+ * - `duplicate-name` : un Pokémon du fichier porte le nom d'un Pokémon existant
+ *   (il n'est pas recréé ; ses favoris désignent le Pokémon existant) ou d'un autre Pokémon du fichier
+ * - `unknown-type` : type inconnu d'un Pokémon du fichier (retiré de ses types)
+ * - `unknown-id` : favori qui ne désigne aucun Pokémon connu ni aucun Pokémon du fichier
+ * - `auth` : Pokémon à créer ou à supprimer sans être connecté
+ *
+ * @param {Object} backup - La sauvegarde vérifiée (voir validateBackup).
+ * @param {Object} current - Les données actuelles.
+ * @param {Array<Object>} current.favorites - Les entrées de favoris.
+ * @param {Array<string>} current.collections - Les collections.
+ * @param {Array<Object>} current.pokemons - Tous les Pokémon connus.
+ * @param {Array<Object>} current.createdPokemons - Les Pokémon créés depuis cet appareil.
+ * @param {Array<Object>} current.types - Les types connus.
+ * @param {boolean} current.canEditPokemons - `true` si l'utilisateur peut créer et supprimer des Pokémon.
+ * @param {'merge'|'replace'} mode - Fusionner avec les données actuelles ou les remplacer.
+ * @returns {Object} Le plan d'import : `favorites` (items, collections, added, removed, updated),
+ *   `pokemons` (toCreate, kept, toDelete) et `conflicts` (`[{ type, message }]`).
+ */
+export function planImport (backup, current, mode) {
+  const conflicts = []
+  const sameName = (a, b) => normalizeText(a) === normalizeText(b)
+  const findPokemon = id => current.pokemons.find(pokemon => String(pokemon.id) === String(id))
+
+  /*
+  Pokémon du fichier
+    - resolved : ID du fichier → ID à utiliser pour ses favoris (null si ignoré)
+  */
+  const resolved = new Map()
+  const toCreate = []
+  const kept = []
+
+  for (const pokemon of backup.pokemons) {
+    const existing = findPokemon(pokemon.id)
+
+    if (existing && sameName(existing.name, pokemon.name)) {
+      kept.push(existing)
+      resolved.set(String(pokemon.id), existing.id)
+      continue
+    }
+
+    if (toCreate.some(planned => sameName(planned.payload.name, pokemon.name))) {
+      conflicts.push({ type: 'duplicate-name', message: t('backup.conflicts.duplicateInFile', { name: pokemon.name }) })
+      resolved.set(String(pokemon.id), null)
+      continue
+    }
+
+    const namesake = current.pokemons.find(candidate => sameName(candidate.name, pokemon.name))
+    if (namesake) {
+      conflicts.push({ type: 'duplicate-name', message: t('backup.conflicts.duplicateName', { name: namesake.name }) })
+      kept.push(namesake)
+      resolved.set(String(pokemon.id), namesake.id)
+      continue
+    }
+
+    const unknownTypes = pokemon.types.filter(typeId => !current.types.some(type => String(type.id) === String(typeId)))
+    if (unknownTypes.length > 0) {
+      conflicts.push({ type: 'unknown-type', message: t('backup.conflicts.unknownType', { name: pokemon.name, types: unknownTypes.join(', ') }) })
+    }
+
+    if (!current.canEditPokemons) {
+      conflicts.push({ type: 'auth', message: t('backup.conflicts.authCreate', { name: pokemon.name }) })
+      resolved.set(String(pokemon.id), null)
+      continue
+    }
+
+    const { id, ...payload } = pokemon
+    payload.types = current.types
+      .filter(type => pokemon.types.some(typeId => String(typeId) === String(type.id)))
+      .map(type => type.id)
+    toCreate.push({ sourceId: id, payload })
+    resolved.set(String(id), `${PENDING_ID_PREFIX}${id}`)
+  }
+
+  // Favoris du fichier : les IDs du fichier priment (ils désignent ses propres Pokémon)
+  const importedItems = []
+  for (const entry of backup.favorites.items) {
+    const key = String(entry.id)
+    if (resolved.has(key)) {
+      if (resolved.get(key) !== null) {
+        importedItems.push({ ...entry, id: resolved.get(key) })
+      }
+      continue
+    }
+
+    const existing = findPokemon(entry.id)
+    if (existing) {
+      importedItems.push({ ...entry, id: existing.id })
+    } else {
+      conflicts.push({ type: 'unknown-id', message: t('backup.conflicts.unknownId', { id: entry.id }) })
+    }
+  }
+
+  const items = mode === 'replace' ? importedItems : mergeFavoriteEntries(current.favorites, importedItems)
+  const collections = mode === 'replace'
+    ? normalizeCollectionNames([...backup.favorites.collections, ...items.flatMap(entry => entry.collections)])
+    : normalizeCollectionNames([...current.collections, ...backup.favorites.collections, ...items.flatMap(entry => entry.collections)])
+
+  // Différences avec les favoris actuels
+  const nameOf = id => {
+    if (isPendingId(id)) {
+      return toCreate.find(planned => `${PENDING_ID_PREFIX}${planned.sourceId}` === id)?.payload.name ?? String(id)
+    }
+    return findPokemon(id)?.name ?? t('backup.unknownPokemon', { id })
+  }
+  const describe = entry => ({ id: entry.id, name: nameOf(entry.id) })
+  const findEntry = (list, id) => list.find(entry => String(entry.id) === String(id))
+
+  const added = items.filter(entry => !findEntry(current.favorites, entry.id)).map(describe)
+  const removed = current.favorites.filter(entry => !findEntry(items, entry.id)).map(describe)
+  const updated = items
+    .filter(entry => {
+      const before = findEntry(current.favorites, entry.id)
+      return before && (before.note !== entry.note || before.addedAt !== entry.addedAt ||
+        before.collections.join(LIST_SEPARATOR) !== entry.collections.join(LIST_SEPARATOR))
+    })
+    .map(describe)
+
+  // Remplacement : les Pokémon créés absents du fichier sont supprimés
+  let toDelete = []
+  if (mode === 'replace') {
+    toDelete = current.createdPokemons.filter(pokemon => !kept.some(keptPokemon => keptPokemon.id === pokemon.id))
+    if (toDelete.length > 0 && !current.canEditPokemons) {
+      conflicts.push({ type: 'auth', message: t('backup.conflicts.authDelete') })
+      toDelete = []
+    }
+  }
+
+  return {
+    mode,
+    favorites: { items, collections, added, removed, updated },
+    pokemons: { toCreate, kept, toDelete },
+    conflicts,
+  }
+}
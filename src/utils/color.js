@@ -0,0 +1,113 @@
+// src/utils/color.js
+
+/**
+ * Outils de couleur pour la palette des types (src/stores/themeStore.js) :
+ * lecture des couleurs de l'API, contraste WCAG et ajustement d'une couleur
+ * pour qu'elle reste lisible sur le fond d'un thème.
+ */
+
+/**
+ * Contexte 2D réutilisé pour convertir les noms CSS (ex. 'orange') en hexadécimal.
+ */
+let colorContext = null
+
+/**
+ * Convertit une couleur CSS quelconque en hexadécimal grâce au navigateur.
+ * @param {string} color - La couleur CSS.
+ * @returns {string|null} La couleur '#rrggbb', ou null si elle n'est pas reconnue.
+ */
+function resolveCssColor (color) {
+  if (typeof document === 'undefined') return null
+  colorContext ??= document.createElement('canvas').getContext('2d')
+  if (!colorContext) return null
+
+  // Deux valeurs de départ différentes : une couleur invalide laisse la valeur précédente
+  colorContext.fillStyle = '#000000'
+  colorContext.fillStyle = color
+  const first = colorContext.fillStyle
+  colorContext.fillStyle = '#ffffff'
+  colorContext.fillStyle = color
+  return first === colorContext.fillStyle && first.startsWith('#') ? first : null
+}
+
+/**
+ * Lit une couleur hexadécimale ('#rgb' ou '#rrggbb') ou un nom CSS.
+ * Exemple : parseColor('#F08030') → { r: 240, g: 128, b: 48 }
+ * @param {string} color - La couleur à lire.
+ * @returns {{r: number, g: number, b: number}|null} Les composantes, ou null si la couleur est invalide.
+ */
+export function parseColor (color) {
+  const value = String(color ?? '').trim()
+  let hex = /^#([\da-f]{3}|[\da-f]{6})$/i.test(value) ? value.slice(1) : resolveCssColor(value)?.slice(1)
+  if (!hex) return null
+
+  if (hex.length === 3) {
+    hex = [...hex].map(digit => digit + digit).join('')
+  }
+  return {
+    r: Number.parseInt(hex.slice(0, 2), 16),
+    g: Number.parseInt(hex.slice(2, 4), 16),
+    b: Number.parseInt(hex.slice(4, 6), 16),
+  }
+}
+
+/**
+ * Écrit une couleur en hexadécimal.
+ * @param {{r: number, g: number, b: number}} rgb - Les composantes.
+ * @returns {string} La couleur '#rrggbb'.
+ */
+export function toHex ({ r, g, b }) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`
+}
+
+/**
+ * Luminance relative d'une couleur (définition WCAG 2).
+ * @param {{r: number, g: number, b: number}} rgb - Les composantes.
+ * @returns {number} Entre 0 (noir) et 1 (blanc).
+ */
+function luminance ({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map(channel => {
+    const value = channel / 255
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4
+  })
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue
+}
+
+/**
+ * Rapport de contraste WCAG entre deux couleurs.
+ * @param {{r: number, g: number, b: number}} first - Première couleur.
+ * @param {{r: number, g: number, b: number}} second - Seconde couleur.
+ * @returns {number} Entre 1 (identiques) et 21 (noir sur blanc).
+ */
+export function contrastRatio (first, second) {
+  const [light, dark] = [luminance(first), luminance(second)].sort((a, b) => b - a)
+  return (light + 0.05) / (dark + 0.05)
+}
+
+/**
+ * Éclaircit ou assombrit une couleur jusqu'à atteindre le contraste demandé avec un fond :
+ * vers le noir sur un fond clair, vers le blanc sur un fond sombre.
+ * La teinte est conservée autant que possible (mélange par pas de 5 %).
+ *
+ * @param {string} color - La couleur à ajuster (hexadécimal ou nom CSS).
+ * @param {string} background - La couleur du fond.
+ * @param {number} minRatio - Contraste minimal (ex. 3 pour un élément graphique, 4.5 pour du texte).
+ * @returns {string|null} La couleur ajustée en hexadécimal, ou null si une des couleurs est invalide.
+ */
+export function ensureContrast (color, background, minRatio) {
+  const rgb = parseColor(color)
+  const backgroundRgb = parseColor(background)
+  if (!rgb || !backgroundRgb) return null
+
+  const target = luminance(backgroundRgb) > 0.179 ? { r: 0, g: 0, b: 0 } : { r: 255, g: 255, b: 255 }
+  let adjusted = rgb
+  for (let step = 1; step <= 20 && contrastRatio(adjusted, backgroundRgb) < minRatio; step++) {
+    const weight = step / 20
+    adjusted = {
+      r: rgb.r + (target.r - rgb.r) * weight,
+      g: rgb.g + (target.g - rgb.g) * weight,
+      b: rgb.b + (target.b - rgb.b) * weight,
+    }
+  }
+  return toHex(adjusted)
+}
@@ -0,0 +1,85 @@
+// src/utils/faq.js
+
+import { t } from '@/plugins/i18n'
+import { markdownToText } from '@/utils/markdown'
+import { normalizeText } from '@/utils/text'
+
+/**
+ * Catégories de la FAQ, dans l'ordre d'affichage.
+ * Noms traduits : `faq.categories.<clé>` dans src/locales.
+ * Une catégorie inconnue renvoyée par l'API est affichée après celles-ci, sous sa clé.
+ */
+export const FAQ_CATEGORIES = ['general', 'pokedex', 'favorites', 'account']
+
+/**
+ * Longueurs maximales d'une entrée.
+ */
+export const QUESTION_MAX_LENGTH = 200
+export const ANSWER_MAX_LENGTH = 5000
+
+/**
+ * Nom affiché d'une catégorie.
+ * @param {string} category - Clé de la catégorie (ex. 'pokedex').
+ * @returns {string}
+ */
+export function getCategoryLabel (category) {
+  return FAQ_CATEGORIES.includes(category) ? t(`faq.categories.${category}`) : String(category)
+}
+
+/**
+ * Met une entrée au format attendu par la page (l'API ou le catalogue peuvent omettre des champs).
+ * @param {Object} entry - L'entrée brute.
+ * @param {number} index - Sa position dans la liste reçue.
+ * @returns {{id: string, category: string, question: string, answer: string, position: number}}
+ */
+export function normalizeFaqEntry (entry, index) {
+  return {
+    id: String(entry.id ?? index + 1),
+    category: entry.category || FAQ_CATEGORIES[0],
+    question: String(entry.question ?? ''),
+    answer: String(entry.answer ?? ''),
+    position: Number.isInteger(entry.position) ? entry.position : index,
+  }
+}
+
+/**
+ * Vérifie une entrée à créer ou à modifier.
+ * @param {Object} data - `category`, `question` et `answer` (Markdown).
+ * @returns {Array<{field: string, message: string}>} Les erreurs (tableau vide si l'entrée est valide).
+ */
+export function validateFaqEntry (data) {
+  const errors = []
+  const question = String(data.question ?? '').trim()
+  const answer = String(data.answer ?? '').trim()
+
+  if (!question) {
+    errors.push({ field: 'question', message: t('faq.form.questionRequired') })
+  } else if (question.length > QUESTION_MAX_LENGTH) {
+    errors.push({ field: 'question', message: t('faq.form.tooLong', { max: QUESTION_MAX_LENGTH }) })
+  }
+
+  if (!answer) {
+    errors.push({ field: 'answer', message: t('faq.form.answerRequired') })
+  } else if (answer.length > ANSWER_MAX_LENGTH) {
+    errors.push({ field: 'answer', message: t('faq.form.tooLong', { max: ANSWER_MAX_LENGTH }) })
+  }
+
+  if (!data.category) {
+    errors.push({ field: 'category', message: t('faq.form.categoryRequired') })
+  }
+  return errors
+}
+
+/**
+ * Indique si une entrée correspond à une recherche (question, réponse ou catégorie),
+ * sans tenir compte des majuscules ni des accents.
+ * @param {Object} entry - L'entrée.
+ * @param {string} query - La recherche.
+ * @returns {boolean}
+ */
+export function matchesFaqSearch (entry, query) {
+  const needle = normalizeText(query)
+  if (!needle) return true
+  const haystack = normalizeText([entry.question, markdownToText(entry.answer), getCategoryLabel(entry.category)].join(' '))
+  return haystack.includes(needle)
+}
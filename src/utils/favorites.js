@@ -0,0 +1,151 @@
+// src/utils/favorites.js
+
+/**
+ * Format des favoris, partagé par le localStorage (`pokemon_favorites`)
+ * et l'API des favoris de l'utilisateur (`/users/me/favorites`).
+ *
+ * Version 1 : simple liste d'IDs, ex. `[1, 4, 7]`.
+ * Version 2 : `{ version: 2, items, collections }`
+ *   - `items` : une entrée `{ id, addedAt, note, collections }` par favori,
+ *     dans l'ordre choisi par l'utilisateur (glisser-déposer)
+ *   - `collections` : noms de toutes les collections, y compris les vides
+ *
+ * Les listes de version 1 sont migrées à la lecture : leurs entrées
+ * n'ont pas de date d'ajout connue (`addedAt: null`).
+ */
+export const FAVORITES_VERSION = 2
+
+/**
+ * Longueurs maximales d'une note et d'un nom de collection.
+ */
+export const FAVORITE_NOTE_MAX = 500
+export const COLLECTION_NAME_MAX = 30
+
+/**
+ * Crée une entrée de favori.
+ * @param {string|number} id - ID du Pokémon.
+ * @param {Object} [details] - Date d'ajout (timestamp en ms ou `null`), note et collections.
+ * @returns {{id: string|number, addedAt: number|null, note: string, collections: Array<string>}} L'entrée.
+ */
+export function createFavoriteEntry (id, { addedAt = Date.now(), note = '', collections = [] } = {}) {
+  return { id, addedAt, note, collections }
+}
+
+/**
+ * Nettoie une liste de noms de collections : espaces retirés, noms vides
+ * et doublons (sans tenir compte des majuscules) ignorés.
+ * @param {Array<string>} names - Les noms à nettoyer.
+ * @returns {Array<string>} Les noms retenus, dans leur ordre d'origine.
+ */
+export function normalizeCollectionNames (names) {
+  const seen = new Set()
+  return (Array.isArray(names) ? names : [])
+    .map(name => String(name ?? '').trim().slice(0, COLLECTION_NAME_MAX))
+    .filter(name => {
+      const key = name.toLowerCase()
+      if (!name || seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+/**
+ * Lit une date d'ajout (timestamp ou date ISO).
+ * @returns {number|null} Le timestamp en ms, ou `null` si la date est absente ou invalide.
+ */
+function parseAddedAt (value) {
+  if (value === null || value === undefined || value === '') return null
+  const time = typeof value === 'string' && Number.isNaN(Number(value)) ? Date.parse(value) : Number(value)
+  return Number.isFinite(time) ? time : null
+}
+
+/**
+ * Lit une entrée dans n'importe quelle version (ID seul ou objet).
+ * @returns {Object|null} L'entrée, ou `null` si elle est inutilisable.
+ */
+function parseEntry (value) {
+  if (value === null || value === undefined || value === '') return null
+
+  if (typeof value !== 'object') {
+    return createFavoriteEntry(value, { addedAt: null })
+  }
+
+  if (value.id === null || value.id === undefined || value.id === '') return null
+
+  return createFavoriteEntry(value.id, {
+    addedAt: parseAddedAt(value.addedAt),
+    note: typeof value.note === 'string' ? value.note.slice(0, FAVORITE_NOTE_MAX) : '',
+    collections: normalizeCollectionNames(value.collections),
+  })
+}
+
+/**
+ * Lit des favoris enregistrés dans n'importe quelle version (migration automatique).
+ * Les doublons sont ignorés et toute collection utilisée par une entrée
+ * est ajoutée à la liste des collections.
+ * @param {*} saved - Données lues (localStorage ou API).
+ * @returns {{items: Array<Object>, collections: Array<string>, migrated: boolean}}
+ *   Les favoris ; `migrated` vaut `true` si les données n'étaient pas au format actuel.
+ */
+export function parseFavorites (saved) {
+  const rawItems = Array.isArray(saved) ? saved : (Array.isArray(saved?.items) ? saved.items : [])
+
+  const seen = new Set()
+  const items = rawItems
+    .map(parseEntry)
+    .filter(entry => {
+      if (!entry || seen.has(String(entry.id))) return false
+      seen.add(String(entry.id))
+      return true
+    })
+
+  const collections = normalizeCollectionNames([
+    ...(Array.isArray(saved?.collections) ? saved.collections : []),
+    ...items.flatMap(entry => entry.collections),
+  ])
+
+  return {
+    items,
+    collections,
+    migrated: saved?.version !== FAVORITES_VERSION,
+  }
+}
+
+/**
+ * Construit les données enregistrées (format de la version actuelle).
+ * @param {Array<Object>} items - Les entrées, dans l'ordre.
+ * @param {Array<string>} collections - Les noms des collections.
+ * @returns {{version: number, items: Array<Object>, collections: Array<string>}} Les données.
+ */
+export function serializeFavorites (items, collections) {
+  return { version: FAVORITES_VERSION, items, collections }
+}
+
+/**
+ * Fusionne deux listes d'entrées (première connexion sur un appareil).
+ * L'ordre de `primary` est conservé, les entrées absentes de `primary` sont ajoutées à la fin.
+ * Pour un Pokémon présent des deux côtés : date d'ajout la plus ancienne,
+ * collections réunies, note de `primary` si elle existe, sinon celle de `secondary`.
+ * @param {Array<Object>} primary - Entrées prioritaires (ex. celles du compte).
+ * @param {Array<Object>} secondary - Entrées ajoutées (ex. celles de l'appareil).
+ * @returns {Array<Object>} Les entrées fusionnées.
+ */
+export function mergeFavoriteEntries (primary, secondary) {
+  const merged = primary.map(entry => ({ ...entry, collections: [...entry.collections] }))
+
+  for (const entry of secondary) {
+    const existing = merged.find(candidate => String(candidate.id) === String(entry.id))
+
+    if (!existing) {
+      merged.push({ ...entry, collections: [...entry.collections] })
+      continue
+    }
+
+    const dates = [existing.addedAt, entry.addedAt].filter(date => date !== null)
+    existing.addedAt = dates.length > 0 ? Math.min(...dates) : null
+    existing.collections = normalizeCollectionNames([...existing.collections, ...entry.collections])
+    existing.note = existing.note || entry.note
+  }
+
+  return merged
+}
@@ -0,0 +1,59 @@
+// src/utils/habitats.js
+
+import { KANTO_LOCATIONS, SPECIES_ALIASES } from '@/data/kantoLocations'
+import { normalizeText } from '@/utils/text'
+
+/**
+ * Espèces présentes dans au moins un lieu.
+ */
+const KNOWN_SPECIES = new Set(KANTO_LOCATIONS.flatMap(location => location.species))
+
+/**
+ * Espèce d'un Pokémon, pour le relier aux lieux de src/data/kantoLocations.js.
+ * L'API ne fournit pas d'espèce : elle est déduite du nom (en français, anglais ou
+ * allemand), puis à défaut de l'image (ex. 'pikachu.png' pour un Pokémon renommé).
+ * Exemple : getSpeciesKey({ name: 'Salamèche' }) === 'salameche'
+ * @param {Object} pokemon - Le Pokémon.
+ * @returns {string|null} Le nom d'espèce normalisé, ou `null` s'il n'est pas reconnu.
+ */
+export function getSpeciesKey (pokemon) {
+  const candidates = [pokemon?.name, String(pokemon?.img ?? '').replace(/\.[^.]+$/, '')]
+
+  for (const candidate of candidates) {
+    const normalized = normalizeText(candidate)
+    const key = SPECIES_ALIASES[normalized] || normalized
+    if (KNOWN_SPECIES.has(key)) return key
+  }
+  return null
+}
+
+/**
+ * Pokémon du Pokédex qu'on trouve dans un lieu.
+ * @param {Object} location - Le lieu (voir KANTO_LOCATIONS).
+ * @param {Array<Object>} pokemons - Les Pokémon chargés.
+ * @returns {Array<Object>} Les Pokémon du lieu, dans l'ordre du Pokédex.
+ */
+export function getLocationPokemons (location, pokemons) {
+  if (!location) return []
+  return pokemons.filter(pokemon => location.species.includes(getSpeciesKey(pokemon)))
+}
+
+/**
+ * Lieux où l'on trouve un Pokémon.
+ * @param {Object} pokemon - Le Pokémon.
+ * @returns {Array<Object>} Les lieux (voir KANTO_LOCATIONS), vide si son espèce n'est pas recensée.
+ */
+export function getPokemonLocations (pokemon) {
+  const species = getSpeciesKey(pokemon)
+  if (!species) return []
+  return KANTO_LOCATIONS.filter(location => location.species.includes(species))
+}
+
+/**
+ * Retrouve un lieu par son identifiant.
+ * @param {string} locationId - Identifiant du lieu (ex. 'bourg-palette').
+ * @returns {Object|null}
+ */
+export function getLocationById (locationId) {
+  return KANTO_LOCATIONS.find(location => location.id === locationId) || null
+}
@@ -0,0 +1,143 @@
+// src/utils/imageFiles.js
+
+import { t } from '@/plugins/i18n'
+import { normalizeText } from '@/utils/text'
+
+/**
+ * Formats d'image acceptés à l'envoi.
+ */
+export const ACCEPTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif']
+
+/**
+ * Taille maximale du fichier choisi (avant redimensionnement), en octets.
+ */
+export const MAX_IMAGE_FILE_SIZE = 5 * 1024 * 1024
+
+/**
+ * Côté (en pixels) de l'image carrée envoyée au serveur.
+ */
+export const IMAGE_OUTPUT_SIZE = 256
+
+/**
+ * Agrandissement maximal du recadrage (1 = image entière visible).
+ */
+export const MAX_CROP_ZOOM = 4
+
+/**
+ * Recadrage par défaut : image entière, centrée.
+ * `x` et `y` vont de -1 (bord gauche / haut) à 1 (bord droit / bas).
+ */
+export const DEFAULT_CROP = Object.freeze({ zoom: 1, x: 0, y: 0 })
+
+/**
+ * Vérifie le fichier choisi par l'utilisateur (type et taille).
+ * @param {File|Blob|null} file - Le fichier.
+ * @returns {Array<{field: string, message: string}>} Les erreurs (tableau vide si le fichier est accepté).
+ */
+export function validateImageFile (file) {
+  if (!file) {
+    return [{ field: 'file', message: t('imagePicker.errors.required') }]
+  }
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+    return [{ field: 'file', message: t('imagePicker.errors.type') }]
+  }
+  if (file.size > MAX_IMAGE_FILE_SIZE) {
+    return [{ field: 'file', message: t('imagePicker.errors.size', { max: formatFileSize(MAX_IMAGE_FILE_SIZE) }) }]
+  }
+  return []
+}
+
+/**
+ * Taille de fichier lisible (ex. 5 Mo, 120 ko).
+ * @param {number} bytes - Taille en octets.
+ * @returns {string}
+ */
+export function formatFileSize (bytes) {
+  if (bytes >= 1024 * 1024) return t('imagePicker.sizeMb', { size: Math.round(bytes / 1024 / 102.4) / 10 })
+  return t('imagePicker.sizeKb', { size: Math.max(1, Math.round(bytes / 1024)) })
+}
+
+/**
+ * Nom de fichier proposé pour une image envoyée (ex. 'Mélofée.JPG' → 'melofee.png').
+ * L'image est toujours convertie en PNG.
+ * @param {string} name - Nom saisi ou nom du fichier d'origine.
+ * @returns {string} Le nom de fichier, vide si le nom ne contient aucune lettre ni chiffre.
+ */
+export function toImageFilename (name) {
+  const base = normalizeText(String(name ?? '').replace(/\.[a-z0-9]+$/i, ''))
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+  return base ? `${base}.png` : ''
+}
+
+/**
+ * Charge un fichier image dans un élément `<img>`.
+ * @param {File|Blob} file - Le fichier.
+ * @returns {Promise<HTMLImageElement>} L'image décodée (rejetée si le fichier est illisible).
+ */
+export function loadImageFile (file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const image = new Image()
+    image.addEventListener('load', () => {
+      URL.revokeObjectURL(url)
+      resolve(image)
+    })
+    image.addEventListener('error', () => {
+      URL.revokeObjectURL(url)
+      reject(new Error(t('imagePicker.errors.unreadable')))
+    })
+    image.src = url
+  })
+}
+
+/**
+ * Dessine une image recadrée dans un canvas carré.
+ * À l'agrandissement 1, l'image entière est visible (bords transparents si elle n'est pas carrée) ;
+ * au-delà, `x` et `y` choisissent la partie conservée.
+ * @param {HTMLCanvasElement} canvas - Le canvas (redimensionné à `size`).
+ * @param {HTMLImageElement} image - L'image source.
+ * @param {{zoom: number, x: number, y: number}} crop - Le recadrage.
+ * @param {number} [size=IMAGE_OUTPUT_SIZE] - Côté du canvas, en pixels.
+ */
+export function drawCroppedImage (canvas, image, crop, size = IMAGE_OUTPUT_SIZE) {
+  const width = image.naturalWidth || image.width
+  const height = image.naturalHeight || image.height
+  const scale = (size / Math.max(width, height)) * crop.zoom
+  const drawnWidth = width * scale
+  const drawnHeight = height * scale
+
+  // Décalage possible de part et d'autre du centre, selon la partie qui dépasse du carré
+  const panX = Math.max(0, (drawnWidth - size) / 2)
+  const panY = Math.max(0, (drawnHeight - size) / 2)
+
+  canvas.width = size
+  canvas.height = size
+  const context = canvas.getContext('2d')
+  context.clearRect(0, 0, size, size)
+  context.imageSmoothingQuality = 'high'
+  context.drawImage(
+    image,
+    (size - drawnWidth) / 2 - crop.x * panX,
+    (size - drawnHeight) / 2 - crop.y * panY,
+    drawnWidth,
+    drawnHeight,
+  )
+}
+
+/**
+ * Produit l'image à envoyer : carré de IMAGE_OUTPUT_SIZE pixels, au format PNG.
+ * @param {HTMLImageElement} image - L'image source.
+ * @param {{zoom: number, x: number, y: number}} crop - Le recadrage.
+ * @returns {Promise<Blob>} Le fichier PNG.
+ */
+export function cropImageToBlob (image, crop) {
+  const canvas = document.createElement('canvas')
+  drawCroppedImage(canvas, image, crop)
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob)
+      else reject(new Error(t('imagePicker.errors.unreadable')))
+    }, 'image/png')
+  })
+}
@@ -1,10 +1,37 @@
 // src/utils/imageUrl.js
 
+import { reactive } from 'vue'
+
+/**
+ * Image affichée quand un Pokémon n'a pas d'image ou que son fichier est introuvable
+ */
+export const FALLBACK_IMAGE = 'pokeball.png'
+
+/**
+ * Adresses des images qui ne sont pas dans public/images (images envoyées sur le serveur),
+ * par nom de fichier. Remplie par le magasin des images (src/stores/imageStore.js) ;
+ * réactive pour que les images déjà affichées se mettent à jour une fois la liste reçue.
+ */
+const remoteUrls = reactive(new Map())
+
+/**
+ * Enregistre l'adresse des images fournies par l'API.
+ * Les images sans `url` restent servies depuis public/images.
+ * @param {Array<{filename: string, url?: string}>} images - Les images reçues.
+ */
+export function registerImageUrls (images) {
+  for (const image of images) {
+    if (image.url) remoteUrls.set(image.filename, image.url)
+  }
+}
+
 /**
  * Retourne l'URL complète d'une image dans le dossier /images/
+ * (ou son adresse sur le serveur si elle y a été envoyée)
  * Compatible avec base: '/pokedex/' ou '/'
  */
-export function getImageUrl (filename, fallback = 'default.png') {
+export function getImageUrl (filename, fallback = FALLBACK_IMAGE) {
   if (!filename) filename = fallback
+  if (remoteUrls.has(filename)) return remoteUrls.get(filename)
   return `${import.meta.env.BASE_URL}images/${filename}`
 }
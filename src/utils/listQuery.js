@@ -0,0 +1,151 @@
+// src/utils/listQuery.js
+
+/**
+ * Lecture et écriture de l'état de la liste des Pokémon (page d'accueil)
+ * dans la query string de l'URL, pour pouvoir partager ou recharger une recherche.
+ *
+ * Format : /?q=pika&type=3,5&match=all&level=10-50&fav=1&sort=level:desc&page=2&view=scroll
+ * Seules les valeurs différentes des valeurs par défaut apparaissent dans l'URL.
+ * Toute valeur invalide est ignorée et remplacée par sa valeur par défaut.
+ */
+
+import { STAT_KEYS } from '@/utils/stats'
+
+// Bornes du niveau (mêmes que dans le formulaire PokemonForm)
+export const LEVEL_MIN = 1
+export const LEVEL_MAX = 100
+
+// Critères de tri acceptés : champs simples puis statistiques
+export const SORT_KEYS = ['name', 'level', 'id', ...STAT_KEYS]
+
+// Modes de correspondance des types : au moins un / tous
+const TYPE_MATCHES = ['any', 'all']
+
+// Modes d'affichage : pages numérotées / défilement infini
+export const VIEW_MODES = ['pages', 'scroll']
+
+/**
+ * État par défaut de la liste.
+ */
+export const DEFAULT_LIST_STATE = Object.freeze({
+  q: '',
+  types: Object.freeze([]),
+  match: 'any',
+  level: Object.freeze([LEVEL_MIN, LEVEL_MAX]),
+  favorites: false,
+  sortKey: 'name',
+  sortDirection: 'asc',
+  page: 1,
+  view: 'pages',
+})
+
+/**
+ * Retourne la première valeur d'un paramètre (vue-router donne un tableau si la clé est répétée).
+ * @param {string|Array<string>|undefined} value - Valeur brute du paramètre.
+ * @returns {string} La valeur, ou une chaîne vide.
+ */
+function firstValue (value) {
+  const raw = Array.isArray(value) ? value[0] : value
+  return typeof raw === 'string' ? raw : ''
+}
+
+/**
+ * Convertit une chaîne en entier strictement positif.
+ * @param {string} value - La chaîne à convertir.
+ * @returns {number|null} L'entier, ou `null` si la valeur est invalide.
+ */
+function toPositiveInteger (value) {
+  if (!/^\d+$/.test(value)) return null
+  const number = Number(value)
+  return number > 0 ? number : null
+}
+
+/**
+ * Lit l'état de la liste depuis la query string.
+ * @param {Object} query - `route.query`.
+ * @returns {Object} État complet de la liste (voir DEFAULT_LIST_STATE).
+ */
+export function parseListQuery (query = {}) {
+  const state = {
+    ...DEFAULT_LIST_STATE,
+    types: [],
+    level: [...DEFAULT_LIST_STATE.level],
+  }
+
+  state.q = firstValue(query.q)
+
+  // type=3,5 ou type=3&type=5 : identifiants entiers, sans doublons
+  const rawTypes = [query.type].flat().filter(value => typeof value === 'string')
+  const typeIds = rawTypes.flatMap(value => value.split(',')).map(toPositiveInteger)
+  state.types = [...new Set(typeIds.filter(id => id !== null))]
+
+  const match = firstValue(query.match)
+  if (TYPE_MATCHES.includes(match)) state.match = match
+
+  // level=10-50 : bornes entières dans [LEVEL_MIN, LEVEL_MAX], remises dans l'ordre
+  const levelMatch = firstValue(query.level).match(/^(\d+)-(\d+)$/)
+  if (levelMatch) {
+    const bounds = [Number(levelMatch[1]), Number(levelMatch[2])]
+      .map(level => Math.min(Math.max(level, LEVEL_MIN), LEVEL_MAX))
+      .sort((a, b) => a - b)
+    state.level = bounds
+  }
+
+  state.favorites = ['1', 'true'].includes(firstValue(query.fav))
+
+  // sort=level:desc (le sens est facultatif)
+  const [sortKey, sortDirection = 'asc'] = firstValue(query.sort).split(':')
+  if (SORT_KEYS.includes(sortKey) && ['asc', 'desc'].includes(sortDirection)) {
+    state.sortKey = sortKey
+    state.sortDirection = sortDirection
+  }
+
+  state.page = toPositiveInteger(firstValue(query.page)) ?? DEFAULT_LIST_STATE.page
+
+  const view = firstValue(query.view)
+  if (VIEW_MODES.includes(view)) state.view = view
+
+  return state
+}
+
+/**
+ * Construit la query string correspondant à un état de la liste.
+ * Les valeurs par défaut sont omises pour garder des URL courtes.
+ * @param {Object} state - État de la liste (voir DEFAULT_LIST_STATE).
+ * @returns {Object} Objet `query` pour vue-router.
+ */
+export function buildListQuery (state) {
+  const query = {}
+
+  if (state.q?.trim()) query.q = state.q
+  if (state.types.length > 0) query.type = state.types.join(',')
+  if (state.match !== DEFAULT_LIST_STATE.match) query.match = state.match
+
+  const [minLevel, maxLevel] = state.level
+  if (minLevel !== LEVEL_MIN || maxLevel !== LEVEL_MAX) query.level = `${minLevel}-${maxLevel}`
+
+  if (state.favorites) query.fav = '1'
+
+  if (state.sortKey !== DEFAULT_LIST_STATE.sortKey || state.sortDirection !== DEFAULT_LIST_STATE.sortDirection) {
+    query.sort = `${state.sortKey}:${state.sortDirection}`
+  }
+
+  // Le numéro de page n'a de sens qu'avec les pages numérotées
+  if (state.page > 1 && state.view === 'pages') query.page = String(state.page)
+  if (state.view !== DEFAULT_LIST_STATE.view) query.view = state.view
+
+  return query
+}
+
+/**
+ * Compare deux objets `query` (ordre des clés et type des valeurs ignorés).
+ * @param {Object} a - Première query.
+ * @param {Object} b - Seconde query.
+ * @returns {boolean} `true` si les deux query sont équivalentes.
+ */
+export function isSameQuery (a, b) {
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  if (keysA.length !== keysB.length) return false
+  return keysA.every(key => String(a[key]) === String(b[key]))
+}
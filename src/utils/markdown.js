@@ -0,0 +1,140 @@
+// src/utils/markdown.js
+
+import { highlightMatches } from '@/utils/text'
+
+/**
+ * Rendu Markdown volontairement réduit, pour les réponses de la FAQ :
+ * - paragraphes (séparés par une ligne vide) et retours à la ligne ;
+ * - listes à puces (`- ` ou `* `) et numérotées (`1. `) ;
+ * - `**gras**`, `*italique*` ou `_italique_`, `` `code` `` ;
+ * - liens `[texte](https://…)`, `[texte](/page)` ou `[texte](#ancre)`.
+ *
+ * Tout le HTML du texte d'origine est échappé : le résultat peut être
+ * affiché avec `v-html` sans risque d'injection.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }
+
+/**
+ * Adresses acceptées pour un lien : web, courriel, page ou ancre de l'application.
+ * Un chemin ne doit pas commencer par « // » ni « /\ » : le navigateur y verrait
+ * une adresse vers un autre site (ex. //evil.host).
+ */
+const SAFE_URL = /^(https?:\/\/|mailto:|\/(?![/\\])|#)/i
+
+/**
+ * Échappe les caractères spéciaux du HTML.
+ * @param {string} value - Le texte brut.
+ * @returns {string}
+ */
+function escapeHtml (value) {
+  return value.replace(/[&<>"]/g, character => HTML_ESCAPES[character])
+}
+
+/**
+ * Échappe un texte en entourant de `<mark>` les passages qui correspondent à la recherche.
+ * @param {string} value - Le texte brut.
+ * @param {string} query - La recherche.
+ * @returns {string}
+ */
+function escapeWithHighlight (value, query) {
+  return highlightMatches(value, query)
+    .map(segment => segment.match ? `<mark>${escapeHtml(segment.text)}</mark>` : escapeHtml(segment.text))
+    .join('')
+}
+
+/**
+ * Règles des éléments en ligne, essayées dans l'ordre à chaque position.
+ * `render` reçoit le résultat de la regex et une fonction pour le contenu imbriqué.
+ */
+const INLINE_RULES = [
+  {
+    pattern: /^`([^`]+)`/,
+    render: (match, inner, query) => `<code>${escapeWithHighlight(match[1], query)}</code>`,
+  },
+  {
+    pattern: /^\[([^\]]+)\]\(([^)\s]+)\)/,
+    render: (match, inner) => {
+      if (!SAFE_URL.test(match[2])) return inner(match[1])
+      const external = /^https?:/i.test(match[2]) ? ' target="_blank" rel="noopener noreferrer"' : ''
+      return `<a href="${escapeHtml(match[2])}"${external}>${inner(match[1])}</a>`
+    },
+  },
+  {
+    pattern: /^\*\*(.+?)\*\*/,
+    render: (match, inner) => `<strong>${inner(match[1])}</strong>`,
+  },
+  {
+    pattern: /^(?:\*([^*]+)\*|_([^_]+)_)/,
+    render: (match, inner) => `<em>${inner(match[1] ?? match[2])}</em>`,
+  },
+]
+
+/**
+ * Rend les éléments en ligne d'un texte.
+ * @param {string} text - Le texte d'une ligne ou d'un paragraphe.
+ * @param {string} query - Recherche à mettre en évidence.
+ * @returns {string} Le HTML.
+ */
+function renderInline (text, query) {
+  const inner = value => renderInline(value, query)
+  let html = ''
+  let plain = ''
+  let index = 0
+
+  while (index < text.length) {
+    const rest = text.slice(index)
+    const rule = INLINE_RULES.find(candidate => candidate.pattern.test(rest))
+    if (rule) {
+      const match = rest.match(rule.pattern)
+      html += escapeWithHighlight(plain, query) + rule.render(match, inner, query)
+      plain = ''
+      index += match[0].length
+    } else {
+      plain += text[index]
+      index++
+    }
+  }
+  return html + escapeWithHighlight(plain, query)
+}
+
+/**
+ * Convertit un texte Markdown en HTML sûr.
+ * @param {string} markdown - Le texte Markdown.
+ * @param {Object} [options={}]
+ * @param {string} [options.highlight=''] - Recherche dont les passages sont entourés de `<mark>`.
+ * @returns {string} Le HTML.
+ */
+export function renderMarkdown (markdown, { highlight = '' } = {}) {
+  const blocks = String(markdown ?? '').replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+
+  return blocks
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => {
+      const lines = block.split('\n').map(line => line.trim())
+
+      if (lines.every(line => /^[-*]\s+/.test(line))) {
+        const items = lines.map(line => `<li>${renderInline(line.replace(/^[-*]\s+/, ''), highlight)}</li>`)
+        return `<ul>${items.join('')}</ul>`
+      }
+      if (lines.every(line => /^\d+\.\s+/.test(line))) {
+        const items = lines.map(line => `<li>${renderInline(line.replace(/^\d+\.\s+/, ''), highlight)}</li>`)
+        return `<ol>${items.join('')}</ol>`
+      }
+      return `<p>${lines.map(line => renderInline(line, highlight)).join('<br>')}</p>`
+    })
+    .join('')
+}
+
+/**
+ * Texte brut d'un contenu Markdown (sans la syntaxe), pour la recherche.
+ * @param {string} markdown - Le texte Markdown.
+ * @returns {string}
+ */
+export function markdownToText (markdown) {
+  return String(markdown ?? '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]/g, '')
+    .replace(/^\s*(?:[-*]|\d+\.)\s+/gm, '')
+}
@@ -0,0 +1,164 @@
+// src/utils/offlineDb.js
+
+/**
+ * Petite couche au-dessus d'IndexedDB pour le mode hors ligne.
+ * - `responses` : dernière réponse réussie de l'API par clé (ex. '/pokemons', '/types')
+ * - `mutations` : file d'attente des ajouts / modifications / suppressions faits hors ligne
+ *
+ * Toutes les fonctions échouent silencieusement (valeur vide) si IndexedDB
+ * n'est pas disponible (navigation privée, ancien navigateur...) :
+ * l'application fonctionne alors simplement sans cache.
+ */
+
+const DB_NAME = 'pokedex-offline'
+const DB_VERSION = 1
+const RESPONSES_STORE = 'responses'
+const MUTATIONS_STORE = 'mutations'
+
+let dbPromise = null
+
+/**
+ * Transforme une requête IndexedDB en promesse.
+ * @param {IDBRequest} request - La requête IndexedDB.
+ * @returns {Promise<*>} Le résultat de la requête.
+ */
+function promisify (request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Ouvre (et crée si besoin) la base de données. La connexion est partagée.
+ * @returns {Promise<IDBDatabase>} La base ouverte.
+ */
+function openDb () {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB indisponible'))
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(RESPONSES_STORE)) {
+        db.createObjectStore(RESPONSES_STORE, { keyPath: 'key' })
+      }
+      if (!db.objectStoreNames.contains(MUTATIONS_STORE)) {
+        db.createObjectStore(MUTATIONS_STORE, { keyPath: 'id', autoIncrement: true })
+      }
+    }
+    dbPromise = promisify(request).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Exécute une opération sur un magasin d'objets.
+ * @param {string} storeName - Nom du magasin d'objets.
+ * @param {IDBTransactionMode} mode - 'readonly' ou 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Opération à effectuer.
+ * @returns {Promise<*>} Le résultat de l'opération.
+ */
+async function withStore (storeName, mode, operation) {
+  const db = await openDb()
+  const transaction = db.transaction(storeName, mode)
+  return promisify(operation(transaction.objectStore(storeName)))
+}
+
+/**
+ * Copie des données réactives (proxies Pinia) en objets simples clonables par IndexedDB.
+ * @param {*} data - Les données à copier.
+ * @returns {*} Une copie simple.
+ */
+function toPlain (data) {
+  return JSON.parse(JSON.stringify(data))
+}
+
+/**
+ * Lit la dernière réponse enregistrée pour une clé.
+ * @param {string} key - Clé de la ressource (ex. '/pokemons').
+ * @returns {Promise<{data: *, savedAt: number}|null>} La réponse enregistrée, ou `null`.
+ */
+export async function readCachedResponse (key) {
+  try {
+    const entry = await withStore(RESPONSES_STORE, 'readonly', store => store.get(key))
+    return entry ? { data: entry.data, savedAt: entry.savedAt } : null
+  } catch (error) {
+    console.warn('⚠️ Cache hors ligne indisponible:', error.message)
+    return null
+  }
+}
+
+/**
+ * Enregistre la dernière réponse réussie pour une clé.
+ * @param {string} key - Clé de la ressource (ex. '/pokemons').
+ * @param {*} data - Les données à enregistrer.
+ * @returns {Promise<void>}
+ */
+export async function writeCachedResponse (key, data) {
+  try {
+    await withStore(RESPONSES_STORE, 'readwrite', store => store.put({ key, data: toPlain(data), savedAt: Date.now() }))
+  } catch (error) {
+    console.warn('⚠️ Impossible d\'enregistrer le cache hors ligne:', error.message)
+  }
+}
+
+/**
+ * Ajoute une mutation à la file d'attente.
+ * @param {Object} mutation - La mutation (sans `id`).
+ * @returns {Promise<number|null>} L'identifiant attribué, ou `null` si IndexedDB est indisponible.
+ */
+export async function enqueueMutation (mutation) {
+  try {
+    return await withStore(MUTATIONS_STORE, 'readwrite', store => store.add(toPlain(mutation)))
+  } catch (error) {
+    console.warn('⚠️ Impossible d\'enregistrer la mutation hors ligne:', error.message)
+    return null
+  }
+}
+
+/**
+ * Remplace une mutation existante de la file d'attente.
+ * @param {Object} mutation - La mutation (avec son `id`).
+ * @returns {Promise<void>}
+ */
+export async function updateQueuedMutation (mutation) {
+  if (mutation.id === null || mutation.id === undefined) return
+  try {
+    await withStore(MUTATIONS_STORE, 'readwrite', store => store.put(toPlain(mutation)))
+  } catch (error) {
+    console.warn('⚠️ Impossible de mettre à jour la mutation hors ligne:', error.message)
+  }
+}
+
+/**
+ * Retourne toutes les mutations en attente, dans leur ordre d'ajout.
+ * @returns {Promise<Array<Object>>} Les mutations en attente.
+ */
+export async function getQueuedMutations () {
+  try {
+    return await withStore(MUTATIONS_STORE, 'readonly', store => store.getAll())
+  } catch (error) {
+    console.warn('⚠️ File d\'attente hors ligne indisponible:', error.message)
+    return []
+  }
+}
+
+/**
+ * Retire une mutation de la file d'attente.
+ * @param {number} id - Identifiant de la mutation.
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedMutation (id) {
+  if (id === null || id === undefined) return
+  try {
+    await withStore(MUTATIONS_STORE, 'readwrite', store => store.delete(id))
+  } catch (error) {
+    console.warn('⚠️ Impossible de retirer la mutation hors ligne:', error.message)
+  }
+}
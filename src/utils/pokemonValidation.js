@@ -0,0 +1,119 @@
+// src/utils/pokemonValidation.js
+
+import { KNOWN_IMAGES } from '@/data/images'
+import { t } from '@/plugins/i18n'
+import { LEVEL_MAX, LEVEL_MIN } from '@/utils/listQuery'
+import { getStatLabel, STAT_KEYS } from '@/utils/stats'
+import { normalizeText } from '@/utils/text'
+
+/**
+ * Validation du modèle Pokémon, partagée par le store (avant l'appel à l'API),
+ * le formulaire (messages sous chaque champ) et l'import de sauvegarde.
+ *
+ * Les erreurs ont la même forme que le tableau `errors` renvoyé par le serveur
+ * (voir ApiError dans src/plugins/axios.js) : `[{ field, message }]`,
+ * avec `field` égal à 'name', 'level', 'types', 'img' ou 'stats.<clé>'.
+ * Les messages sont traduits dans la langue courante (`pokemonForm.errors` dans src/locales).
+ */
+
+export const NAME_MIN_LENGTH = 2
+export const NAME_MAX_LENGTH = 30
+export const MAX_TYPES = 2
+export const STAT_MIN = 0
+export const STAT_MAX = 255
+
+/**
+ * Images de Pokémon livrées dans public/images (liste unique : src/data/images.js).
+ */
+export { KNOWN_IMAGES }
+
+const isEmpty = value => value === null || value === undefined || value === ''
+
+/**
+ * Vérifie les données d'un Pokémon à créer ou à modifier.
+ *
+ * @param {Object} data - Les données du Pokémon (name, level, types, img, stats...).
+ * @param {Object} [context]
+ * @param {Array<Object>} [context.pokemons=[]] - Pokémon existants, pour l'unicité du nom.
+ * @param {Array<Object>} [context.types=[]] - Types existants ; liste vide = types non vérifiés (pas encore chargés).
+ * @param {Array<string>|null} [context.images=KNOWN_IMAGES] - Images acceptées ; `null` = image non vérifiée.
+ * @param {string|number|null} [context.currentId=null] - Pokémon modifié (ignoré dans le contrôle d'unicité).
+ * @param {boolean} [context.partial=false] - Modification partielle : seuls les champs fournis sont vérifiés.
+ * @returns {Array<{field: string, message: string}>} Les erreurs (tableau vide si les données sont valides).
+ */
+export function validatePokemon (data, { pokemons = [], types = [], images = KNOWN_IMAGES, currentId = null, partial = false } = {}) {
+  const errors = []
+  const fail = (field, key, params) => errors.push({ field, message: t(`pokemonForm.errors.${key}`, params) })
+  const has = field => !partial || data[field] !== undefined
+
+  // Nom : obligatoire, longueur, unique (sans tenir compte des majuscules ni des accents)
+  if (has('name')) {
+    const name = typeof data.name === 'string' ? data.name.trim() : ''
+    if (!name) {
+      fail('name', 'nameRequired')
+    } else if (name.length < NAME_MIN_LENGTH || name.length > NAME_MAX_LENGTH) {
+      fail('name', 'nameLength', { min: NAME_MIN_LENGTH, max: NAME_MAX_LENGTH })
+    } else if (pokemons.some(pokemon => {
+      return String(pokemon.id) !== String(currentId) && normalizeText(pokemon.name) === normalizeText(name)
+    })) {
+      fail('name', 'nameTaken', { name })
+    }
+  }
+
+  // Niveau : entier obligatoire dans l'intervalle autorisé
+  if (has('level')) {
+    if (isEmpty(data.level)) {
+      fail('level', 'levelRequired')
+    } else if (!Number.isInteger(data.level) || data.level < LEVEL_MIN || data.level > LEVEL_MAX) {
+      fail('level', 'levelRange', { min: LEVEL_MIN, max: LEVEL_MAX })
+    }
+  }
+
+  // Types : au plus MAX_TYPES, sans doublon, tous existants
+  if (data.types !== undefined && data.types !== null) {
+    if (!Array.isArray(data.types)) {
+      fail('types', 'typesList')
+    } else if (data.types.length > MAX_TYPES) {
+      fail('types', 'typesMax', { max: MAX_TYPES })
+    } else if (new Set(data.types.map(String)).size !== data.types.length) {
+      fail('types', 'typesDuplicate')
+    } else if (types.length > 0) {
+      const unknown = data.types.filter(typeId => !types.some(type => String(type.id) === String(typeId)))
+      if (unknown.length > 0) {
+        fail('types', 'typesUnknown', { types: unknown.join(', ') })
+      }
+    }
+  }
+
+  // Image : facultative, mais doit faire partie des images connues
+  if (images && !isEmpty(data.img) && !images.includes(data.img)) {
+    fail('img', 'imageUnknown', { filename: data.img })
+  }
+
+  // Statistiques : entiers entre STAT_MIN et STAT_MAX
+  if (data.stats !== undefined && data.stats !== null) {
+    if (typeof data.stats !== 'object' || Array.isArray(data.stats)) {
+      fail('stats', 'statsInvalid')
+    } else {
+      for (const key of STAT_KEYS) {
+        const value = data.stats[key]
+        if (isEmpty(value)) continue
+        if (!Number.isInteger(value) || value < STAT_MIN || value > STAT_MAX) {
+          fail(`stats.${key}`, 'statRange', { stat: getStatLabel(key), min: STAT_MIN, max: STAT_MAX })
+        }
+      }
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Messages d'erreur d'un champ, pour la propriété `error-messages` des champs Vuetify.
+ * @param {Array<{field: string, message: string}>} errors - Les erreurs (locales ou du serveur).
+ * @param {string} field - Le champ (ex. 'name' ou 'stats.hp').
+ * @returns {Array<string>} Les messages du champ.
+ */
+export function getFieldErrors (errors, field) {
+  return errors.filter(error => error.field === field).map(error => error.message)
+}
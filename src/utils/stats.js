@@ -0,0 +1,32 @@
+// src/utils/stats.js
+
+import { t } from '@/plugins/i18n'
+
+/**
+ * Statistiques d'un Pokémon (objet `pokemon.stats`), dans l'ordre d'affichage.
+ */
+export const STAT_KEYS = ['hp', 'attack', 'defense', 'speed']
+
+/**
+ * Libellé affiché d'une statistique (`common.stats.<clé>` dans src/locales).
+ * @param {string} key - Clé de la statistique (ex. 'hp').
+ * @returns {string}
+ */
+export function getStatLabel (key) {
+  return t(`common.stats.${key}`)
+}
+
+/**
+ * Rang centile d'une valeur dans une liste : pourcentage des valeurs
+ * strictement inférieures, les égalités comptant pour moitié.
+ * Exemple : la plus forte valeur de 4 Pokémon distincts obtient 88.
+ * @param {number} value - La valeur à situer.
+ * @param {Array<number>} values - Les valeurs de référence (valeur elle-même incluse).
+ * @returns {number|null} Le centile arrondi (0 à 100), ou `null` sans valeurs de référence.
+ */
+export function computePercentile (value, values) {
+  if (values.length === 0 || typeof value !== 'number') return null
+  const below = values.filter(other => other < value).length
+  const equal = values.filter(other => other === value).length
+  return Math.round(((below + equal / 2) / values.length) * 100)
+}
@@ -0,0 +1,66 @@
+// src/utils/teamCoverage.js
+
+import { getMultiplier, getTypeKey } from '@/utils/typeEffectiveness'
+
+/**
+ * Analyse de la couverture des types d'une équipe (page /teams).
+ * Les types sont les objets de l'API (`{ id, name, color }`) ;
+ * les calculs utilisent la table locale de src/utils/typeEffectiveness.js.
+ */
+
+/**
+ * Nombre de membres à partir duquel une faiblesse est considérée comme partagée.
+ */
+export const SHARED_WEAKNESS_MIN = 2
+
+/**
+ * Analyse une équipe.
+ * - `sharedWeaknesses` : types d'attaque super efficaces contre au moins
+ *   SHARED_WEAKNESS_MIN membres, du plus dangereux au moins dangereux
+ * - `uncoveredTypes` : types qu'aucun type de l'équipe ne touche en super efficace
+ * - `duplicateTypes` : types portés par plusieurs membres
+ *
+ * @param {Array<Array<Object>>} members - Les types de chaque membre de l'équipe (un tableau par Pokémon).
+ * @param {Array<Object>} allTypes - Tous les types connus (ex. pokemonStore.types).
+ * @returns {{
+ *   sharedWeaknesses: Array<{type: Object, count: number}>,
+ *   uncoveredTypes: Array<Object>,
+ *   duplicateTypes: Array<{type: Object, count: number}>
+ * }} Le résultat de l'analyse (listes vides pour une équipe vide).
+ */
+export function analyzeTeamCoverage (members, allTypes) {
+  const chartTypes = allTypes.filter(type => getTypeKey(type.name))
+  const filledMembers = members.filter(types => types.length > 0)
+
+  if (filledMembers.length === 0) {
+    return { sharedWeaknesses: [], uncoveredTypes: [], duplicateTypes: [] }
+  }
+
+  // Faiblesses : combien de membres chaque type d'attaque touche en super efficace
+  const sharedWeaknesses = chartTypes
+    .map(attack => ({
+      type: attack,
+      count: filledMembers.filter(types => getMultiplier(attack.name, types.map(type => type.name)) > 1).length,
+    }))
+    .filter(weakness => weakness.count >= SHARED_WEAKNESS_MIN)
+    .sort((a, b) => b.count - a.count)
+
+  // Couverture offensive : au moins un type de l'équipe doit toucher ×2 ou plus
+  const teamTypes = filledMembers.flat()
+  const uncoveredTypes = chartTypes.filter(defense => {
+    return !teamTypes.some(attack => getMultiplier(attack.name, [defense.name]) > 1)
+  })
+
+  // Doublons : types présents chez plusieurs membres
+  const counts = new Map()
+  for (const types of filledMembers) {
+    for (const type of types) {
+      const entry = counts.get(type.id) || { type, count: 0 }
+      entry.count++
+      counts.set(type.id, entry)
+    }
+  }
+  const duplicateTypes = [...counts.values()].filter(entry => entry.count > 1)
+
+  return { sharedWeaknesses, uncoveredTypes, duplicateTypes }
+}
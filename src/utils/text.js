@@ -0,0 +1,54 @@
+// src/utils/text.js
+
+/**
+ * Normalise un texte pour les comparaisons de recherche :
+ * minuscules, sans accents et sans espaces superflus.
+ * Exemple : normalizeText(' Électrik ') === 'electrik'
+ * @param {string} value - Le texte à normaliser (null/undefined acceptés).
+ * @returns {string} Le texte normalisé.
+ */
+export function normalizeText (value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+}
+
+/**
+ * Découpe un texte autour des passages qui correspondent à une recherche,
+ * sans tenir compte des majuscules ni des accents (comme normalizeText).
+ * Exemple : highlightMatches('Électrik', 'elec')
+ *   → [{ text: 'Élec', match: true }, { text: 'trik', match: false }]
+ * @param {string} text - Le texte affiché.
+ * @param {string} query - La recherche (vide : aucun passage mis en évidence).
+ * @returns {Array<{text: string, match: boolean}>} Les morceaux du texte, dans l'ordre.
+ */
+export function highlightMatches (text, query) {
+  const value = String(text ?? '')
+  const needle = normalizeText(query)
+  if (!needle) return [{ text: value, match: false }]
+
+  // Texte normalisé caractère par caractère, avec la position d'origine de chaque caractère
+  let folded = ''
+  const origins = []
+  for (let index = 0; index < value.length; index++) {
+    const part = value[index].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    folded += part
+    origins.push(...Array.from({ length: part.length }, () => index))
+  }
+
+  const segments = []
+  let cursor = 0
+  let found = folded.indexOf(needle)
+  while (found !== -1) {
+    const start = origins[found]
+    const end = origins[found + needle.length - 1] + 1
+    if (start > cursor) segments.push({ text: value.slice(cursor, start), match: false })
+    segments.push({ text: value.slice(start, end), match: true })
+    cursor = end
+    found = folded.indexOf(needle, found + needle.length)
+  }
+  if (cursor < value.length) segments.push({ text: value.slice(cursor), match: false })
+  return segments
+}
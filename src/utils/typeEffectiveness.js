@@ -0,0 +1,147 @@
+// src/utils/typeEffectiveness.js
+
+import { normalizeText } from '@/utils/text'
+
+/**
+ * Table des efficacités des types (6e génération et suivantes).
+ * L'API (`/types`) ne fournit que l'id, le nom et la couleur des types :
+ * la table est donc locale et reliée aux types de l'API par leur nom.
+ *
+ * Clés : nom français normalisé (sans accents ni majuscules, voir normalizeText).
+ * TYPE_CHART[attaque][défense] donne le multiplicateur ; seuls les
+ * multiplicateurs différents de ×1 sont indiqués.
+ */
+export const TYPE_CHART = {
+  normal: { roche: 0.5, spectre: 0, acier: 0.5 },
+  feu: { feu: 0.5, eau: 0.5, plante: 2, glace: 2, insecte: 2, roche: 0.5, dragon: 0.5, acier: 2 },
+  eau: { feu: 2, eau: 0.5, plante: 0.5, sol: 2, roche: 2, dragon: 0.5 },
+  electrik: { eau: 2, electrik: 0.5, plante: 0.5, sol: 0, vol: 2, dragon: 0.5 },
+  plante: { feu: 0.5, eau: 2, plante: 0.5, poison: 0.5, sol: 2, vol: 0.5, insecte: 0.5, roche: 2, dragon: 0.5, acier: 0.5 },
+  glace: { feu: 0.5, eau: 0.5, plante: 2, glace: 0.5, sol: 2, vol: 2, dragon: 2, acier: 0.5 },
+  combat: { normal: 2, glace: 2, poison: 0.5, vol: 0.5, psy: 0.5, insecte: 0.5, roche: 2, spectre: 0, tenebres: 2, acier: 2, fee: 0.5 },
+  poison: { plante: 2, poison: 0.5, sol: 0.5, roche: 0.5, spectre: 0.5, acier: 0, fee: 2 },
+  sol: { feu: 2, electrik: 2, plante: 0.5, poison: 2, vol: 0, insecte: 0.5, roche: 2, acier: 2 },
+  vol: { electrik: 0.5, plante: 2, combat: 2, insecte: 2, roche: 0.5, acier: 0.5 },
+  psy: { combat: 2, poison: 2, psy: 0.5, tenebres: 0, acier: 0.5 },
+  insecte: { feu: 0.5, plante: 2, combat: 0.5, poison: 0.5, vol: 0.5, psy: 2, spectre: 0.5, tenebres: 2, acier: 0.5, fee: 0.5 },
+  roche: { feu: 2, glace: 2, combat: 0.5, sol: 0.5, vol: 2, insecte: 2, acier: 0.5 },
+  spectre: { normal: 0, psy: 2, spectre: 2, tenebres: 0.5 },
+  dragon: { dragon: 2, acier: 0.5, fee: 0 },
+  tenebres: { combat: 0.5, psy: 2, spectre: 2, tenebres: 0.5, fee: 0.5 },
+  acier: { feu: 0.5, eau: 0.5, electrik: 0.5, glace: 2, roche: 2, acier: 0.5, fee: 2 },
+  fee: { feu: 0.5, combat: 2, poison: 0.5, dragon: 2, tenebres: 2, acier: 0.5 },
+}
+
+/**
+ * Autres noms acceptés pour un type (orthographes françaises, noms anglais et allemands),
+ * déjà normalisés. L'API renvoie les noms dans la langue demandée (Accept-Language) :
+ * chaque langue proposée par le sélecteur doit figurer ici.
+ */
+const TYPE_ALIASES = {
+  electrique: 'electrik',
+  fire: 'feu',
+  water: 'eau',
+  electric: 'electrik',
+  grass: 'plante',
+  ice: 'glace',
+  fighting: 'combat',
+  ground: 'sol',
+  flying: 'vol',
+  psychic: 'psy',
+  bug: 'insecte',
+  rock: 'roche',
+  ghost: 'spectre',
+  dark: 'tenebres',
+  steel: 'acier',
+  fairy: 'fee',
+  feuer: 'feu',
+  wasser: 'eau',
+  elektro: 'electrik',
+  pflanze: 'plante',
+  eis: 'glace',
+  kampf: 'combat',
+  gift: 'poison',
+  boden: 'sol',
+  flug: 'vol',
+  psycho: 'psy',
+  kafer: 'insecte',
+  gestein: 'roche',
+  geist: 'spectre',
+  drache: 'dragon',
+  unlicht: 'tenebres',
+  stahl: 'acier',
+}
+
+/**
+ * Retrouve la clé de la table à partir du nom d'un type de l'API.
+ * @param {string} name - Nom du type (ex. 'Électrik').
+ * @returns {string|null} La clé (ex. 'electrik'), ou `null` si le type est inconnu de la table.
+ */
+export function getTypeKey (name) {
+  const normalized = normalizeText(name)
+  if (TYPE_CHART[normalized]) return normalized
+  return TYPE_ALIASES[normalized] || null
+}
+
+/**
+ * Multiplicateur d'une attaque d'un type contre un Pokémon d'un ou deux types.
+ * Les types inconnus de la table comptent pour ×1.
+ * @param {string} attackName - Nom du type de l'attaque.
+ * @param {Array<string>} defenseNames - Noms des types du Pokémon qui subit l'attaque.
+ * @returns {number} Le multiplicateur (0, 0.25, 0.5, 1, 2 ou 4).
+ */
+export function getMultiplier (attackName, defenseNames) {
+  const attackKey = getTypeKey(attackName)
+  if (!attackKey) return 1
+  return defenseNames.reduce((multiplier, defenseName) => {
+    const defenseKey = getTypeKey(defenseName)
+    const factor = defenseKey ? TYPE_CHART[attackKey][defenseKey] ?? 1 : 1
+    return multiplier * factor
+  }, 1)
+}
+
+/**
+ * Meilleur multiplicateur qu'un Pokémon peut obtenir contre un autre,
+ * en attaquant avec le plus efficace de ses types.
+ * @param {Array<string>} attackerNames - Noms des types de l'attaquant.
+ * @param {Array<string>} defenderNames - Noms des types du défenseur.
+ * @returns {number|null} Le multiplicateur, ou `null` si l'attaquant n'a aucun type.
+ */
+export function getBestMultiplier (attackerNames, defenderNames) {
+  if (attackerNames.length === 0) return null
+  return Math.max(...attackerNames.map(attackName => getMultiplier(attackName, defenderNames)))
+}
+
+/**
+ * Multiplicateurs regroupés dans le profil défensif, du plus fort au plus faible.
+ */
+export const PROFILE_MULTIPLIERS = [4, 2, 0.5, 0.25, 0]
+
+/**
+ * Profil défensif d'un Pokémon (un ou deux types) : pour chaque multiplicateur
+ * différent de ×1, les types d'attaque concernés.
+ * Exemple pour Plante / Poison : ×2 Feu, Glace, Vol, Psy ; ×½ Eau, Électrik, Combat, Fée ; ×¼ Plante.
+ * @param {Array<string>} defenseNames - Noms des types du Pokémon.
+ * @param {Array<{name: string}>} attackTypes - Types d'attaque à évaluer (ex. les types de l'API).
+ * @returns {Array<{multiplier: number, types: Array<Object>}>} Un groupe par multiplicateur de PROFILE_MULTIPLIERS
+ *   (groupes vides inclus). Les types d'attaque inconnus de la table sont ignorés.
+ */
+export function getDefensiveProfile (defenseNames, attackTypes) {
+  const knownAttacks = attackTypes.filter(type => getTypeKey(type.name))
+  return PROFILE_MULTIPLIERS.map(multiplier => ({
+    multiplier,
+    types: defenseNames.length === 0
+      ? []
+      : knownAttacks.filter(type => getMultiplier(type.name, defenseNames) === multiplier),
+  }))
+}
+
+/**
+ * Affichage d'un multiplicateur : ×4, ×2, ×1, ×½, ×¼ ou ×0.
+ * @param {number} multiplier - Le multiplicateur.
+ * @returns {string} Le texte affiché.
+ */
+export function formatMultiplier (multiplier) {
+  const fractions = { 0.5: '½', 0.25: '¼' }
+  return `×${fractions[multiplier] ?? multiplier}`
+}
@@ -20,8 +20,16 @@ declare module 'vue-router/auto-routes' {
   export interface RouteNamedMap {
     '/': RouteRecordInfo<'/', '/', Record<never, never>, Record<never, never>>,
     '/[...path]': RouteRecordInfo<'/[...path]', '/:path(.*)', { path: ParamValue<true> }, { path: ParamValue<false> }>,
+    '/backup': RouteRecordInfo<'/backup', '/backup', Record<never, never>, Record<never, never>>,
+    '/compare': RouteRecordInfo<'/compare', '/compare', Record<never, never>, Record<never, never>>,
     '/FAQ': RouteRecordInfo<'/FAQ', '/FAQ', Record<never, never>, Record<never, never>>,
     '/Favoris': RouteRecordInfo<'/Favoris', '/Favoris', Record<never, never>, Record<never, never>>,
     '/KantoMap': RouteRecordInfo<'/KantoMap', '/KantoMap', Record<never, never>, Record<never, never>>,
+    '/login': RouteRecordInfo<'/login', '/login', Record<never, never>, Record<never, never>>,
+    '/pokemons/[id]/': RouteRecordInfo<'/pokemons/[id]/', '/pokemons/:id', { id: ParamValue<true> }, { id: ParamValue<false> }>,
+    '/pokemons/[id]/edit': RouteRecordInfo<'/pokemons/[id]/edit', '/pokemons/:id/edit', { id: ParamValue<true> }, { id: ParamValue<false> }>,
+    '/pokemons/create': RouteRecordInfo<'/pokemons/create', '/pokemons/create', Record<never, never>, Record<never, never>>,
+    '/teams': RouteRecordInfo<'/teams', '/teams', Record<never, never>, Record<never, never>>,
+    '/types': RouteRecordInfo<'/types', '/types', Record<never, never>, Record<never, never>>,
   }
 }
@@ -10,6 +10,33 @@ import Vuetify, { transformAssetUrls } from 'vite-plugin-vuetify'
 // Utilities
 import { defineConfig } from 'vite'
 import { fileURLToPath, URL } from 'node:url'
+import { INTERFACE_IMAGES, KNOWN_IMAGES } from './src/data/images.js'
+
+// Identifiant de la compilation : version du cache du service worker (public/sw.js)
+const BUILD_ID = Date.now().toString(36)
+
+/**
+ * Écrit `precache-manifest.json` à côté de index.html : tous les fichiers générés
+ * par Vite (y compris les pages chargées à la demande) et les images de public/images,
+ * que le service worker met en cache dès son installation.
+ */
+function precacheManifest () {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle (options, bundle) {
+      // Polices de repli des anciens navigateurs (.eot, .ttf, .woff) : mises en cache seulement si demandées
+      const files = Object.keys(bundle).filter(file => !/\.(map|eot|ttf|woff)$/.test(file) && file !== 'index.html')
+      const images = [...KNOWN_IMAGES, ...INTERFACE_IMAGES].map(image => `images/${image}`)
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify({ version: BUILD_ID, files: [...files, ...images] }, null, 2),
+      })
+    },
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
@@ -46,8 +73,12 @@ export default defineConfig({
       },
       vueTemplate: true,
     }),
+    precacheManifest(),
   ],
-  define: { 'process.env': {} },
+  define: {
+    'process.env': {},
+    'import.meta.env.VITE_BUILD_ID': JSON.stringify(BUILD_ID),
+  },
   resolve: {
     alias: {
       '@': fileURLToPath(new URL('./src', import.meta.url)),